@@ -1,4 +1,20 @@
-const { useState, useEffect, useRef } = React;
+const { useState, useEffect, useRef, useMemo, useDeferredValue } = React;
+const {
+    DEFAULT_PROMPTS, customizedPrompts, DEFAULT_SETTINGS, OPTION_VARIABLES, PROMPT_VARIABLES, TEMPLATE_VARIABLE_NAME, TEMPLATE_PARTIAL_NAME,
+    renderPrompt, validatePrompt, buildAnalysisPrompt, buildStructuredAnalysisPrompt, buildGenerationPrompt, PRESET_ENDPOINTS, PROVIDER_ADAPTERS, requestCompletion,
+    createComparisonTarget, describeTarget, applyComparisonTarget,
+    MAX_RETRIES, MOCK_PRESET, isMockConfig, exportRecordings, parseRecordings, C_SOURCE_EXTENSIONS, ZIG_RESERVED_WORDS, isCSourcePath, isHeaderPath, basename,
+    finalizeProjectFiles, parseIncludes, resolveInclude, buildProjectUnits, buildFileTree, formatFileTree,
+    tokenizeC, scanCSafety, formatSafetyFindings, splitTopLevelDeclarations, buildTypeSummary,
+    stitchZigChunks, extractCSymbols, extractZigSymbols, matchSymbols, diffLines, summarizeDiff, hashString,
+    pickProfileSettings, exportProfile, parseProfile, applyProfileSettings, encodeSharePayload, decodeSharePayload,
+    parseStructuredAnalysis, formatStructuredPlan, ZIG_VERSIONS, checkZigVersion,
+    extractZigOutput, lintZigOutput, MAPPING_RULE_NAME, checkMappingRules, buildZigProjectScaffold, resolveContextLimit, estimatePromptBudget, replyReserveFor,
+    trimAnalysis, CONTEXT_WARNING_RATIO, ANALYSIS_REPLY_TOKENS, MACRO_MAPPINGS, parseDefines, preprocessC, preprocessProject,
+    formatMacroTable, prepareSource, SOURCE_LANGUAGES, CPP_KEYWORDS, CPP_LIKELY_WORDS, CPP_MAPPING_GUIDE, detectSourceLanguage,
+    resolveSourceLanguage, singleFilePromptKey, listDiffTestFunctions, buildDiffCases, buildDiffTestPrompt, diffTestFileNames,
+    diffTestCommands, extractHarnessPair
+} = C2ZigCore;
 
 const SAMPLE_C_CODE = `#include <stdio.h>
 #include <stdlib.h>
@@ -29,241 +45,1425 @@ int main() {
     return 0;
 }`;
 
-const DEFAULT_PROMPTS = {
-    analysis: `Analyze this C/C++ code and create a detailed Zig conversion plan.
+const SAMPLE_CPP_CLASS = `#include <iostream>
+#include <stdexcept>
+#include <string>
+#include <vector>
 
-C/C++ Code:
-\`\`\`c
-{{CODE}}
-\`\`\`
+class Inventory {
+public:
+    explicit Inventory(size_t capacity) : capacity_(capacity), items_(new std::string[capacity]) {}
+    ~Inventory() { delete[] items_; }
 
-Provide a comprehensive analysis including:
+    void add(const std::string& name) {
+        if (count_ == capacity_) throw std::length_error("inventory is full");
+        items_[count_++] = name;
+    }
 
-1. **Safety Issues**: List unsafe patterns (buffer overflows, raw pointers, manual memory management, null pointer risks)
-2. **Memory Management Analysis**: Complexity score (1-10) and key concerns
-3. **Conversion Strategy**: Step-by-step approach for converting to Zig
-4. **Type Mappings**: C types → Zig types (e.g., char* → []const u8, malloc → allocator.alloc)
-5. **Memory Management**: How to handle allocators and ownership
-6. **Error Handling**: Converting C error patterns to Zig error unions
-{{TEST_STRATEGY}}
+    std::vector<std::string> matching(const std::string& prefix) const {
+        std::vector<std::string> result;
+        for (size_t i = 0; i < count_; i++) {
+            if (items_[i].rfind(prefix, 0) == 0) result.push_back(items_[i]);
+        }
+        return result;
+    }
+
+private:
+    size_t capacity_;
+    size_t count_ = 0;
+    std::string* items_;
+};
 
-Keep it detailed but concise. This plan will be used directly for code generation.`,
-    
-    generation: `Convert this C/C++ code to Zig following the analysis and conversion plan.
+int main() {
+    Inventory inventory(2);
+    try {
+        inventory.add("apple");
+        inventory.add("apricot");
+        inventory.add("banana");
+    } catch (const std::length_error& e) {
+        std::cerr << e.what() << std::endl;
+    }
+    for (const auto& item : inventory.matching("ap")) std::cout << item << std::endl;
+    return 0;
+}`;
 
-Safety Level: {{SAFETY_LEVEL}}
-{{SAFETY_HINTS}}
+const SAMPLE_CPP_TEMPLATE = `#include <iostream>
+#include <sstream>
+#include <stdexcept>
+#include <string>
+#include <unordered_map>
+#include <vector>
 
-Conversion Plan:
-{{ANALYSIS}}
+template <typename T>
+class Stack {
+public:
+    void push(const T& value) { items_.push_back(value); }
 
-C/C++ Code:
-\`\`\`c
-{{CODE}}
-\`\`\`
+    T pop() {
+        if (items_.empty()) throw std::out_of_range("pop from an empty stack");
+        T value = items_.back();
+        items_.pop_back();
+        return value;
+    }
 
-Generate complete, working Zig code. Include:
-- Proper memory management with allocators (use std.heap.GeneralPurposeAllocator or appropriate allocator)
-- Error handling with error unions (error!)
-- Type safety with Zig's type system
-- Proper ownership and lifetime management
-{{TEST_INCLUSION}}
-{{COMMENT_PRESERVATION}}
+    bool empty() const { return items_.empty(); }
 
-Output only the Zig code with helpful comments explaining key conversions.`
+private:
+    std::vector<T> items_;
 };
 
-const PRESET_ENDPOINTS = [
-    { name: 'Pollinations AI', url: 'https://text.pollinations.ai/openai', requiresKey: false },
-    { name: 'OpenRouter', url: 'https://openrouter.ai/api/v1/chat/completions', requiresKey: true },
-    { name: 'OpenAI', url: 'https://api.openai.com/v1/chat/completions', requiresKey: true },
-    { name: 'Custom', url: '', requiresKey: false }
+std::unordered_map<std::string, int> countWords(const std::string& text) {
+    std::unordered_map<std::string, int> counts;
+    std::istringstream stream(text);
+    std::string word;
+    while (stream >> word) counts[word]++;
+    return counts;
+}
+
+int main() {
+    Stack<int> stack;
+    stack.push(1);
+    stack.push(2);
+    std::cout << stack.pop() + stack.pop() << std::endl;
+    try {
+        stack.pop();
+    } catch (const std::out_of_range& e) {
+        std::cerr << e.what() << std::endl;
+    }
+    for (const auto& [word, count] : countWords("the cat saw the dog")) {
+        std::cout << word << ": " << count << std::endl;
+    }
+    return 0;
+}`;
+
+const SAMPLES = [
+    { name: 'C: strings and malloc', code: SAMPLE_C_CODE },
+    { name: 'C++: class, RAII and exceptions', code: SAMPLE_CPP_CLASS },
+    { name: 'C++: template and STL containers', code: SAMPLE_CPP_TEMPLATE }
 ];
 
+const formatByteSize = (text) => {
+    const bytes = new TextEncoder().encode(text).length;
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+const formatTokenCount = (tokens) => tokens < 1000 ? String(tokens) : `${(tokens / 1000).toFixed(tokens < 10000 ? 1 : 0)}k`;
+
+const readFileList = async (fileList) => {
+    const files = [];
+    for (const file of Array.from(fileList)) {
+        const path = file.webkitRelativePath || file.name;
+        if (isCSourcePath(path)) {
+            files.push({ path, content: await file.text() });
+        }
+    }
+    return finalizeProjectFiles(files);
+};
+
+const readZipArchive = async (file) => {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('Zip support failed to load');
+    }
+    const zip = await JSZip.loadAsync(file);
+    const files = [];
+    for (const entry of Object.values(zip.files)) {
+        if (!entry.dir && isCSourcePath(entry.name)) {
+            files.push({ path: entry.name, content: await entry.async('string') });
+        }
+    }
+    return finalizeProjectFiles(files);
+};
+
+const readDroppedItems = async (dataTransfer) => {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return readFileList(dataTransfer.files);
+    }
+
+    const droppedFiles = Array.from(dataTransfer.files);
+    if (droppedFiles.length === 1 && droppedFiles[0].name.toLowerCase().endsWith('.zip')) {
+        return readZipArchive(droppedFiles[0]);
+    }
+
+    const files = [];
+    const walk = async (entry, prefix) => {
+        if (entry.isFile) {
+            const path = prefix + entry.name;
+            if (!isCSourcePath(path)) return;
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ path, content: await file.text() });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child, prefix + entry.name + '/');
+                }
+            } while (batch.length > 0);
+        }
+    };
+
+    for (const entry of entries) {
+        await walk(entry, '');
+    }
+    return finalizeProjectFiles(files);
+};
+
+const SEVERITY_STYLES = {
+    high: { dot: 'bg-red-500', text: 'text-red-300' },
+    medium: { dot: 'bg-yellow-500', text: 'text-yellow-300' },
+    low: { dot: 'bg-blue-400', text: 'text-blue-300' }
+};
+
+const C_TYPE_KEYWORDS = ['char', 'double', 'float', 'int', 'long', 'short', 'signed', 'unsigned', 'void', '_Bool', '_Complex', 'bool'];
+
+const ZIG_KEYWORDS = ZIG_RESERVED_WORDS.filter(word => word !== 'std' && word !== 'type');
+
+const ZIG_CONSTANTS = ['true', 'false', 'null', 'undefined'];
+
+const ZIG_PRIMITIVE_TYPE = /^(?:[iu]\d+|f16|f32|f64|f80|f128|usize|isize|c_(?:char|short|ushort|int|uint|long|ulong|longlong|ulonglong|longdouble)|bool|void|noreturn|type|anyerror|anyopaque|anytype|comptime_int|comptime_float)$/;
+
+const ZIG_OPERATORS = ['<<=', '>>=', '+%=', '-%=', '*%=', '+|=', '-|=', '...', '=>', '==', '!=', '<=', '>=', '<<', '>>', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '+%', '-%', '*%', '+|', '-|', '++', '**', '||', '..', '.*', '.?'];
+
+/**
+ * Splits Zig source into tokens shaped like tokenizeC's, for highlighting.
+ */
+const tokenizeZig = (source) => {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    const push = (type, start) => {
+        tokens.push({ type, value: source.slice(start, i), line, start, end: i });
+    };
+    const toLineEnd = () => {
+        while (i < source.length && source[i] !== '\n') i++;
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+        const start = i;
+
+        if (ch === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '/' && source[i + 1] === '/') {
+            toLineEnd();
+            push('comment', start);
+        } else if (ch === '\\' && source[i + 1] === '\\') {
+            toLineEnd();
+            push('string', start);
+        } else if (ch === '"' || ch === '\'') {
+            i++;
+            while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+                if (source[i] === '\\') i++;
+                i++;
+            }
+            i++;
+            push(ch === '"' ? 'string' : 'char', start);
+        } else if (ch === '@' && /[A-Za-z_]/.test(source[i + 1] || '')) {
+            i++;
+            while (i < source.length && /\w/.test(source[i])) i++;
+            push('builtin', start);
+        } else if (/[A-Za-z_]/.test(ch)) {
+            while (i < source.length && /\w/.test(source[i])) i++;
+            const word = source.slice(start, i);
+            push(ZIG_KEYWORDS.includes(word) ? 'keyword'
+                : ZIG_CONSTANTS.includes(word) ? 'constant'
+                : ZIG_PRIMITIVE_TYPE.test(word) ? 'type'
+                : 'identifier', start);
+        } else if (/[0-9]/.test(ch)) {
+            // "0..10" is a range, so a dot only continues the number when a digit follows it
+            while (i < source.length && (/\w/.test(source[i]) || (source[i] === '.' && /[0-9]/.test(source[i + 1] || '')))) {
+                if (/[eEpP]/.test(source[i]) && /[+-]/.test(source[i + 1])) i++;
+                i++;
+            }
+            push('number', start);
+        } else {
+            const op = ZIG_OPERATORS.find(candidate => source.startsWith(candidate, i));
+            i += op ? op.length : 1;
+            push(/[{}()[\];,:]/.test(ch) && !op ? 'punct' : 'operator', start);
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Headings, list markers, emphasis and code for the analysis text.
+ */
+const tokenizeMarkdown = (source) => {
+    const tokens = [];
+    let offset = 0;
+    let inFence = false;
+    source.split('\n').forEach((text, k) => {
+        const add = (type, start, end) => tokens.push({ type, value: text.slice(start, end), line: k + 1, start: offset + start, end: offset + end });
+        if (/^\s*```/.test(text) || inFence) {
+            if (/^\s*```/.test(text)) inFence = !inFence;
+            if (text) add('code', 0, text.length);
+        } else if (/^#{1,6}\s/.test(text)) {
+            add('heading', 0, text.length);
+        } else {
+            const marker = text.match(/^\s*(?:[-*+]|\d+\.)\s/);
+            if (marker) add('punct', 0, marker[0].length);
+            const inline = /`[^`]+`|\*\*[^*]+\*\*/g;
+            let match;
+            while ((match = inline.exec(text))) {
+                add(match[0][0] === '`' ? 'code' : 'strong', match.index, match.index + match[0].length);
+            }
+        }
+        offset += text.length + 1;
+    });
+    return tokens;
+};
+
+// Identifiers directly followed by "(" are shown as function names
+const tokenizeForHighlight = (language, source) => {
+    if (language === 'markdown') return tokenizeMarkdown(source);
+    const tokens = language === 'zig' ? tokenizeZig(source) : tokenizeC(source);
+    return tokens.map((token, k) => {
+        if (token.type === 'identifier' && tokens[k + 1] && tokens[k + 1].value === '(') return { ...token, type: 'function' };
+        if (language === 'cpp' && token.type === 'identifier' && (CPP_KEYWORDS.includes(token.value) || CPP_LIKELY_WORDS.includes(token.value))) return { ...token, type: 'keyword' };
+        if ((language === 'c' || language === 'cpp') && (C_TYPE_KEYWORDS.includes(token.value) || (token.type === 'identifier' && /_t$/.test(token.value)))) return { ...token, type: 'type' };
+        return token;
+    });
+};
+
+const TOKEN_STYLES = {
+    keyword: 'text-purple-400',
+    type: 'text-cyan-300',
+    builtin: 'text-yellow-300',
+    function: 'text-blue-300',
+    string: 'text-green-300',
+    char: 'text-green-300',
+    number: 'text-orange-300',
+    constant: 'text-orange-300',
+    comment: 'text-gray-500',
+    preprocessor: 'text-pink-400',
+    operator: 'text-sky-300',
+    punct: 'text-gray-400',
+    identifier: 'text-gray-200',
+    heading: 'text-blue-300',
+    strong: 'text-white',
+    code: 'text-green-300'
+};
+
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * The bracket touching the caret and its partner, as token start offsets.
+ * An unbalanced bracket comes back alone.
+ */
+const findBracketPair = (tokens, caret) => {
+    const brackets = tokens.filter(token => token.type === 'punct' && token.value.length === 1 && '()[]{}'.includes(token.value));
+    const index = [caret - 1, caret].map(at => brackets.findIndex(token => token.start === at)).find(k => k !== -1);
+    if (index === undefined) return [];
+    const bracket = brackets[index];
+    const opening = bracket.value in BRACKET_PAIRS;
+    const open = opening ? bracket.value : Object.keys(BRACKET_PAIRS).find(key => BRACKET_PAIRS[key] === bracket.value);
+    const close = BRACKET_PAIRS[open];
+    let depth = 0;
+    for (let k = index; k >= 0 && k < brackets.length; k += opening ? 1 : -1) {
+        if (brackets[k].value === open) depth += opening ? 1 : -1;
+        else if (brackets[k].value === close) depth += opening ? -1 : 1;
+        if (depth === 0) return [bracket.start, brackets[k].start];
+    }
+    return [bracket.start];
+};
+
+const commonPrefixLength = (a, b) => {
+    let k = 0;
+    while (k < a.length && k < b.length && a[k] === b[k]) k++;
+    return k;
+};
+
+const EDITOR_LINE_HEIGHT = 20;
+
+/**
+ * Code editor: a transparent textarea over a highlighted copy of the text,
+ * with a line-number gutter that marks the lines the safety scanner flagged
+ * and a clickable list of the findings underneath. Highlighting runs on a
+ * deferred copy of the value so typing and streaming stay responsive; text
+ * past the last tokenized point is shown plain until it catches up.
+ */
+const CodeEditor = ({ value, onChange, language = 'c', findings = [], findingsTitle = '🛡️ Static scan', readOnly = false, follow = false, placeholder, height = 'h-96' }) => {
+    const textareaRef = useRef(null);
+    const gutterRef = useRef(null);
+    const highlightRef = useRef(null);
+    const [caret, setCaret] = useState(null);
+    const deferredValue = useDeferredValue(value);
+    const tokens = useMemo(() => tokenizeForHighlight(language, deferredValue), [language, deferredValue]);
+    const stableLength = commonPrefixLength(value, deferredValue);
+    const brackets = useMemo(() => caret === null || value !== deferredValue ? [] : findBracketPair(tokens, caret), [tokens, caret, value, deferredValue]);
+    const lineCount = value.split('\n').length;
+    const byLine = {};
+    findings.forEach(f => { (byLine[f.line] = byLine[f.line] || []).push(f); });
+
+    const syncScroll = () => {
+        const textarea = textareaRef.current;
+        gutterRef.current.scrollTop = textarea.scrollTop;
+        highlightRef.current.scrollTop = textarea.scrollTop;
+        highlightRef.current.scrollLeft = textarea.scrollLeft;
+    };
+
+    // Keep the newest streamed lines in view
+    useEffect(() => {
+        if (follow && textareaRef.current) {
+            textareaRef.current.scrollTop = textareaRef.current.scrollHeight;
+            syncScroll();
+        }
+    }, [value, follow]);
+
+    const jumpToLine = (line) => {
+        const textarea = textareaRef.current;
+        const offset = value.split('\n').slice(0, line - 1).join('\n').length + (line > 1 ? 1 : 0);
+        textarea.focus();
+        textarea.setSelectionRange(offset, offset + value.split('\n')[line - 1].length);
+        textarea.scrollTop = Math.max(0, (line - 5) * EDITOR_LINE_HEIGHT);
+        syncScroll();
+    };
+
+    const highlighted = [];
+    let position = 0;
+    for (const token of tokens) {
+        if (token.end > stableLength) break;
+        if (token.start < position) continue;
+        if (token.start > position) highlighted.push(value.slice(position, token.start));
+        const bracketStyle = brackets.includes(token.start)
+            ? (brackets.length === 2 ? ' bg-slate-600 rounded-sm' : ' bg-red-900 rounded-sm')
+            : '';
+        highlighted.push(React.createElement('span', { key: token.start, className: TOKEN_STYLES[token.type] + bracketStyle }, value.slice(token.start, token.end)));
+        position = token.end;
+    }
+    // A trailing newline needs a character after it to give the last line its height
+    highlighted.push(value.slice(position) + (value.endsWith('\n') ? ' ' : ''));
+
+    const textStyle = { lineHeight: `${EDITOR_LINE_HEIGHT}px`, tabSize: 4 };
+
+    return React.createElement('div', null,
+        React.createElement('div', { className: `flex ${height} bg-slate-900 border border-slate-600 rounded-lg overflow-hidden font-mono text-sm` },
+            React.createElement('div', {
+                ref: gutterRef,
+                className: 'select-none overflow-hidden py-3 bg-slate-950/50 border-r border-slate-700 text-right text-gray-500'
+            },
+                ...Array.from({ length: lineCount }, (_, k) => {
+                    const lineFindings = byLine[k + 1];
+                    const worst = lineFindings && ['high', 'medium', 'low'].find(s => lineFindings.some(f => f.severity === s));
+                    return React.createElement('div', {
+                        key: k,
+                        title: lineFindings ? lineFindings.map(f => `[${f.severity}] ${f.message}`).join('\n') : undefined,
+                        className: 'flex items-center justify-end gap-1 pl-2 pr-2',
+                        style: { height: `${EDITOR_LINE_HEIGHT}px`, lineHeight: `${EDITOR_LINE_HEIGHT}px` }
+                    },
+                        worst && React.createElement('span', { className: `inline-block w-2 h-2 rounded-full ${SEVERITY_STYLES[worst].dot}` }),
+                        k + 1
+                    );
+                })
+            ),
+            React.createElement('div', { className: 'relative flex-1 min-w-0' },
+                React.createElement('pre', {
+                    ref: highlightRef,
+                    'aria-hidden': true,
+                    className: 'absolute inset-0 m-0 px-4 py-3 overflow-hidden whitespace-pre pointer-events-none text-gray-200 font-mono text-sm',
+                    style: textStyle
+                }, ...highlighted),
+                React.createElement('textarea', {
+                    ref: textareaRef,
+                    value,
+                    onChange,
+                    readOnly: readOnly || !onChange,
+                    onScroll: syncScroll,
+                    onSelect: (e) => setCaret(e.target.selectionStart === e.target.selectionEnd ? e.target.selectionStart : null),
+                    onBlur: () => setCaret(null),
+                    wrap: 'off',
+                    spellCheck: false,
+                    className: 'absolute inset-0 w-full h-full px-4 py-3 bg-transparent text-transparent caret-white placeholder-gray-500 resize-none outline-none whitespace-pre font-mono text-sm',
+                    style: textStyle,
+                    placeholder
+                })
+            )
+        ),
+        findings.length > 0 && React.createElement('details', { className: 'mt-3 bg-slate-900/60 border border-slate-700 rounded-lg' },
+            React.createElement('summary', { className: 'cursor-pointer px-4 py-2 text-sm text-gray-300' },
+                `${findingsTitle}: ${findings.length} finding${findings.length === 1 ? '' : 's'} `,
+                ['high', 'medium', 'low'].map(s => {
+                    const count = findings.filter(f => f.severity === s).length;
+                    return count > 0 && React.createElement('span', { key: s, className: `ml-2 ${SEVERITY_STYLES[s].text}` }, `${count} ${s}`);
+                })
+            ),
+            React.createElement('ul', { className: 'px-4 pb-3 space-y-1 text-sm max-h-48 overflow-y-auto' },
+                ...findings.map((f, k) =>
+                    React.createElement('li', {
+                        key: k,
+                        onClick: () => jumpToLine(f.line),
+                        className: 'cursor-pointer hover:bg-slate-800 rounded px-2 py-1 flex gap-2'
+                    },
+                        React.createElement('span', { className: `${SEVERITY_STYLES[f.severity].text} font-mono shrink-0` }, `L${f.line}`),
+                        React.createElement('span', { className: 'text-gray-500 shrink-0' }, f.rule),
+                        React.createElement('span', { className: 'text-gray-300' }, f.message)
+                    )
+                )
+            )
+        )
+    );
+};
+
+/**
+ * Unified diff view; unchanged runs longer than the context are collapsed.
+ */
+const DiffView = ({ diff, context = 3 }) => {
+    const visible = diff.map((line, k) => line.type !== 'same'
+        || diff.slice(Math.max(0, k - context), k + context + 1).some(near => near.type !== 'same'));
+    const rows = [];
+    let hidden = 0;
+    diff.forEach((line, k) => {
+        if (!visible[k]) {
+            hidden++;
+            return;
+        }
+        if (hidden > 0) {
+            rows.push(React.createElement('div', { key: 'gap' + k, className: 'text-gray-500 bg-slate-800/60 px-2' }, `⋯ ${hidden} unchanged line${hidden === 1 ? '' : 's'}`));
+            hidden = 0;
+        }
+        const style = { add: 'bg-green-900/40 text-green-200', del: 'bg-red-900/40 text-red-200', same: 'text-gray-400' }[line.type];
+        const sign = { add: '+', del: '-', same: ' ' }[line.type];
+        rows.push(React.createElement('div', { key: k, className: `flex whitespace-pre ${style}` },
+            React.createElement('span', { className: 'w-10 shrink-0 text-right pr-2 text-gray-600 select-none' }, line.oldLine || ''),
+            React.createElement('span', { className: 'w-10 shrink-0 text-right pr-2 text-gray-600 select-none' }, line.newLine || ''),
+            React.createElement('span', { className: 'select-none pr-2' }, sign),
+            line.text
+        ));
+    });
+    if (hidden > 0) {
+        rows.push(React.createElement('div', { key: 'gap-end', className: 'text-gray-500 bg-slate-800/60 px-2' }, `⋯ ${hidden} unchanged line${hidden === 1 ? '' : 's'}`));
+    }
+    return React.createElement('div', { className: 'bg-slate-950 border border-slate-700 rounded-lg font-mono text-xs overflow-x-auto max-h-[500px] overflow-y-auto py-1' },
+        rows.length > 0 ? rows : React.createElement('div', { className: 'text-gray-500 px-2' }, 'No changes')
+    );
+};
+
+const SPLIT_LINE_HEIGHT = 20;
+
+/**
+ * C source and Zig output side by side. Clicking a declaration on either
+ * side scrolls to and highlights its counterpart on the other.
+ */
+const SplitView = ({ cSource, zigSource }) => {
+    // C that is still being edited may not parse; it then has nothing to link
+    const cSymbols = useMemo(() => {
+        try {
+            return extractCSymbols(cSource);
+        } catch (err) {
+            return [];
+        }
+    }, [cSource]);
+    const zigSymbols = useMemo(() => extractZigSymbols(zigSource), [zigSource]);
+    const mapping = useMemo(() => matchSymbols(cSymbols, zigSymbols), [cSymbols, zigSymbols]);
+    const [active, setActive] = useState({ c: null, zig: null });
+    const paneRefs = { c: useRef(null), zig: useRef(null) };
+
+    const scrollTo = (side, symbol) => {
+        if (symbol && paneRefs[side].current) {
+            paneRefs[side].current.scrollTop = Math.max(0, (symbol.line - 3) * SPLIT_LINE_HEIGHT);
+        }
+    };
+
+    const select = (side, symbol, scrollOwnSide = false) => {
+        const other = side === 'c' ? 'zig' : 'c';
+        const pair = mapping.pairs.find(p => p[side] === symbol);
+        const counterpart = pair ? pair[other] : null;
+        setActive({ [side]: symbol, [other]: counterpart });
+        scrollTo(other, counterpart);
+        if (scrollOwnSide) scrollTo(side, symbol);
+    };
+
+    // Innermost declaration covering a line, so a click inside a method picks the method
+    const symbolAt = (symbols, line) => symbols
+        .filter(symbol => symbol.line <= line && symbol.endLine >= line)
+        .sort((a, b) => b.line - a.line)[0];
+
+    const renderPane = (side, source, symbols, unmatched) => {
+        const unmatchedSet = new Set(unmatched);
+        const highlighted = active[side];
+        const title = side === 'c' ? 'C source' : 'Zig output';
+        const flag = side === 'c' ? 'Possibly dropped' : 'Possibly invented';
+        return React.createElement('div', { className: 'min-w-0' },
+            React.createElement('div', { className: 'flex justify-between items-baseline mb-2 text-sm' },
+                React.createElement('span', { className: 'text-white font-semibold' }, title),
+                React.createElement('span', { className: 'text-gray-400' }, `${symbols.length - unmatched.length}/${symbols.length} matched`)
+            ),
+            unmatched.length > 0 && React.createElement('div', { className: 'mb-2 text-xs text-orange-300 flex flex-wrap gap-x-2' },
+                `⚠ ${flag}:`,
+                ...unmatched.map(symbol => React.createElement('button', {
+                    key: symbol.name,
+                    onClick: () => select(side, symbol, true),
+                    className: 'font-mono underline decoration-dotted hover:text-orange-200'
+                }, symbol.name))
+            ),
+            React.createElement('div', {
+                ref: paneRefs[side],
+                className: 'bg-slate-900 border border-slate-600 rounded-lg font-mono text-xs leading-5 overflow-auto max-h-[600px] py-1'
+            },
+                ...source.split('\n').map((text, k) => {
+                    const line = k + 1;
+                    const starting = symbols.find(symbol => symbol.line === line);
+                    const inActive = highlighted && line >= highlighted.line && line <= highlighted.endLine;
+                    return React.createElement('div', {
+                        key: k,
+                        onClick: () => {
+                            const symbol = symbolAt(symbols, line);
+                            if (symbol) select(side, symbol);
+                        },
+                        className: `flex cursor-pointer whitespace-pre ${inActive ? 'bg-blue-900/50' : 'hover:bg-slate-800'}`
+                    },
+                        React.createElement('span', { className: 'w-10 shrink-0 text-right pr-2 text-gray-600 select-none' }, line),
+                        React.createElement('span', {
+                            className: `w-4 shrink-0 select-none ${starting && unmatchedSet.has(starting) ? 'text-orange-400' : 'text-green-500'}`,
+                            title: starting ? (unmatchedSet.has(starting) ? `${flag}: no counterpart for ${starting.name}` : `${starting.name} is mapped`) : undefined
+                        }, starting ? (unmatchedSet.has(starting) ? '⚠' : starting.nested && !mapping.pairs.some(p => p[side] === starting) ? '' : '⇄') : ''),
+                        React.createElement('span', { className: 'text-gray-300 pr-4' }, text || ' ')
+                    );
+                })
+            )
+        );
+    };
+
+    return React.createElement('div', { className: 'grid md:grid-cols-2 gap-4' },
+        renderPane('c', cSource, cSymbols, mapping.unmatchedC),
+        renderPane('zig', zigSource, zigSymbols, mapping.unmatchedZig)
+    );
+};
+
+const HISTORY_DB_NAME = 'c2zig_history';
+const HISTORY_STORE = 'runs';
+// Replies recorded for the Mock/Replay preset, by recordingKey
+const RECORDING_STORE = 'recordings';
+
+const openHistoryDB = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, 2);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        if (!db.objectStoreNames.contains(RECORDING_STORE)) db.createObjectStore(RECORDING_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs one request against a store (the runs store by default) and resolves with its result
+const historyRequest = async (mode, makeRequest, storeName = HISTORY_STORE) => {
+    const db = await openHistoryDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+};
+
+const saveHistoryRun = (run) => historyRequest('readwrite', store => store.put(run));
+
+const getHistoryRun = (id) => historyRequest('readonly', store => store.get(id));
+
+const deleteHistoryRun = (id) => historyRequest('readwrite', store => store.delete(id));
+
+const listHistoryRuns = async () => {
+    const runs = await historyRequest('readonly', store => store.getAll());
+    return runs.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+const updateHistoryRun = async (id, patch) => {
+    const run = await getHistoryRun(id);
+    if (!run) return null;
+    const updated = { ...run, ...patch, id, updatedAt: Date.now() };
+    await saveHistoryRun(updated);
+    return updated;
+};
+
+// A recording of the same prompt replaces the older one
+const saveRecording = (entry) => historyRequest('readwrite', store => store.put(entry), RECORDING_STORE);
+
+const listRecordings = async () => {
+    const entries = await historyRequest('readonly', store => store.getAll(), RECORDING_STORE);
+    return entries.sort((a, b) => a.recordedAt - b.recordedAt);
+};
+
+const clearRecordings = () => historyRequest('readwrite', store => store.clear(), RECORDING_STORE);
+
+// Project runs are flattened into one text with a banner per module so two runs can be diffed
+const runOutputText = (run) => run.modules && run.modules.length > 0
+    ? run.modules.map(module => `// ==== ${module.zigFile} ====\n${module.zigCode}`).join('\n\n')
+    : run.zigCode || '';
+
+const formatRunDate = (timestamp) => new Date(timestamp).toLocaleString();
+
 const App = () => {
     const [stage, setStage] = useState('input');
     const [cCode, setCCode] = useState(SAMPLE_C_CODE);
     const [analysis, setAnalysis] = useState('');
+    const [structuredPlan, setStructuredPlan] = useState(null);
     const [zigCode, setZigCode] = useState('');
+    const [zigNotes, setZigNotes] = useState('');
+    const [diffSelection, setDiffSelection] = useState(null);
+    const [diffTests, setDiffTests] = useState(null);
+    const [diffStreaming, setDiffStreaming] = useState(null);
     const [showSettings, setShowSettings] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [settings, setSettings] = useState({
-        endpointPreset: 'Pollinations AI',
-        endpoint: 'https://text.pollinations.ai/openai',
-        apiKey: '',
-        model: 'openai',
-        safetyLevel: 'strict',
-        generateTests: true,
-        preserveComments: true,
-        prompts: DEFAULT_PROMPTS
+        ...DEFAULT_SETTINGS,
+        chunkedConversion: false,
+        comparisonTargets: []
     });
     const [streamingText, setStreamingText] = useState('');
     const [editingPrompt, setEditingPrompt] = useState(null);
+    const [previewingPrompt, setPreviewingPrompt] = useState(false);
+    const [projectFiles, setProjectFiles] = useState([]);
+    const [projectUnits, setProjectUnits] = useState([]);
+    const [selectedFile, setSelectedFile] = useState(null);
+    const [selectedUnit, setSelectedUnit] = useState(null);
+    const [dragActive, setDragActive] = useState(false);
+    const [chunks, setChunks] = useState([]);
+    const [expandedChunk, setExpandedChunk] = useState(null);
+    const [splitView, setSplitView] = useState(false);
+    const [showComparison, setShowComparison] = useState(false);
+    const [comparison, setComparison] = useState(null);
+    const [retryNotice, setRetryNotice] = useState('');
+    const [interrupted, setInterrupted] = useState(null);
+    const [compilerOutput, setCompilerOutput] = useState('');
+    const [repairs, setRepairs] = useState({});
+    const [selectedRepair, setSelectedRepair] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [historyRuns, setHistoryRuns] = useState([]);
+    const [recordings, setRecordings] = useState([]);
+    const [currentRunId, setCurrentRunId] = useState(null);
+    const [historySelection, setHistorySelection] = useState([]);
+    const [historyDiff, setHistoryDiff] = useState(null);
+    const [renamingRun, setRenamingRun] = useState(null);
+    const [renamingProfile, setRenamingProfile] = useState(null);
+    const [profiles, setProfiles] = useState([]);
+    const [activeProfile, setActiveProfile] = useState(null);
+    const [newProfileName, setNewProfileName] = useState('');
+    const [sharedProfile, setSharedProfile] = useState(null);
+    const [shareIncludesCode, setShareIncludesCode] = useState(false);
+    const [shareLinkCopied, setShareLinkCopied] = useState(false);
     const zigCodeRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    const folderInputRef = useRef(null);
+    const zipInputRef = useRef(null);
+    const profileInputRef = useRef(null);
+    const recordingInputRef = useRef(null);
+
+    const isProject = projectFiles.length > 0;
+    const selectedFileContent = (projectFiles.find(f => f.path === selectedFile) || {}).content || '';
+    // C or C++ for the prompts: a project counts as C++ when any of its files is
+    const sourceLanguage = useMemo(() => isProject
+        ? (projectFiles.some(file => resolveSourceLanguage(settings, file.content, file.path) === 'cpp') ? 'cpp' : 'c')
+        : resolveSourceLanguage(settings, cCode), [settings.sourceLanguage, isProject, projectFiles, cCode]);
+    const cppMappings = sourceLanguage === 'cpp' ? CPP_MAPPING_GUIDE : '';
+    const safetyFindings = useMemo(() => scanCSafety(isProject ? selectedFileContent : cCode), [isProject, selectedFileContent, cCode]);
+    // The preprocessing pass with the selected defines, one result per file; null when it is off
+    const preprocessed = useMemo(() => {
+        if (!settings.preprocess) return null;
+        const defines = parseDefines(settings.defines);
+        return isProject ? preprocessProject(projectFiles, defines) : [{ path: '', ...preprocessC(cCode, defines) }];
+    }, [settings.preprocess, settings.defines, isProject, projectFiles, cCode]);
+    const singleSource = preprocessed && !isProject ? preprocessed[0].source : cCode;
+    const projectSource = (path) => {
+        const result = preprocessed && preprocessed.find(r => r.path === path);
+        if (result) return result.source;
+        return (projectFiles.find(f => f.path === path) || {}).content || '';
+    };
+    // The {{MACROS}} table for some files, or all of them
+    const macroTable = (paths) => preprocessed
+        ? formatMacroTable(preprocessed.filter(r => !paths || paths.includes(r.path)).flatMap(r => r.macros))
+        : '';
+    // Safety policy, target-version and mapping-rule findings for a piece of generated Zig
+    const checkZigOutput = (code, cSource = cCode) => [
+        ...lintZigOutput(code, settings.safetyLevel),
+        ...checkZigVersion(code, settings.zigVersion),
+        ...checkMappingRules(cSource, code, settings.mappingRules)
+    ].sort((a, b) => a.line - b.line);
+    const outputFindings = useMemo(() => loading ? [] : checkZigOutput(zigCode),
+        [loading, zigCode, cCode, settings.safetyLevel, settings.zigVersion, settings.mappingRules]);
+    const outputCheckTitle = `🔎 ${settings.safetyLevel} policy · Zig ${settings.zigVersion}`;
 
     useEffect(() => {
         const saved = localStorage.getItem('c2zig_settings');
         if (saved) {
             try {
                 const parsed = JSON.parse(saved);
+                // Older versions saved every template; copies of a default, current or former, are dropped
                 setSettings({
                     ...settings,
                     ...parsed,
-                    prompts: { ...DEFAULT_PROMPTS, ...parsed.prompts }
+                    prompts: { ...DEFAULT_PROMPTS, ...customizedPrompts(parsed.prompts) }
                 });
             } catch (e) {}
         }
+        const savedProfiles = localStorage.getItem('c2zig_profiles');
+        if (savedProfiles) {
+            try {
+                const parsed = JSON.parse(savedProfiles);
+                setProfiles(parsed.profiles || []);
+                setActiveProfile(parsed.active || null);
+            } catch (e) {}
+        }
+        // A #share= link offers its profile (and C snippet); nothing is applied until the user accepts
+        if (location.hash.startsWith('#share=')) {
+            try {
+                const payload = decodeSharePayload(location.hash.slice('#share='.length));
+                setSharedProfile({ ...parseProfile(payload), code: typeof payload.code === 'string' ? payload.code : undefined });
+            } catch (err) {
+                setError(`Could not read the shared link: ${err.message}`);
+            }
+            window.history.replaceState(null, '', location.pathname + location.search);
+        }
     }, []);
 
     useEffect(() => {
-        localStorage.setItem('c2zig_settings', JSON.stringify(settings));
+        // Only customized templates are stored, so changes to the defaults reach existing users
+        localStorage.setItem('c2zig_settings', JSON.stringify({ ...settings, prompts: customizedPrompts(settings.prompts) }));
     }, [settings]);
 
-    const callAPI = async (prompt, systemPrompt = 'You are a helpful assistant that converts C/C++ code to Zig.') => {
-        const headers = {
-            'Content-Type': 'application/json'
-        };
+    // The active profile follows every settings change
+    useEffect(() => {
+        if (activeProfile === null) return;
+        setProfiles(prev => prev.map(profile => profile.name === activeProfile
+            ? { ...profile, settings: pickProfileSettings(settings, { includeApiKey: true }) }
+            : profile));
+    }, [settings, activeProfile]);
+
+    useEffect(() => {
+        localStorage.setItem('c2zig_profiles', JSON.stringify({ active: activeProfile, profiles }));
+    }, [profiles, activeProfile]);
+
+    // Re-stitch the file whenever a chunk finishes, retries or is regenerated
+    useEffect(() => {
+        if (chunks.length > 0 && !chunks.some(chunk => chunk.status === 'generating')) {
+            setZigCode(stitchZigChunks(chunks));
+        }
+    }, [chunks]);
+
+    const beginRequest = () => {
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        return controller.signal;
+    };
+
+    const stopGeneration = () => {
+        if (abortControllerRef.current) {
+            abortControllerRef.current.abort();
+        }
+    };
+
+    const refreshRecordings = async () => {
+        try {
+            setRecordings(await listRecordings());
+        } catch (err) {
+            setError(`Could not load recordings: ${err.message}`);
+        }
+    };
 
-        if (settings.apiKey) {
-            headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    useEffect(() => {
+        if (showSettings) refreshRecordings();
+    }, [showSettings]);
+
+    const recordReply = async (entry) => {
+        try {
+            await saveRecording(entry);
+            if (showSettings) setRecordings(await listRecordings());
+        } catch (err) {
+            setError(`Could not save the recording: ${err.message}`);
+        }
+    };
+
+    // Streams one completion; with partialText the model is asked to pick up where it stopped
+    const streamCompletion = async (prompt, onChunk, { signal, partialText = '', config = settings } = {}) => {
+        // Without stored recordings Mock/Replay still has the canned responses and the demo script
+        const replayable = isMockConfig(config) ? await listRecordings().catch(() => []) : undefined;
+        try {
+            return await requestCompletion(prompt, (text) => {
+                setRetryNotice('');
+                onChunk(text);
+            }, {
+                config,
+                signal,
+                partialText,
+                recordings: replayable,
+                onRecord: settings.recordRequests ? recordReply : undefined,
+                onRetry: (attempt, delay, reason) => {
+                    setRetryNotice(`${reason}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${MAX_RETRIES})`);
+                }
+            });
+        } finally {
+            setRetryNotice('');
         }
+    };
+
+    const describeFailure = (what, err) => err.aborted ? `${what} stopped` : `${what} failed: ${err.message}`;
 
-        const body = {
-            model: settings.model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: prompt }
-            ],
-            stream: true
+    const projectAnalysisVariables = () => {
+        const unitPlan = projectUnits.map(unit =>
+            `- ${unit.zigFile} ← ${unit.files.join(', ')}${unit.deps.length ? ` (imports ${unit.deps.map(d => d + '.zig').join(', ')})` : ''}`
+        ).join('\n');
+        const includeGraph = projectFiles.map(file => {
+            const includes = parseIncludes(file.content)
+                .map(include => resolveInclude(file.path, include, projectFiles.map(f => f.path)))
+                .filter(Boolean);
+            return `- ${file.path}${includes.length ? ' → ' + includes.join(', ') : ' (no project includes)'}`;
+        }).join('\n');
+        const sources = projectFiles.map(file => `// File: ${file.path}\n\`\`\`c\n${projectSource(file.path)}\n\`\`\``).join('\n\n');
+
+        return {
+            FILE_TREE: formatFileTree(buildFileTree(projectFiles.map(f => f.path))).join('\n'),
+            INCLUDE_GRAPH: includeGraph,
+            MODULE_PLAN: unitPlan,
+            FILES: sources,
+            SAFETY_FINDINGS: projectFiles.map(file => formatSafetyFindings(scanCSafety(projectSource(file.path)), file.path)).join('\n'),
+            TEST_STRATEGY: settings.generateTests ? '7. **Test Strategy**: Outline basic tests per module using std.testing' : '',
+            MACROS: macroTable(),
+            CPP_MAPPINGS: cppMappings
         };
+    };
 
-        const response = await fetch(settings.endpoint, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
+    // A structured reply that passes the schema becomes a reviewable plan; anything else stays free text
+    const runAnalysis = async (prompt, partialText = '', structured = false) => {
+        const signal = beginRequest();
+        setLoading(true);
+        setError('');
+        setInterrupted(null);
+        setStage('analyzing');
+        setStreamingText(partialText);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API Error: ${response.status} - ${errorText}`);
+        try {
+            const result = await streamCompletion(prompt, setStreamingText, { signal, partialText });
+            const { plan, errors } = structured ? parseStructuredAnalysis(result) : { plan: null, errors: [] };
+            setStructuredPlan(plan);
+            setAnalysis(plan ? formatStructuredPlan(plan) : result);
+            if (errors.length > 0) {
+                setError(`The structured analysis does not match the schema, so it is kept as free text: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (and ${errors.length - 3} more)` : ''}`);
+            }
+            setStage('analyzed');
+            setLoading(false);
+        } catch (err) {
+            setStructuredPlan(null);
+            if (err.partialText) {
+                setAnalysis(err.partialText);
+                setInterrupted({ step: 'analysis', prompt, structured });
+                setError(`${describeFailure('Analysis', err)}. The partial plan was kept and can be continued.`);
+                setStage('analyzed');
+            } else {
+                setError(describeFailure('Analysis', err));
+                setStage('input');
+            }
+            setLoading(false);
         }
+    };
+
+    const analyzeAndPlan = () => {
+        if (isProject) return runAnalysis(renderPrompt(settings, 'projectAnalysis', projectAnalysisVariables()));
+        return settings.structuredAnalysis
+            ? runAnalysis(buildStructuredAnalysisPrompt(settings, cCode), '', true)
+            : runAnalysis(buildAnalysisPrompt(settings, cCode));
+    };
 
-        return response;
+    // Review edits to the structured plan; only its accepted items reach the generation prompt
+    const updateStructuredPlan = (section, id, patch) => {
+        const next = {
+            ...structuredPlan,
+            [section]: structuredPlan[section].map(item => item.id === id ? { ...item, ...patch } : item)
+        };
+        setStructuredPlan(next);
+        setAnalysis(formatStructuredPlan(next));
     };
 
-    const processStream = async (response, onChunk) => {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullText = '';
+    const setAllPlanItems = (status) => {
+        const next = { ...structuredPlan };
+        ['issues', 'typeMappings', 'ownership', 'tests'].forEach(section => {
+            next[section] = structuredPlan[section].map(item => ({ ...item, status }));
+        });
+        setStructuredPlan(next);
+        setAnalysis(formatStructuredPlan(next));
+    };
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
+    const addTypeMapping = () => {
+        const next = {
+            ...structuredPlan,
+            typeMappings: [...structuredPlan.typeMappings, { c: '', zig: '', note: '', id: `type-added-${Date.now()}`, status: 'accepted' }]
+        };
+        setStructuredPlan(next);
+        setAnalysis(formatStructuredPlan(next));
+    };
 
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n');
+    // Snapshots the current conversion into the history store; pass update to amend the open run
+    const recordRun = async ({ zigCode: outputCode = '', zigNotes: outputNotes = '', modules = [], runRepairs = repairs, update = false, config = settings, chunked = settings.chunkedConversion }) => {
+        const promptKeys = isProject
+            ? ['projectAnalysis', 'projectGeneration']
+            : [structuredPlan ? 'structuredAnalysis' : sourceLanguage === 'cpp' ? 'cppAnalysis' : 'analysis', chunked ? 'chunkGeneration' : singleFilePromptKey(config, 'generation', cCode)];
+        if (Object.keys(runRepairs).length > 0) promptKeys.push('repair');
+        const snapshot = {
+            kind: isProject ? 'project' : chunked ? 'chunked' : 'single',
+            cCode: isProject ? '' : cCode,
+            projectFiles: isProject ? projectFiles : [],
+            analysis,
+            structuredPlan: isProject ? null : structuredPlan,
+            zigCode: isProject ? '' : outputCode,
+            zigNotes: isProject ? '' : outputNotes,
+            modules,
+            model: config.model,
+            endpoint: config.endpoint,
+            adapter: config.adapter,
+            safetyLevel: settings.safetyLevel,
+            zigVersion: settings.zigVersion,
+            sourceLanguage,
+            prompts: Object.fromEntries(promptKeys.map(key => [key, settings.prompts[key]])),
+            promptVersions: Object.fromEntries(promptKeys.map(key => [key, hashString(settings.prompts[key])])),
+            repairs: runRepairs
+        };
 
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6);
-                    if (data === '[DONE]') continue;
-                    
-                    try {
-                        const parsed = JSON.parse(data);
-                        const content = parsed.choices?.[0]?.delta?.content || '';
-                        if (content) {
-                            fullText += content;
-                            onChunk(fullText);
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
-                }
+        try {
+            if (update && currentRunId !== null) {
+                await updateHistoryRun(currentRunId, snapshot);
+            } else {
+                const firstFunction = splitTopLevelDeclarations(cCode).find(chunk => chunk.kind === 'function');
+                const label = isProject ? `${projectFiles.length}-file project` : firstFunction ? `${firstFunction.name}()` : 'C snippet';
+                const now = Date.now();
+                setCurrentRunId(await saveHistoryRun({ ...snapshot, name: `${label} · ${config.model}`, createdAt: now, updatedAt: now }));
             }
+            if (showHistory) setHistoryRuns(await listHistoryRuns());
+        } catch (err) {
+            setError(`Could not save run to history: ${err.message}`);
         }
+    };
+
+    const projectModules = (units, codeByName) => units.map(unit => ({
+        zigFile: unit.zigFile,
+        files: unit.files,
+        zigCode: codeByName[unit.name] || '',
+        notes: unit.notes || ''
+    }));
+
+    const updateProjectUnit = (name, patch) => {
+        setProjectUnits(prev => prev.map(unit => unit.name === name ? { ...unit, ...patch } : unit));
+    };
 
-        return fullText;
+    const projectUnitVariables = (unit, convertedCode) => {
+        const imports = unit.deps.map(dep => `const ${dep} = @import("${dep}.zig");`).join('\n') || '(none)';
+        const dependencyCode = unit.deps.map(dep =>
+            convertedCode[dep]
+                ? `// ${dep}.zig\n\`\`\`zig\n${convertedCode[dep]}\n\`\`\``
+                : `// ${dep}.zig has not been converted yet; infer its API from the plan`
+        ).join('\n\n') || '(none)';
+        const moduleCode = unit.files.map(path => `// File: ${path}\n\`\`\`c\n${projectSource(path)}\n\`\`\``).join('\n\n');
+
+        return {
+            ANALYSIS: analysis,
+            MODULE_FILE: unit.zigFile,
+            MODULE_SOURCES: unit.files.join(', '),
+            IMPORTS: imports,
+            DEPENDENCY_CODE: dependencyCode,
+            MODULE_CODE: moduleCode,
+            MACROS: macroTable(unit.files),
+            CPP_MAPPINGS: cppMappings
+        };
     };
 
-    const fillPromptTemplate = (template, vars) => {
-        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => vars[key] || match);
+    // Converts one module, giving the model the Zig already generated for the modules it imports
+    const convertProjectUnit = async (unit, convertedCode, signal, partialText = '') => {
+        const prompt = renderPrompt(settings, 'projectGeneration', projectUnitVariables(unit, convertedCode));
+
+        setSelectedUnit(unit.name);
+        updateProjectUnit(unit.name, { status: 'generating', zigCode: partialText, error: '', partial: false });
+        try {
+            const result = await streamCompletion(prompt, (text) => updateProjectUnit(unit.name, { zigCode: text }), { signal, partialText });
+            const { code, notes } = extractZigOutput(result);
+            updateProjectUnit(unit.name, { status: 'done', zigCode: code, notes });
+            return code;
+        } catch (err) {
+            updateProjectUnit(unit.name, { status: 'error', error: err.aborted ? 'Stopped' : err.message, zigCode: err.partialText || '', partial: Boolean(err.partialText) });
+            return null;
+        }
     };
 
-    const analyzeAndPlan = async () => {
+    const generateProjectModules = async () => {
+        const signal = beginRequest();
         setLoading(true);
         setError('');
-        setStage('analyzing');
-        setStreamingText('');
+        setStage('generating');
+        setCurrentRunId(null);
+        setProjectUnits(prev => prev.map(unit => ({ ...unit, status: 'pending', zigCode: '', error: '', partial: false })));
 
-        const safetyHints = {
-            strict: 'Use strict safety: allocators, error unions, no unsafe blocks',
-            balanced: 'Balance safety and C compatibility where needed',
-            permissive: 'Allow some unsafe for direct C interop'
-        };
+        const convertedCode = {};
+        const failed = [];
+        for (const unit of projectUnits) {
+            const result = await convertProjectUnit(unit, convertedCode, signal);
+            if (result === null) failed.push(unit.zigFile);
+            else convertedCode[unit.name] = result;
+            if (signal.aborted) break;
+        }
+
+        setLoading(false);
+        setStage('complete');
+        if (Object.keys(convertedCode).length > 0) {
+            recordRun({ modules: projectModules(projectUnits, convertedCode), runRepairs: {} });
+        }
+        if (signal.aborted) {
+            setError('Code generation stopped. Convert the remaining modules below.');
+        } else if (failed.length > 0) {
+            setError(`Code generation failed for ${failed.join(', ')}. Retry the failed modules below.`);
+        } else {
+            setTimeout(() => {
+                if (zigCodeRef.current) {
+                    createConfetti(zigCodeRef.current);
+                }
+            }, 300);
+        }
+    };
 
-        const prompt = fillPromptTemplate(settings.prompts.analysis, {
-            CODE: cCode,
-            TEST_STRATEGY: settings.generateTests ? '7. **Test Strategy**: Outline basic tests using std.testing' : ''
+    const retryProjectUnit = async (unit, continuePartial = false) => {
+        const convertedCode = {};
+        projectUnits.forEach(u => {
+            if (u.status === 'done') convertedCode[u.name] = u.zigCode;
         });
+        const signal = beginRequest();
+        setLoading(true);
+        setError('');
+        const result = await convertProjectUnit(unit, convertedCode, signal, continuePartial ? unit.zigCode : '');
+        setLoading(false);
+        if (result !== null) {
+            const codeByName = Object.fromEntries(projectUnits.map(u => [u.name, u.zigCode]));
+            recordRun({ modules: projectModules(projectUnits, { ...codeByName, [unit.name]: result }), update: true });
+        }
+    };
+
+    const updateChunk = (id, patch) => {
+        setChunks(prev => prev.map(chunk => chunk.id === id ? { ...chunk, ...patch } : chunk));
+    };
+
+    const chunkVariables = (chunk, typeSummary) => ({
+        ANALYSIS: analysis,
+        TYPE_SUMMARY: typeSummary,
+        CHUNK_KIND: chunk.kind,
+        CHUNK_NAME: chunk.name || '(unnamed)',
+        CHUNK_LINES: `${chunk.startLine}-${chunk.endLine}`,
+        CHUNK: chunk.text,
+        TEST_INCLUSION: settings.generateTests && chunk.kind === 'function' ? '- Basic tests for this function using std.testing' : '',
+        MACROS: macroTable(),
+        CPP_MAPPINGS: cppMappings
+    });
+
+    const convertChunk = async (chunk, typeSummary, signal, partialText = '') => {
+        const prompt = renderPrompt(settings, 'chunkGeneration', chunkVariables(chunk, typeSummary));
 
+        updateChunk(chunk.id, { status: 'generating', zigCode: partialText, error: '', partial: false });
         try {
-            const response = await callAPI(prompt);
-            const result = await processStream(response, setStreamingText);
-            setAnalysis(result);
-            setStage('analyzed');
-            setLoading(false);
+            const result = await streamCompletion(prompt, (text) => updateChunk(chunk.id, { zigCode: text }), { signal, partialText });
+            updateChunk(chunk.id, { status: 'done', zigCode: result });
+            return result;
         } catch (err) {
-            setError(`Analysis failed: ${err.message}`);
-            setLoading(false);
-            setStage('input');
+            updateChunk(chunk.id, { status: 'error', error: err.aborted ? 'Stopped' : err.message, zigCode: err.partialText || '', partial: Boolean(err.partialText) });
+            return null;
         }
     };
 
-    const generateZigCode = async () => {
+    const generateChunked = async () => {
+        const signal = beginRequest();
         setLoading(true);
         setError('');
         setStage('generating');
         setStreamingText('');
+        setZigCode('');
+        setZigNotes('');
+        setCurrentRunId(null);
 
-        const safetyHints = {
-            strict: 'Use strict safety: allocators, error unions, no unsafe blocks',
-            balanced: 'Balance safety and C compatibility where needed',
-            permissive: 'Allow some unsafe for direct C interop'
-        };
-
-        const prompt = fillPromptTemplate(settings.prompts.generation, {
-            SAFETY_LEVEL: settings.safetyLevel,
-            SAFETY_HINTS: safetyHints[settings.safetyLevel],
-            ANALYSIS: analysis,
-            CODE: cCode,
-            TEST_INCLUSION: settings.generateTests ? '- Basic tests using std.testing' : '',
-            COMMENT_PRESERVATION: settings.preserveComments ? '- Preserve original intent in comments' : ''
+        const declarations = splitTopLevelDeclarations(singleSource);
+        const definedFunctions = declarations.filter(d => d.kind === 'function').map(d => d.name);
+        const prepared = declarations.map(chunk => {
+            const skip = (chunk.kind === 'preprocessor' && !/^\s*#\s*define/m.test(chunk.text))
+                || (chunk.kind === 'prototype' && definedFunctions.includes(chunk.name));
+            return { ...chunk, status: skip ? 'skipped' : 'pending', zigCode: '', error: '' };
         });
+        const typeSummary = buildTypeSummary(declarations);
+        setChunks(prepared);
 
-        try {
-            const response = await callAPI(prompt);
-            const result = await processStream(response, setStreamingText);
-            setZigCode(result);
-            setStage('complete');
-            setLoading(false);
-            
+        const converted = {};
+        let failed = 0;
+        for (const chunk of prepared.filter(c => c.status === 'pending')) {
+            const result = await convertChunk(chunk, typeSummary, signal);
+            if (result === null) failed++;
+            else converted[chunk.id] = result;
+            if (signal.aborted) break;
+        }
+
+        setLoading(false);
+        setStage('complete');
+        if (Object.keys(converted).length > 0) {
+            recordRun({ zigCode: stitchZigChunks(prepared.map(chunk => ({ ...chunk, zigCode: converted[chunk.id] || '' }))), runRepairs: {} });
+        }
+        if (signal.aborted) {
+            setError('Code generation stopped. Convert the remaining declarations below.');
+        } else if (failed > 0) {
+            setError(`${failed} declaration${failed === 1 ? '' : 's'} failed to convert. Retry them below.`);
+        } else {
             setTimeout(() => {
                 if (zigCodeRef.current) {
                     createConfetti(zigCodeRef.current);
                 }
             }, 300);
-        } catch (err) {
-            setError(`Code generation failed: ${err.message}`);
-            setLoading(false);
-            setStage('analyzed');
         }
     };
 
-    const createConfetti = (element) => {
-        const shields = ['🛡️', '✅', '🎉', '⚡'];
-        for (let i = 0; i < 20; i++) {
-            const shield = document.createElement('div');
+    const regenerateChunk = async (chunk, continuePartial = false) => {
+        const signal = beginRequest();
+        setLoading(true);
+        setError('');
+        const result = await convertChunk(chunk, buildTypeSummary(chunks), signal, continuePartial ? chunk.zigCode : '');
+        setLoading(false);
+        if (result !== null) {
+            recordRun({ zigCode: stitchZigChunks(chunks.map(c => c.id === chunk.id ? { ...c, zigCode: result } : c)), update: true });
+        }
+    };
+
+    const generateZigCode = async () => {
+        if (isProject) {
+            return generateProjectModules();
+        }
+        if (settings.chunkedConversion) {
+            return generateChunked();
+        }
+        setChunks([]);
+        return runGeneration(buildGenerationPrompt(settings, analysis, cCode));
+    };
+
+    const runGeneration = async (prompt, partialText = '') => {
+        const signal = beginRequest();
+        setLoading(true);
+        setError('');
+        setInterrupted(null);
+        setStage('generating');
+        setStreamingText(partialText);
+
+        try {
+            const result = await streamCompletion(prompt, setStreamingText, { signal, partialText });
+            const { code, notes } = extractZigOutput(result);
+            setZigCode(code);
+            setZigNotes(notes);
+            setStage('complete');
+            setLoading(false);
+            recordRun({ zigCode: code, zigNotes: notes, runRepairs: {}, update: Boolean(partialText) });
+            
+            setTimeout(() => {
+                if (zigCodeRef.current) {
+                    createConfetti(zigCodeRef.current);
+                }
+            }, 300);
+        } catch (err) {
+            if (err.partialText) {
+                setZigCode(err.partialText);
+                setZigNotes('');
+                recordRun({ zigCode: err.partialText, runRepairs: {}, update: Boolean(partialText) });
+                setInterrupted({ step: 'generation', prompt });
+                setError(`${describeFailure('Code generation', err)}. The partial Zig code was kept and can be continued.`);
+                setStage('complete');
+            } else {
+                setError(describeFailure('Code generation', err));
+                setStage('analyzed');
+            }
+            setLoading(false);
+        }
+    };
+
+    const continueInterrupted = () => {
+        if (interrupted.step === 'analysis') {
+            runAnalysis(interrupted.prompt, analysis, interrupted.structured);
+        } else {
+            runGeneration(interrupted.prompt, zigCode);
+        }
+    };
+
+    const updateComparisonTarget = (id, patch) => {
+        setSettings({
+            ...settings,
+            comparisonTargets: settings.comparisonTargets.map(target => target.id === id ? { ...target, ...patch } : target)
+        });
+    };
+
+    const changeComparisonPreset = (target, presetName) => {
+        const preset = PRESET_ENDPOINTS.find(p => p.name === presetName);
+        if (preset) {
+            updateComparisonTarget(target.id, {
+                endpointPreset: presetName,
+                endpoint: preset.url || target.endpoint,
+                adapter: preset.adapter || target.adapter
+            });
+        }
+    };
+
+    // Runs the whole-file generation prompt against every comparison target at once
+    const runComparison = async () => {
+        const targets = settings.comparisonTargets;
+        const prompt = buildGenerationPrompt(settings, analysis, cCode);
+        const signal = beginRequest();
+        const startedAt = Date.now();
+        setLoading(true);
+        setError('');
+        setComparison({
+            winner: null,
+            results: targets.map(target => ({ target, status: 'generating', text: '', error: '', elapsedMs: 0 }))
+        });
+        const updateResult = (id, patch) => setComparison(prev => ({
+            ...prev,
+            results: prev.results.map(result => result.target.id === id ? { ...result, ...patch, elapsedMs: Date.now() - startedAt } : result)
+        }));
+
+        await Promise.all(targets.map(async (target) => {
+            try {
+                const text = await streamCompletion(prompt, (partial) => updateResult(target.id, { text: partial }), {
+                    signal,
+                    config: applyComparisonTarget(settings, target)
+                });
+                const { code, notes } = extractZigOutput(text);
+                updateResult(target.id, { status: 'done', text: code, notes });
+            } catch (err) {
+                updateResult(target.id, { status: 'error', error: err.aborted ? 'Stopped' : err.message, text: err.partialText || '' });
+            }
+        }));
+        setLoading(false);
+    };
+
+    // Carries the winning output forward and makes its endpoint and model the current ones
+    const chooseWinner = (result) => {
+        const config = applyComparisonTarget(settings, result.target);
+        setSettings(config);
+        setComparison(prev => ({ ...prev, winner: result.target.id }));
+        setChunks([]);
+        setZigCode(result.text);
+        setZigNotes(result.notes || '');
+        setRepairs({});
+        setSelectedRepair(null);
+        setInterrupted(null);
+        setStage('complete');
+        recordRun({ zigCode: result.text, zigNotes: result.notes, runRepairs: {}, config, chunked: false });
+    };
+
+    const applyZigCode = (targetKey, code, notes = '') => {
+        if (targetKey) {
+            updateProjectUnit(targetKey, { zigCode: code, notes });
+        } else {
+            setZigCode(code);
+            setZigNotes(notes);
+        }
+    };
+
+    const repairVariables = (currentCode) => ({
+        CODE: isProject
+            ? activeUnit.files.map(path => `// File: ${path}\n${(projectFiles.find(f => f.path === path) || {}).content || ''}`).join('\n\n')
+            : cCode,
+        ZIG_CODE: currentCode,
+        COMPILER_ERRORS: compilerOutput
+    });
+
+    // Each repair iteration patches the current Zig code using pasted compiler output
+    const repairZigCode = async () => {
+        const targetKey = isProject ? selectedUnit : '';
+        const currentCode = isProject ? activeUnit.zigCode : zigCode;
+        let history = repairs[targetKey] || [{ n: 0, errors: '', code: currentCode }];
+        if (history[history.length - 1].code !== currentCode) {
+            history = [...history, { n: history.length, errors: '', code: currentCode, edited: true }];
+        }
+        const prompt = renderPrompt(settings, 'repair', repairVariables(currentCode));
+
+        const signal = beginRequest();
+        setLoading(true);
+        setError('');
+        setStage('repairing');
+        setStreamingText('');
+
+        try {
+            const result = await streamCompletion(prompt, setStreamingText, { signal });
+            const { code, notes } = extractZigOutput(result);
+            const next = [...history, { n: history.length, errors: compilerOutput, code }];
+            setRepairs(prev => ({ ...prev, [targetKey]: next }));
+            setSelectedRepair(next.length - 1);
+            applyZigCode(targetKey, code, notes);
+            setCompilerOutput('');
+            recordRun({
+                zigCode: isProject ? '' : code,
+                zigNotes: isProject ? '' : notes,
+                modules: isProject ? projectModules(projectUnits, { ...Object.fromEntries(projectUnits.map(u => [u.name, u.zigCode])), [targetKey]: code }) : [],
+                runRepairs: { ...repairs, [targetKey]: next },
+                update: true
+            });
+        } catch (err) {
+            setError(describeFailure('Repair', err));
+        }
+        setLoading(false);
+        setStage('complete');
+    };
+
+    // Single C files only: the harness includes the C source and calls its functions directly
+    // Recomputed on every edit, so C that does not parse yet just lists no functions
+    const diffFunctions = useMemo(() => {
+        if (!settings.differentialTests || isProject || sourceLanguage !== 'c') return [];
+        try {
+            return listDiffTestFunctions(cCode);
+        } catch (err) {
+            return [];
+        }
+    }, [settings.differentialTests, isProject, sourceLanguage, cCode]);
+    const chosenDiffFunctions = diffFunctions.filter(fn => !fn.reason && (!diffSelection || diffSelection.includes(fn.name)));
+    const diffFileNames = diffTestFileNames('converted.zig');
+
+    const toggleDiffFunction = (name) => {
+        const current = chosenDiffFunctions.map(fn => fn.name);
+        setDiffSelection(current.includes(name) ? current.filter(n => n !== name) : [...current, name]);
+    };
+
+    const generateDiffTests = async () => {
+        const prompt = buildDiffTestPrompt(settings, { code: cCode, zigCode, functions: chosenDiffFunctions, names: diffFileNames });
+        const signal = beginRequest();
+        setLoading(true);
+        setError('');
+        setDiffStreaming('');
+        try {
+            const result = await streamCompletion(prompt, setDiffStreaming, { signal });
+            const pair = extractHarnessPair(result);
+            setDiffTests(pair);
+            if (!pair.cHarness || !pair.zigTest) {
+                setError(`The reply is missing the ${!pair.cHarness ? 'C harness' : 'Zig test file'}; generate the harnesses again.`);
+            }
+        } catch (err) {
+            setError(describeFailure('Differential test generation', err));
+        }
+        setDiffStreaming(null);
+        setLoading(false);
+    };
+
+    // Everything needed to run the comparison locally: the C source and Zig code under the names the harnesses use
+    const downloadDiffTests = async () => {
+        const zip = new JSZip();
+        zip.file(diffFileNames.cFile, cCode);
+        zip.file(diffFileNames.zigFile, zigCode);
+        zip.file(diffFileNames.harness, diffTests.cHarness);
+        zip.file(diffFileNames.test, diffTests.zigTest);
+        zip.file('README.md', ['# Differential tests', '', '```sh', ...diffTestCommands(diffFileNames), '```', ''].join('\n'));
+        downloadFile(await zip.generateAsync({ type: 'blob' }), 'converted-diff-tests.zip');
+    };
+
+    const createConfetti = (element) => {
+        const shields = ['🛡️', '✅', '🎉', '⚡'];
+        for (let i = 0; i < 20; i++) {
+            const shield = document.createElement('div');
             shield.textContent = shields[Math.floor(Math.random() * shields.length)];
             shield.className = 'confetti';
             shield.style.left = Math.random() * 100 + '%';
@@ -273,65 +1473,1377 @@ const App = () => {
         }
     };
 
-    const reset = () => {
-        setStage('input');
-        setAnalysis('');
-        setZigCode('');
-        setError('');
-        setStreamingText('');
+    const reset = () => {
+        setStage('input');
+        setAnalysis('');
+        setStructuredPlan(null);
+        setZigCode('');
+        setZigNotes('');
+        setError('');
+        setStreamingText('');
+        setInterrupted(null);
+        setChunks([]);
+        setRepairs({});
+        setSelectedRepair(null);
+        setCompilerOutput('');
+        setComparison(null);
+        setDiffSelection(null);
+        setDiffTests(null);
+        setProjectUnits(prev => prev.map(unit => ({ ...unit, status: 'pending', zigCode: '', error: '' })));
+    };
+
+    const openHistory = async () => {
+        setShowHistory(true);
+        try {
+            setHistoryRuns(await listHistoryRuns());
+        } catch (err) {
+            setError(`Could not load history: ${err.message}`);
+        }
+    };
+
+    // Restores a saved run as if it had just finished converting
+    const openRun = (run) => {
+        setError('');
+        setInterrupted(null);
+        setStreamingText('');
+        setChunks([]);
+        setCompilerOutput('');
+        setSelectedRepair(null);
+        setAnalysis(run.analysis);
+        setStructuredPlan(run.structuredPlan || null);
+        setRepairs(run.repairs || {});
+        if (run.kind === 'project') {
+            const units = buildProjectUnits(run.projectFiles).map(unit => {
+                const module = run.modules.find(m => m.zigFile === unit.zigFile);
+                const code = module ? module.zigCode : '';
+                return { ...unit, status: code ? 'done' : 'pending', zigCode: code, notes: module ? module.notes || '' : '', error: '' };
+            });
+            setProjectFiles(run.projectFiles);
+            setProjectUnits(units);
+            setSelectedFile(run.projectFiles[0].path);
+            setSelectedUnit(units[0].name);
+            setZigCode('');
+            setZigNotes('');
+        } else {
+            clearProject();
+            setCCode(run.cCode);
+            setZigCode(run.zigCode);
+            setZigNotes(run.zigNotes || '');
+        }
+        setCurrentRunId(run.id);
+        setStage('complete');
+        setShowHistory(false);
+    };
+
+    const renameRun = async (id, name) => {
+        setRenamingRun(null);
+        if (!name.trim()) return;
+        await updateHistoryRun(id, { name: name.trim() });
+        setHistoryRuns(await listHistoryRuns());
+    };
+
+    const removeRun = async (id) => {
+        await deleteHistoryRun(id);
+        if (currentRunId === id) setCurrentRunId(null);
+        setHistorySelection(prev => prev.filter(selected => selected !== id));
+        setHistoryRuns(await listHistoryRuns());
+    };
+
+    const toggleHistorySelection = (id) => {
+        setHistorySelection(prev => prev.includes(id)
+            ? prev.filter(selected => selected !== id)
+            : [...prev, id].slice(-2));
+    };
+
+    // Diffs the older of the two selected runs against the newer one
+    const compareSelectedRuns = () => {
+        const [older, newer] = historyRuns
+            .filter(run => historySelection.includes(run.id))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        setHistoryDiff({ older, newer, diff: diffLines(runOutputText(older), runOutputText(newer)) });
+    };
+
+    const loadProject = async (readFiles) => {
+        setError('');
+        try {
+            const files = await readFiles();
+            if (files.length === 0) {
+                setError(`No C/C++ source files found (looked for ${C_SOURCE_EXTENSIONS.join(', ')})`);
+                return;
+            }
+            const units = buildProjectUnits(files).map(unit => ({ ...unit, status: 'pending', zigCode: '', error: '' }));
+            setProjectFiles(files);
+            setProjectUnits(units);
+            setSelectedFile(files[0].path);
+            setSelectedUnit(units[0].name);
+            setAnalysis('');
+            setZigCode('');
+            setZigNotes('');
+        } catch (err) {
+            setError(`Could not read project: ${err.message}`);
+        }
+    };
+
+    const clearProject = () => {
+        setProjectFiles([]);
+        setProjectUnits([]);
+        setSelectedFile(null);
+        setSelectedUnit(null);
+    };
+
+    const updateProjectFile = (path, content) => {
+        setProjectFiles(prev => prev.map(file => file.path === path ? { ...file, content } : file));
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragActive(false);
+        const { dataTransfer } = e;
+        loadProject(() => readDroppedItems(dataTransfer));
+    };
+
+    const downloadFile = (content, filename) => {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const downloadProjectZip = async () => {
+        const zip = new JSZip();
+        projectUnits.filter(unit => unit.zigCode).forEach(unit => zip.file(unit.zigFile, unit.zigCode));
+        zip.file('ANALYSIS.md', analysis);
+        downloadFile(await zip.generateAsync({ type: 'blob' }), 'converted-zig.zip');
+    };
+
+    // A .zip that builds as soon as it is unpacked: build.zig, build.zig.zon, src/ and a README with the analysis
+    const exportZigProject = async () => {
+        const modules = isProject
+            ? projectUnits.map(unit => ({ zigFile: unit.zigFile, zigCode: unit.zigCode }))
+            : [{ zigFile: 'main.zig', zigCode }];
+        const zip = new JSZip();
+        buildZigProjectScaffold({
+            name: 'converted',
+            modules,
+            analysis,
+            zigVersion: settings.zigVersion,
+            generateTests: settings.generateTests
+        }).forEach(file => zip.file(`converted/${file.path}`, file.content));
+        downloadFile(await zip.generateAsync({ type: 'blob' }), 'converted-zig-project.zip');
+    };
+
+    const copyToClipboard = (text) => {
+        navigator.clipboard.writeText(text);
+    };
+
+    const handleEndpointPresetChange = (presetName) => {
+        const preset = PRESET_ENDPOINTS.find(p => p.name === presetName);
+        if (preset) {
+            setSettings({
+                ...settings,
+                endpointPreset: presetName,
+                endpoint: preset.url || settings.endpoint,
+                adapter: preset.adapter || settings.adapter
+            });
+        }
+    };
+
+    const uniqueProfileName = (name, except = null) => {
+        const taken = profiles.map(profile => profile.name).filter(taken => taken !== except);
+        let candidate = name;
+        for (let n = 2; taken.includes(candidate); n++) candidate = `${name} (${n})`;
+        return candidate;
+    };
+
+    const switchProfile = (name) => {
+        const profile = profiles.find(p => p.name === name);
+        setActiveProfile(profile ? profile.name : null);
+        if (profile) setSettings(applyProfileSettings({ ...settings, apiKey: '' }, profile.settings));
+    };
+
+    const saveProfileAs = () => {
+        const name = uniqueProfileName(newProfileName.trim() || 'Profile');
+        setProfiles([...profiles, { name, settings: pickProfileSettings(settings, { includeApiKey: true }) }]);
+        setActiveProfile(name);
+        setNewProfileName('');
+    };
+
+    const renameProfile = (oldName, newName) => {
+        const name = uniqueProfileName(newName.trim() || oldName, oldName);
+        setProfiles(profiles.map(profile => profile.name === oldName ? { ...profile, name } : profile));
+        if (activeProfile === oldName) setActiveProfile(name);
+        setRenamingProfile(null);
+    };
+
+    const deleteProfile = (name) => {
+        setProfiles(profiles.filter(profile => profile.name !== name));
+        if (activeProfile === name) setActiveProfile(null);
+    };
+
+    const exportProfileFile = (profile) => {
+        const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+        downloadFile(JSON.stringify(exportProfile(profile.name, profile.settings), null, 2), `${slug}.c2zig-profile.json`);
+    };
+
+    // Imported and shared profiles come without a key; the current one is only kept for the same endpoint
+    const adoptProfile = ({ name, settings: profileSettings }, { save }) => {
+        const next = applyProfileSettings(settings, profileSettings);
+        if (next.endpoint !== settings.endpoint) next.apiKey = '';
+        setSettings(next);
+        if (save) {
+            const unique = uniqueProfileName(name);
+            setProfiles([...profiles, { name: unique, settings: pickProfileSettings(next, { includeApiKey: true }) }]);
+            setActiveProfile(unique);
+        } else {
+            setActiveProfile(null);
+        }
+    };
+
+    const exportRecordingFile = () => {
+        downloadFile(JSON.stringify(exportRecordings(recordings), null, 2), 'c2zig-recordings.json');
+    };
+
+    const importRecordingFile = async (file) => {
+        try {
+            const entries = parseRecordings(JSON.parse(await file.text()));
+            for (const entry of entries) await saveRecording(entry);
+            setRecordings(await listRecordings());
+            setError('');
+        } catch (err) {
+            setError(`Could not import ${file.name}: ${err.message}`);
+        }
+    };
+
+    const deleteAllRecordings = async () => {
+        try {
+            await clearRecordings();
+            setRecordings([]);
+        } catch (err) {
+            setError(`Could not clear recordings: ${err.message}`);
+        }
+    };
+
+    const importProfileFile = async (file) => {
+        try {
+            adoptProfile(parseProfile(JSON.parse(await file.text())), { save: true });
+            setError('');
+        } catch (err) {
+            setError(`Could not import ${file.name}: ${err.message}`);
+        }
+    };
+
+    // The link carries the current settings without the API key, and optionally the C input
+    const copyShareLink = () => {
+        const payload = exportProfile(activeProfile || 'Shared settings', settings);
+        if (shareIncludesCode && !isProject) payload.code = cCode;
+        copyToClipboard(`${location.origin}${location.pathname}#share=${encodeSharePayload(payload)}`);
+        setShareLinkCopied(true);
+        setTimeout(() => setShareLinkCopied(false), 2000);
+    };
+
+    const acceptSharedProfile = (save) => {
+        adoptProfile(sharedProfile, { save });
+        if (sharedProfile.code !== undefined) {
+            reset();
+            clearProject();
+            setCCode(sharedProfile.code);
+        }
+        setSharedProfile(null);
+    };
+
+    const activeUnit = projectUnits.find(unit => unit.name === selectedUnit);
+
+    const renderFileTree = (node, depth) => [
+        ...Object.values(node.dirs).map(dir =>
+            React.createElement('div', { key: dir.path },
+                React.createElement('div', { className: 'text-gray-400', style: { paddingLeft: depth * 12 } }, '📂 ' + dir.name),
+                ...renderFileTree(dir, depth + 1)
+            )
+        ),
+        ...node.files.map(path =>
+            React.createElement('div', {
+                key: path,
+                onClick: () => setSelectedFile(path),
+                className: `cursor-pointer truncate rounded px-1 ${selectedFile === path ? 'bg-blue-500/30 text-white' : 'text-gray-300 hover:text-white'}`,
+                style: { paddingLeft: depth * 12 + 4 }
+            }, (isHeaderPath(path) ? '📄 ' : '📝 ') + basename(path))
+        )
+    ];
+
+    const renderRepairPanel = () => {
+        const history = repairs[isProject ? selectedUnit : ''] || [];
+        const selected = history[selectedRepair] && selectedRepair > 0 ? history[selectedRepair] : null;
+        return React.createElement('div', { className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6' },
+            React.createElement('h2', { className: 'text-xl font-bold text-white mb-1' }, '🔧 Fix with Compiler Output'),
+            React.createElement('p', { className: 'text-sm text-gray-400 mb-4' },
+                `Run \`zig build\` or \`zig test\` on ${isProject ? activeUnit.zigFile : 'the generated code'} and paste the errors here. Repeat until it compiles.`
+            ),
+            React.createElement('textarea', {
+                value: compilerOutput,
+                onChange: (e) => setCompilerOutput(e.target.value),
+                disabled: loading,
+                className: 'w-full h-40 px-4 py-3 bg-slate-900 border border-slate-600 rounded-lg text-red-200 font-mono text-xs',
+                placeholder: 'src/main.zig:12:5: error: expected type \'[]const u8\', found \'[*c]u8\'...'
+            }),
+            React.createElement('button', {
+                onClick: repairZigCode,
+                disabled: !compilerOutput.trim() || loading,
+                className: 'mt-3 w-full bg-orange-500 hover:bg-orange-600 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+            }, stage === 'repairing' ? 'Repairing...' : 'Fix with compiler output 🔧'),
+
+            history.length > 1 && React.createElement('div', { className: 'mt-6' },
+                React.createElement('h3', { className: 'text-lg font-semibold text-white mb-3' }, 'Repair Iterations'),
+                React.createElement('div', { className: 'flex flex-wrap gap-2 mb-4' },
+                    ...history.map((iteration, k) => {
+                        const errorCount = (iteration.errors.match(/error:/g) || []).length;
+                        const label = k === 0 ? '#0 Generated' : iteration.edited ? `#${k} Manual edit` : `#${k} Fix (${errorCount} error${errorCount === 1 ? '' : 's'})`;
+                        return React.createElement('button', {
+                            key: k,
+                            onClick: () => setSelectedRepair(k),
+                            className: `px-3 py-1 rounded-lg text-sm transition-colors ${selectedRepair === k ? 'bg-orange-500 text-white' : 'bg-slate-700 text-gray-300 hover:bg-slate-600'}`
+                        }, label);
+                    })
+                ),
+                selected && React.createElement('div', null,
+                    React.createElement('div', { className: 'flex justify-between items-center mb-2 text-sm' },
+                        React.createElement('span', { className: 'text-gray-400' }, (() => {
+                            const { added, removed } = summarizeDiff(diffLines(history[selectedRepair - 1].code, selected.code));
+                            return `Changes from #${selectedRepair - 1} to #${selectedRepair}: +${added} −${removed}`;
+                        })()),
+                        React.createElement('button', {
+                            onClick: () => applyZigCode(isProject ? selectedUnit : '', selected.code),
+                            disabled: loading,
+                            className: 'text-orange-400 hover:text-orange-300'
+                        }, '↺ Use this version')
+                    ),
+                    selected.errors && React.createElement('details', { className: 'mb-2' },
+                        React.createElement('summary', { className: 'cursor-pointer text-sm text-gray-400' }, 'Compiler output for this iteration'),
+                        React.createElement('pre', { className: 'mt-2 bg-slate-950 rounded-lg p-3 text-xs text-red-200 overflow-x-auto max-h-48' }, selected.errors)
+                    ),
+                    React.createElement(DiffView, { diff: diffLines(history[selectedRepair - 1].code, selected.code) })
+                )
+            )
+        );
+    };
+
+    const renderComparisonPanel = () => (
+        React.createElement('div', { className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6' },
+            React.createElement('div', { className: 'flex justify-between items-center mb-1' },
+                React.createElement('h2', { className: 'text-xl font-bold text-white' }, '⚖️ Compare Models'),
+                React.createElement('button', {
+                    onClick: () => setShowComparison(false),
+                    className: 'text-gray-400 hover:text-white text-2xl'
+                }, '×')
+            ),
+            React.createElement('p', { className: 'text-sm text-gray-400 mb-4' },
+                'Runs the Zig generation step with the plan above against every endpoint and model below at the same time.'
+            ),
+            React.createElement('div', { className: 'space-y-2 mb-3' },
+                ...settings.comparisonTargets.map(target =>
+                    React.createElement('div', { key: target.id, className: 'grid md:grid-cols-[10rem_1fr_1fr_10rem_auto] gap-2 items-center' },
+                        React.createElement('select', {
+                            value: target.endpointPreset,
+                            onChange: (e) => changeComparisonPreset(target, e.target.value),
+                            disabled: loading,
+                            className: 'px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm'
+                        },
+                            ...PRESET_ENDPOINTS.map(preset =>
+                                React.createElement('option', { key: preset.name, value: preset.name }, preset.name)
+                            )
+                        ),
+                        React.createElement('input', {
+                            value: target.endpoint,
+                            onChange: (e) => updateComparisonTarget(target.id, { endpoint: e.target.value, endpointPreset: 'Custom' }),
+                            disabled: loading,
+                            placeholder: 'Endpoint URL',
+                            className: 'px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm font-mono'
+                        }),
+                        React.createElement('input', {
+                            value: target.model,
+                            onChange: (e) => updateComparisonTarget(target.id, { model: e.target.value }),
+                            disabled: loading,
+                            placeholder: 'Model',
+                            className: 'px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm font-mono'
+                        }),
+                        React.createElement('input', {
+                            type: 'password',
+                            value: target.apiKey,
+                            onChange: (e) => updateComparisonTarget(target.id, { apiKey: e.target.value }),
+                            disabled: loading,
+                            placeholder: 'API key',
+                            className: 'px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm'
+                        }),
+                        React.createElement('button', {
+                            onClick: () => setSettings({ ...settings, comparisonTargets: settings.comparisonTargets.filter(t => t.id !== target.id) }),
+                            disabled: loading,
+                            className: 'text-red-400 hover:text-red-300 px-2'
+                        }, '✕')
+                    )
+                )
+            ),
+            React.createElement('div', { className: 'flex gap-3' },
+                React.createElement('button', {
+                    onClick: () => setSettings({ ...settings, comparisonTargets: [...settings.comparisonTargets, createComparisonTarget(settings)] }),
+                    disabled: loading,
+                    className: 'bg-slate-700 hover:bg-slate-600 disabled:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm transition-colors'
+                }, '+ Add current endpoint & model'),
+                React.createElement('button', {
+                    onClick: runComparison,
+                    disabled: loading || settings.comparisonTargets.length < 2 || !analysis,
+                    className: 'flex-1 bg-purple-500 hover:bg-purple-600 disabled:bg-gray-600 text-white font-bold py-2 px-6 rounded-lg transition-colors'
+                }, `Run comparison (${settings.comparisonTargets.length} targets) ▶`)
+            ),
+
+            comparison && React.createElement('div', { className: 'grid gap-4 mt-6 md:grid-cols-2 xl:grid-cols-3' },
+                ...comparison.results.map(result =>
+                    React.createElement('div', {
+                        key: result.target.id,
+                        className: `rounded-lg border p-3 min-w-0 ${comparison.winner === result.target.id ? 'border-yellow-400 bg-yellow-900/10' : 'border-slate-700 bg-slate-900/40'}`
+                    },
+                        React.createElement('div', { className: 'flex justify-between items-start gap-2 mb-2' },
+                            React.createElement('div', { className: 'min-w-0' },
+                                React.createElement('div', { className: 'text-white font-semibold truncate' },
+                                    `${{ generating: '⚡', done: '✅', error: '❌' }[result.status]} ${describeTarget(result.target)}`
+                                ),
+                                React.createElement('div', { className: 'text-xs text-gray-400' },
+                                    `${(result.elapsedMs / 1000).toFixed(1)}s · ${result.text ? result.text.split('\n').length : 0} lines · ${formatByteSize(result.text)}`
+                                )
+                            ),
+                            comparison.winner === result.target.id
+                                ? React.createElement('span', { className: 'text-yellow-300 text-sm shrink-0' }, '🏆 Winner')
+                                : result.text && !loading && React.createElement('button', {
+                                    onClick: () => chooseWinner(result),
+                                    className: 'text-yellow-400 hover:text-yellow-300 text-sm shrink-0'
+                                }, '🏆 Pick')
+                        ),
+                        result.error && React.createElement('div', { className: 'mb-2 text-xs text-red-300 break-words' }, `Error: ${result.error}`),
+                        React.createElement(CodeEditor, {
+                            language: 'zig',
+                            value: result.text,
+                            findings: result.status === 'done' ? checkZigOutput(result.text) : [],
+                            findingsTitle: outputCheckTitle,
+                            readOnly: true,
+                            follow: result.status === 'generating'
+                        })
+                    )
+                )
+            )
+        )
+    );
+
+    // Size of the next analysis and generation prompts against the model's context window
+    const contextLimit = resolveContextLimit(settings);
+    const deferredCCode = useDeferredValue(cCode);
+    const deferredAnalysis = useDeferredValue(analysis);
+    const analysisBudget = useMemo(() => {
+        const prompt = isProject
+            ? renderPrompt(settings, 'projectAnalysis', projectAnalysisVariables())
+            : settings.structuredAnalysis ? buildStructuredAnalysisPrompt(settings, deferredCCode) : buildAnalysisPrompt(settings, deferredCCode);
+        const code = isProject ? projectFiles.map(file => file.content).join('\n') : deferredCCode;
+        return estimatePromptBudget(prompt, { limit: contextLimit.tokens, reserve: ANALYSIS_REPLY_TOKENS, parts: { code } });
+    }, [settings, contextLimit.tokens, isProject, projectFiles, projectUnits, deferredCCode]);
+
+    // Chunked and project runs send one prompt per unit, so the largest one decides
+    const generationBudget = useMemo(() => {
+        if (stage !== 'analyzed') return null;
+        const measure = (prompt, code, label) => ({
+            ...estimatePromptBudget(prompt, { limit: contextLimit.tokens, reserve: replyReserveFor(code), parts: { code, analysis: deferredAnalysis } }),
+            label
+        });
+        const largest = (budgets) => budgets.reduce((max, budget) => !max || budget.total > max.total ? budget : max, null);
+        if (isProject) {
+            return largest(projectUnits.map(unit => measure(
+                renderPrompt(settings, 'projectGeneration', { ...projectUnitVariables(unit, {}), ANALYSIS: deferredAnalysis }),
+                unit.files.map(path => (projectFiles.find(f => f.path === path) || {}).content || '').join('\n'),
+                `largest module, ${unit.zigFile}`
+            )));
+        }
+        if (settings.chunkedConversion) {
+            const declarations = splitTopLevelDeclarations(prepareSource(settings, deferredCCode).code);
+            const typeSummary = buildTypeSummary(declarations);
+            return largest(declarations.filter(chunk => chunk.kind !== 'preprocessor').map(chunk => measure(
+                renderPrompt(settings, 'chunkGeneration', { ...chunkVariables(chunk, typeSummary), ANALYSIS: deferredAnalysis }),
+                chunk.text,
+                `largest declaration, ${chunk.name || chunk.kind}`
+            )));
+        }
+        return measure(buildGenerationPrompt(settings, deferredAnalysis, deferredCCode), deferredCCode, '');
+    }, [stage, settings, contextLimit.tokens, isProject, projectFiles, projectUnits, deferredCCode, deferredAnalysis]);
+
+    // Cuts the plan down until the generation prompt sits under the warning threshold again
+    const trimAnalysisToBudget = () => {
+        const excess = generationBudget.total - Math.floor(generationBudget.limit * CONTEXT_WARNING_RATIO) + 64;
+        setStructuredPlan(null);
+        setAnalysis(trimAnalysis(analysis, Math.max(200, generationBudget.parts.analysis - excess)));
+    };
+
+    const renderBudget = (budget, { onSend, onTrim, onChunk }) => {
+        if (!budget) return null;
+        const style = budget.status === 'over' ? 'text-red-300' : budget.status === 'warn' ? 'text-yellow-300' : 'text-gray-400';
+        const bar = budget.status === 'over' ? 'bg-red-500' : budget.status === 'warn' ? 'bg-yellow-400' : 'bg-blue-500';
+        const parts = Object.entries(budget.parts).filter(([, tokens]) => tokens > 0)
+            .map(([name, tokens]) => `${name} ${formatTokenCount(tokens)}`);
+        return React.createElement('div', { className: 'mt-3 text-xs' },
+            React.createElement('div', { className: 'h-1.5 bg-slate-700 rounded overflow-hidden' },
+                React.createElement('div', { className: `h-full ${bar}`, style: { width: `${Math.min(100, budget.total / budget.limit * 100)}%` } })
+            ),
+            React.createElement('div', { className: `mt-1 ${style}` },
+                `≈ ${formatTokenCount(budget.total)} of ${formatTokenCount(budget.limit)} tokens`,
+                budget.label && ` (${budget.label})`,
+                ` · ${[...parts, `reply ${formatTokenCount(budget.reserve)}`].join(' · ')}`,
+                ` · limit from ${contextLimit.source === 'setting' ? 'settings' : contextLimit.source}`
+            ),
+            budget.status === 'warn' && React.createElement('div', { className: 'mt-1 text-yellow-300' },
+                'Close to the context limit; the reply may be cut off.'
+            ),
+            budget.status === 'over' && React.createElement('div', { className: 'mt-2 p-2 bg-red-900/30 border border-red-700 rounded-lg text-red-200' },
+                'This prompt does not fit the model\'s context window, so the request would fail or be truncated. ',
+                React.createElement('span', { className: 'inline-flex flex-wrap gap-3 mt-1' },
+                    onTrim && budget.parts.analysis > 200 && React.createElement('button', {
+                        onClick: onTrim,
+                        disabled: loading,
+                        className: 'text-blue-300 hover:text-blue-200'
+                    }, '✂️ Trim the analysis'),
+                    onChunk && React.createElement('button', {
+                        onClick: onChunk,
+                        disabled: loading,
+                        className: 'text-blue-300 hover:text-blue-200'
+                    }, '🧩 Convert declaration by declaration'),
+                    React.createElement('button', {
+                        onClick: onSend,
+                        disabled: loading,
+                        className: 'text-red-300 hover:text-red-200 underline'
+                    }, 'Send anyway')
+                )
+            )
+        );
+    };
+
+    // The prose the model wrote around its code blocks, kept out of the .zig file
+    const renderModelNotes = (notes) => notes && React.createElement('details', { className: 'mt-3 bg-slate-900/60 border border-slate-700 rounded-lg' },
+        React.createElement('summary', { className: 'cursor-pointer px-4 py-2 text-sm text-gray-300' }, '💬 Model notes'),
+        React.createElement('pre', { className: 'px-4 pb-3 text-sm text-gray-300 whitespace-pre-wrap font-sans' }, notes)
+    );
+
+    // What the preprocessing pass made of one file: its macros, includes, the branches left out and the resolved source
+    const renderPreprocessor = (result) => result && React.createElement('details', { className: 'mt-3 bg-slate-900/60 border border-slate-700 rounded-lg' },
+        React.createElement('summary', { className: 'cursor-pointer px-4 py-2 text-sm text-gray-300' },
+            `🔣 Preprocessor: ${result.macros.length} macro${result.macros.length === 1 ? '' : 's'}, ${result.inactiveLines} inactive line${result.inactiveLines === 1 ? '' : 's'}`,
+            result.problems.length > 0 && React.createElement('span', { className: 'ml-2 text-yellow-400' },
+                `${result.problems.length} condition${result.problems.length === 1 ? '' : 's'} not resolved`
+            )
+        ),
+        React.createElement('div', { className: 'px-4 pb-3 space-y-3 text-sm' },
+            result.problems.length > 0 && React.createElement('ul', { className: 'space-y-1 text-yellow-300' },
+                ...result.problems.map((problem, k) => React.createElement('li', { key: k, className: 'font-mono text-xs' }, `L${problem.line}: ${problem.message}`))
+            ),
+            result.macros.length > 0 ? React.createElement('table', { className: 'w-full text-xs' },
+                React.createElement('thead', null,
+                    React.createElement('tr', { className: 'text-left text-gray-400' },
+                        ['Macro', 'Kind', 'Value', 'In Zig'].map(heading => React.createElement('th', { key: heading, className: 'py-1 pr-3 font-medium' }, heading))
+                    )
+                ),
+                React.createElement('tbody', null,
+                    ...result.macros.map(macro => React.createElement('tr', { key: `${macro.name}:${macro.line}`, className: 'border-t border-slate-800 align-top' },
+                        React.createElement('td', { className: 'py-1 pr-3 font-mono text-blue-300 whitespace-nowrap' },
+                            macro.params ? `${macro.name}(${macro.params.join(', ')})` : macro.name
+                        ),
+                        React.createElement('td', { className: 'py-1 pr-3 text-gray-300' }, macro.kind),
+                        React.createElement('td', { className: 'py-1 pr-3 font-mono text-gray-400 break-all' }, macro.body),
+                        React.createElement('td', { className: 'py-1 text-green-300 whitespace-nowrap' }, MACRO_MAPPINGS[macro.kind])
+                    ))
+                )
+            ) : React.createElement('p', { className: 'text-gray-400' }, 'No macros in the active code.'),
+            result.includes.length > 0 && React.createElement('p', { className: 'text-gray-400 text-xs' },
+                'Includes: ', result.includes.map(include => include.system ? `<${include.path}>` : `"${include.path}"`).join(', ')
+            ),
+            React.createElement('div', null,
+                React.createElement('p', { className: 'text-gray-400 text-xs mb-1' }, 'Source sent to the model (branches not taken are blank, line numbers are kept):'),
+                React.createElement(CodeEditor, { value: result.source, readOnly: true, height: 'h-64' })
+            )
+        )
+    );
+
+    const renderDiffTestPanel = () => React.createElement('div', { className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6' },
+        React.createElement('h2', { className: 'text-xl font-bold text-white mb-1' }, '🧪 Differential Tests'),
+        sourceLanguage !== 'c'
+            ? React.createElement('p', { className: 'text-sm text-gray-400' }, 'Differential tests need a C source; the harness cannot call C++ functions yet.')
+            : React.createElement('div', null,
+                React.createElement('p', { className: 'text-sm text-gray-400 mb-4' },
+                    'A C harness runs the chosen functions on generated inputs and prints the results; a Zig test runs the same inputs through the converted functions and compares them with the captured C output.'
+                ),
+                diffFunctions.length === 0 && React.createElement('p', { className: 'text-sm text-gray-400' }, 'No functions besides main to test.'),
+                React.createElement('div', { className: 'space-y-1 mb-4' },
+                    ...diffFunctions.map(fn => React.createElement('label', { key: fn.name, className: `flex items-center gap-2 text-sm ${fn.reason ? 'text-gray-500' : 'text-gray-300'}` },
+                        React.createElement('input', {
+                            type: 'checkbox',
+                            checked: chosenDiffFunctions.includes(fn),
+                            disabled: Boolean(fn.reason) || loading,
+                            onChange: () => toggleDiffFunction(fn.name),
+                            className: 'w-4 h-4'
+                        }),
+                        React.createElement('span', { className: 'font-mono' }, fn.signature),
+                        fn.reason && React.createElement('span', { className: 'text-xs' }, `(not testable: ${fn.reason})`)
+                    ))
+                ),
+                React.createElement('button', {
+                    onClick: generateDiffTests,
+                    disabled: chosenDiffFunctions.length === 0 || loading,
+                    className: 'w-full bg-teal-600 hover:bg-teal-700 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+                }, diffStreaming !== null ? 'Generating...' : `Generate test harnesses (${buildDiffCases(chosenDiffFunctions).length} cases) 🧪`),
+                diffStreaming !== null && React.createElement('div', { className: 'mt-4' },
+                    React.createElement(CodeEditor, { language: 'markdown', value: diffStreaming, readOnly: true, follow: true, height: 'h-64' })
+                ),
+                diffStreaming === null && diffTests && React.createElement('div', { className: 'mt-6 space-y-4' },
+                    ...[
+                        ['C harness', diffFileNames.harness, diffTests.cHarness, 'c'],
+                        ['Zig test', diffFileNames.test, diffTests.zigTest, 'zig']
+                    ].map(([label, file, content, language]) => React.createElement('div', { key: file },
+                        React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+                            React.createElement('h3', { className: 'text-white font-semibold' }, `${label}: `, React.createElement('span', { className: 'font-mono text-sm text-gray-300' }, file)),
+                            content && React.createElement('button', {
+                                onClick: () => downloadFile(content, file),
+                                className: 'text-green-400 hover:text-green-300 text-sm'
+                            }, '💾 Download')
+                        ),
+                        React.createElement(CodeEditor, {
+                            language,
+                            value: content,
+                            onChange: (e) => setDiffTests(prev => ({ ...prev, [language === 'c' ? 'cHarness' : 'zigTest']: e.target.value })),
+                            height: 'h-64'
+                        })
+                    )),
+                    React.createElement('div', { className: 'text-sm text-gray-400' },
+                        `Save them next to ${diffFileNames.zigFile}, with the C source as ${diffFileNames.cFile}, then run:`,
+                        React.createElement('pre', { className: 'mt-2 px-4 py-2 bg-slate-900 rounded-lg text-gray-200 text-xs whitespace-pre-wrap' }, diffTestCommands(diffFileNames).join('\n'))
+                    ),
+                    diffTests.cHarness && diffTests.zigTest && React.createElement('button', {
+                        onClick: downloadDiffTests,
+                        className: 'bg-slate-700 hover:bg-slate-600 text-white font-bold py-2 px-6 rounded-lg transition-colors'
+                    }, '🗜️ Download all (.zip)'),
+                    renderModelNotes(diffTests.notes)
+                )
+            )
+    );
+
+    const renderHistoryDiff = () => {
+        const { older, newer, diff } = historyDiff;
+        const { added, removed } = summarizeDiff(diff);
+        const countRepairs = (run) => Object.values(run.repairs || {}).reduce((sum, iterations) => sum + iterations.length - 1, 0);
+        const promptKeys = [...new Set([...Object.keys(older.promptVersions || {}), ...Object.keys(newer.promptVersions || {})])];
+        const rows = [
+            ['Created', formatRunDate(older.createdAt), formatRunDate(newer.createdAt)],
+            ['Mode', older.kind, newer.kind],
+            ['Model', older.model, newer.model],
+            ['Endpoint', older.endpoint, newer.endpoint],
+            ['Adapter', older.adapter, newer.adapter],
+            ['Safety level', older.safetyLevel, newer.safetyLevel],
+            ['Zig version', older.zigVersion || '—', newer.zigVersion || '—'],
+            ...promptKeys.map(key => [`Prompt: ${key}`, (older.promptVersions || {})[key] || '—', (newer.promptVersions || {})[key] || '—']),
+            ['Repair iterations', String(countRepairs(older)), String(countRepairs(newer))]
+        ];
+        return React.createElement('div', {
+            className: 'fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50',
+            onClick: () => setHistoryDiff(null)
+        },
+            React.createElement('div', {
+                className: 'bg-slate-800 rounded-xl p-6 max-w-5xl w-full max-h-[90vh] overflow-y-auto',
+                onClick: (e) => e.stopPropagation()
+            },
+                React.createElement('div', { className: 'flex justify-between items-center mb-4' },
+                    React.createElement('h2', { className: 'text-2xl font-bold text-white' }, '⇄ Compare Runs'),
+                    React.createElement('button', {
+                        onClick: () => setHistoryDiff(null),
+                        className: 'text-gray-400 hover:text-white text-2xl'
+                    }, '×')
+                ),
+                React.createElement('table', { className: 'w-full text-sm mb-4' },
+                    React.createElement('thead', null,
+                        React.createElement('tr', { className: 'text-left text-gray-400' },
+                            React.createElement('th', { className: 'py-1 pr-4 font-normal' }, ''),
+                            React.createElement('th', { className: 'py-1 pr-4 font-semibold text-red-300' }, older.name),
+                            React.createElement('th', { className: 'py-1 font-semibold text-green-300' }, newer.name)
+                        )
+                    ),
+                    React.createElement('tbody', null,
+                        ...rows.map(([label, a, b]) => React.createElement('tr', { key: label, className: a !== b ? 'text-yellow-200' : 'text-gray-300' },
+                            React.createElement('td', { className: 'py-1 pr-4 text-gray-400' }, label),
+                            React.createElement('td', { className: 'py-1 pr-4 font-mono text-xs break-all' }, a),
+                            React.createElement('td', { className: 'py-1 font-mono text-xs break-all' }, b)
+                        ))
+                    )
+                ),
+                React.createElement('div', { className: 'text-sm text-gray-400 mb-2' }, `Zig output: +${added} −${removed}`),
+                React.createElement(DiffView, { diff })
+            )
+        );
+    };
+
+    const renderHistoryPanel = () => (
+        React.createElement('div', {
+            className: 'fixed inset-0 bg-black/60 flex justify-end z-40',
+            onClick: () => setShowHistory(false)
+        },
+            React.createElement('div', {
+                className: 'bg-slate-800 w-full max-w-md h-full overflow-y-auto p-6 border-l border-slate-700',
+                onClick: (e) => e.stopPropagation()
+            },
+                React.createElement('div', { className: 'flex justify-between items-center mb-4' },
+                    React.createElement('h2', { className: 'text-2xl font-bold text-white' }, '🕘 History'),
+                    React.createElement('button', {
+                        onClick: () => setShowHistory(false),
+                        className: 'text-gray-400 hover:text-white text-2xl'
+                    }, '×')
+                ),
+                React.createElement('div', { className: 'flex justify-between items-center mb-4 text-sm' },
+                    React.createElement('span', { className: 'text-gray-400' }, 'Tick two runs to diff their Zig output.'),
+                    React.createElement('button', {
+                        onClick: compareSelectedRuns,
+                        disabled: historySelection.length !== 2,
+                        className: 'bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white px-3 py-1 rounded-lg transition-colors'
+                    }, '⇄ Diff')
+                ),
+                historyRuns.length === 0 && React.createElement('p', { className: 'text-gray-500 text-sm' }, 'No saved runs yet. Every conversion is saved here automatically.'),
+                ...historyRuns.map(run => React.createElement('div', {
+                    key: run.id,
+                    className: `rounded-lg p-3 mb-2 border ${run.id === currentRunId ? 'border-blue-500 bg-slate-700/60' : 'border-slate-700 bg-slate-900/60'}`
+                },
+                    React.createElement('div', { className: 'flex items-center gap-2' },
+                        React.createElement('input', {
+                            type: 'checkbox',
+                            checked: historySelection.includes(run.id),
+                            onChange: () => toggleHistorySelection(run.id),
+                            className: 'w-4 h-4'
+                        }),
+                        renamingRun && renamingRun.id === run.id
+                            ? React.createElement('input', {
+                                autoFocus: true,
+                                value: renamingRun.name,
+                                onChange: (e) => setRenamingRun({ id: run.id, name: e.target.value }),
+                                onKeyDown: (e) => {
+                                    if (e.key === 'Enter') renameRun(run.id, renamingRun.name);
+                                    if (e.key === 'Escape') setRenamingRun(null);
+                                },
+                                onBlur: () => renameRun(run.id, renamingRun.name),
+                                className: 'flex-1 px-2 py-1 bg-slate-900 border border-slate-600 rounded text-white text-sm'
+                            })
+                            : React.createElement('span', { className: 'flex-1 text-white font-semibold truncate' }, run.name)
+                    ),
+                    React.createElement('div', { className: 'text-xs text-gray-400 mt-1 ml-6' },
+                        `${formatRunDate(run.createdAt)} · ${run.kind} · ${run.model} · ${run.safetyLevel}${run.zigVersion ? ` · Zig ${run.zigVersion}` : ''}`
+                    ),
+                    React.createElement('div', { className: 'flex gap-3 mt-2 ml-6 text-sm' },
+                        React.createElement('button', {
+                            onClick: () => openRun(run),
+                            disabled: loading,
+                            className: 'text-blue-400 hover:text-blue-300 disabled:text-gray-600'
+                        }, '↩ Open'),
+                        React.createElement('button', {
+                            onClick: () => setRenamingRun({ id: run.id, name: run.name }),
+                            className: 'text-gray-400 hover:text-gray-300'
+                        }, '✏️ Rename'),
+                        React.createElement('button', {
+                            onClick: () => removeRun(run.id),
+                            className: 'text-red-400 hover:text-red-300'
+                        }, '🗑️ Delete')
+                    )
+                ))
+            )
+        )
+    );
+
+    // Fills a prompt template with the current input; results that do not exist yet are shown as ‹placeholders›
+    const previewPrompt = (promptKey) => {
+        const plan = analysis || '‹conversion plan from step 1›';
+        if (promptKey === 'analysis' || promptKey === 'cppAnalysis') return buildAnalysisPrompt({ ...settings, sourceLanguage: promptKey === 'analysis' ? 'c' : 'cpp' }, cCode);
+        if (promptKey === 'structuredAnalysis') return buildStructuredAnalysisPrompt(settings, cCode);
+        if (promptKey === 'generation' || promptKey === 'cppGeneration') return buildGenerationPrompt({ ...settings, sourceLanguage: promptKey === 'generation' ? 'c' : 'cpp' }, plan, cCode);
+        if (promptKey === 'chunkGeneration') {
+            const declarations = splitTopLevelDeclarations(singleSource);
+            const chunk = declarations.find(d => d.kind === 'function') || declarations[0];
+            return chunk ? renderPrompt(settings, promptKey, { ...chunkVariables(chunk, buildTypeSummary(declarations)), ANALYSIS: plan }) : null;
+        }
+        if (promptKey === 'repair') {
+            if (isProject && !activeUnit) return null;
+            return renderPrompt(settings, promptKey, {
+                ...repairVariables((isProject ? activeUnit.zigCode : zigCode) || '‹Zig code from step 2›'),
+                COMPILER_ERRORS: compilerOutput || '‹pasted compiler output›'
+            });
+        }
+        if (promptKey === 'differentialTests') {
+            if (isProject) return null;
+            const functions = diffFunctions.length > 0 ? chosenDiffFunctions : listDiffTestFunctions(cCode).filter(fn => !fn.reason);
+            return buildDiffTestPrompt(settings, { code: cCode, zigCode: zigCode || '‹Zig code from step 2›', functions, names: diffFileNames });
+        }
+        if (!isProject) return null;
+        if (promptKey === 'projectAnalysis') return renderPrompt(settings, promptKey, projectAnalysisVariables());
+        const unit = activeUnit || projectUnits[0];
+        const codeByName = Object.fromEntries(projectUnits.map(u => [u.name, u.zigCode]));
+        return renderPrompt(settings, promptKey, { ...projectUnitVariables(unit, codeByName), ANALYSIS: plan });
+    };
+
+    const renderPromptEditor = (promptKey, label) => {
+        const editing = editingPrompt === promptKey;
+        const { issues, used } = validatePrompt(settings, promptKey);
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const variables = [
+            ...PROMPT_VARIABLES[promptKey],
+            ...OPTION_VARIABLES,
+            ...settings.customVariables.filter(v => TEMPLATE_VARIABLE_NAME.test(v.name)).map(v => ({ name: v.name, description: 'Custom variable', custom: true }))
+        ];
+        const preview = editing && previewingPrompt ? previewPrompt(promptKey) : null;
+
+        return React.createElement('div', { key: promptKey, className: 'mb-4' },
+            React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+                React.createElement('label', { className: 'block text-sm font-medium text-gray-300' },
+                    label,
+                    issues.length > 0 && React.createElement('span', {
+                        className: `ml-2 text-xs ${errorCount > 0 ? 'text-red-300' : 'text-yellow-300'}`,
+                        title: issues.map(issue => `L${issue.line}: ${issue.message}`).join('\n')
+                    }, `⚠ ${issues.length}`)
+                ),
+                React.createElement('button', {
+                    onClick: () => setEditingPrompt(editing ? null : promptKey),
+                    className: 'text-blue-400 hover:text-blue-300 text-sm'
+                }, editing ? 'Close' : 'Edit')
+            ),
+            editing && React.createElement('div', null,
+                React.createElement(CodeEditor, {
+                    value: settings.prompts[promptKey],
+                    onChange: (e) => setSettings({
+                        ...settings,
+                        prompts: { ...settings.prompts, [promptKey]: e.target.value }
+                    }),
+                    language: 'markdown',
+                    findings: issues.map(issue => ({ ...issue, severity: issue.severity === 'error' ? 'high' : 'medium' })),
+                    findingsTitle: '🧩 Template check',
+                    height: 'h-64',
+                    placeholder: 'Prompt template...'
+                }),
+                React.createElement('div', { className: 'mt-2 text-xs text-gray-400 leading-relaxed' },
+                    'Variables: ',
+                    ...variables.map(variable => {
+                        const isUsed = used.includes(variable.name);
+                        const style = isUsed ? 'text-blue-300' : variable.required ? 'text-yellow-300' : 'text-gray-500';
+                        return React.createElement('code', {
+                            key: variable.name,
+                            title: `${variable.description}${isUsed ? '' : ' (not used)'}`,
+                            className: `mr-2 ${style}`
+                        }, `{{${variable.name}}}`);
+                    }),
+                    React.createElement('div', { className: 'mt-1' },
+                        'Blocks: {{#if NAME}}…{{else}}…{{/if}}, {{#unless NAME}}…{{/unless}}; partials: {{> name}}'
+                    )
+                ),
+                React.createElement('div', { className: 'flex gap-4 mt-2' },
+                    React.createElement('button', {
+                        onClick: () => setPreviewingPrompt(!previewingPrompt),
+                        className: 'text-xs text-blue-400 hover:text-blue-300'
+                    }, previewingPrompt ? '▾ Hide preview' : '▸ Preview with current input'),
+                    React.createElement('button', {
+                        onClick: () => setSettings({
+                            ...settings,
+                            prompts: { ...settings.prompts, [promptKey]: DEFAULT_PROMPTS[promptKey] }
+                        }),
+                        className: 'text-xs text-gray-400 hover:text-gray-300'
+                    }, '↺ Reset to default')
+                ),
+                previewingPrompt && (preview === null
+                    ? React.createElement('p', { className: 'mt-2 text-xs text-gray-500' },
+                        promptKey.startsWith('project') ? 'Open a folder or .zip to preview this prompt.' : 'Nothing to preview yet for the current input.')
+                    : React.createElement('pre', {
+                        className: 'mt-2 max-h-64 overflow-auto bg-slate-950 border border-slate-700 rounded-lg p-3 text-xs text-gray-300 whitespace-pre-wrap'
+                    }, preview))
+            )
+        );
+    };
+
+    const updateListSetting = (key, index, patch) => setSettings({
+        ...settings,
+        [key]: settings[key].map((item, k) => k === index ? { ...item, ...patch } : item)
+    });
+
+    const removeListSetting = (key, index) => setSettings({ ...settings, [key]: settings[key].filter((_, k) => k !== index) });
+
+    const renderTemplateExtras = () => {
+        const builtInNames = new Set([...OPTION_VARIABLES, ...Object.values(PROMPT_VARIABLES).flat()].map(v => v.name));
+        const inputClass = 'px-3 py-1 bg-slate-700 border border-slate-600 rounded text-white font-mono text-xs';
+
+        return React.createElement('div', { className: 'mb-6 space-y-4' },
+            React.createElement('div', null,
+                React.createElement('h4', { className: 'text-sm font-medium text-gray-300 mb-1' }, 'Custom Variables'),
+                React.createElement('p', { className: 'text-xs text-gray-400 mb-2' }, 'Available in every template as {{NAME}}. An empty value counts as unset in {{#if NAME}}.'),
+                ...settings.customVariables.map((variable, k) => {
+                    const problem = !TEMPLATE_VARIABLE_NAME.test(variable.name)
+                        ? 'Use letters, digits and _, not starting with a digit'
+                        : builtInNames.has(variable.name) ? 'Built-in variable of the same name wins' : '';
+                    return React.createElement('div', { key: k, className: 'mb-2' },
+                        React.createElement('div', { className: 'flex gap-2 items-center' },
+                            React.createElement('input', {
+                                type: 'text',
+                                value: variable.name,
+                                onChange: (e) => updateListSetting('customVariables', k, { name: e.target.value }),
+                                className: `w-40 ${inputClass}`,
+                                placeholder: 'NAME'
+                            }),
+                            React.createElement('input', {
+                                type: 'text',
+                                value: variable.value,
+                                onChange: (e) => updateListSetting('customVariables', k, { value: e.target.value }),
+                                className: `flex-1 ${inputClass}`,
+                                placeholder: 'value'
+                            }),
+                            React.createElement('button', {
+                                onClick: () => removeListSetting('customVariables', k),
+                                className: 'text-gray-400 hover:text-red-400',
+                                title: 'Remove variable'
+                            }, '×')
+                        ),
+                        problem && React.createElement('p', { className: 'mt-1 text-xs text-yellow-300' }, problem)
+                    );
+                }),
+                React.createElement('button', {
+                    onClick: () => setSettings({ ...settings, customVariables: [...settings.customVariables, { name: '', value: '' }] }),
+                    className: 'text-xs text-blue-400 hover:text-blue-300'
+                }, '+ Add variable')
+            ),
+            React.createElement('div', null,
+                React.createElement('h4', { className: 'text-sm font-medium text-gray-300 mb-1' }, 'Partials'),
+                React.createElement('p', { className: 'text-xs text-gray-400 mb-2' }, 'Shared text included with {{> name}}. Partials can use variables, blocks and other partials.'),
+                ...settings.promptPartials.map((partial, k) =>
+                    React.createElement('div', { key: k, className: 'mb-3' },
+                        React.createElement('div', { className: 'flex gap-2 items-center mb-1' },
+                            React.createElement('input', {
+                                type: 'text',
+                                value: partial.name,
+                                onChange: (e) => updateListSetting('promptPartials', k, { name: e.target.value }),
+                                className: `w-40 ${inputClass}`,
+                                placeholder: 'name'
+                            }),
+                            !TEMPLATE_PARTIAL_NAME.test(partial.name) && React.createElement('span', { className: 'text-xs text-yellow-300' }, 'Use letters, digits, - and _'),
+                            React.createElement('button', {
+                                onClick: () => removeListSetting('promptPartials', k),
+                                className: 'ml-auto text-gray-400 hover:text-red-400',
+                                title: 'Remove partial'
+                            }, '×')
+                        ),
+                        React.createElement('textarea', {
+                            value: partial.text,
+                            onChange: (e) => updateListSetting('promptPartials', k, { text: e.target.value }),
+                            className: 'w-full h-20 px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-white font-mono text-xs',
+                            placeholder: 'Partial text...'
+                        })
+                    )
+                ),
+                React.createElement('button', {
+                    onClick: () => setSettings({ ...settings, promptPartials: [...settings.promptPartials, { name: '', text: '' }] }),
+                    className: 'text-xs text-blue-400 hover:text-blue-300'
+                }, '+ Add partial')
+            )
+        );
+    };
+
+    const renderMockReplaySection = () => {
+        const inputClass = 'px-3 py-1 bg-slate-700 border border-slate-600 rounded text-white font-mono text-xs';
+
+        return React.createElement('div', { className: 'border-b border-slate-700 pb-4' },
+            React.createElement('h3', { className: 'text-lg font-semibold text-white mb-2' }, '🎞️ Mock/Replay'),
+            React.createElement('p', { className: 'text-xs text-gray-400 mb-3' },
+                `The ${MOCK_PRESET} preset sends nothing: it replays a recorded reply to the same prompt, else the first canned response below whose text the prompt contains, else a built-in demo script for the default prompts.`
+            ),
+            React.createElement('label', { className: 'flex items-center space-x-2' },
+                React.createElement('input', {
+                    type: 'checkbox',
+                    checked: settings.recordRequests,
+                    onChange: (e) => setSettings({...settings, recordRequests: e.target.checked}),
+                    className: 'w-4 h-4'
+                }),
+                React.createElement('span', { className: 'text-gray-300' }, 'Record live replies with their timing')
+            ),
+            React.createElement('label', { className: 'flex items-center space-x-2 mt-2' },
+                React.createElement('input', {
+                    type: 'checkbox',
+                    checked: settings.replayTiming,
+                    onChange: (e) => setSettings({...settings, replayTiming: e.target.checked}),
+                    className: 'w-4 h-4'
+                }),
+                React.createElement('span', { className: 'text-gray-300' }, 'Replay at the recorded pace (off: replies arrive at once)')
+            ),
+            React.createElement('div', { className: 'flex items-center gap-4 mt-3 text-sm' },
+                React.createElement('span', { className: 'text-gray-300' }, `${recordings.length} recording${recordings.length === 1 ? '' : 's'}`),
+                React.createElement('button', {
+                    onClick: exportRecordingFile,
+                    disabled: recordings.length === 0,
+                    className: 'text-gray-400 hover:text-white disabled:opacity-50'
+                }, '⬇ Export'),
+                React.createElement('button', {
+                    onClick: () => recordingInputRef.current.click(),
+                    className: 'text-gray-400 hover:text-white'
+                }, '⬆ Import'),
+                React.createElement('button', {
+                    onClick: deleteAllRecordings,
+                    disabled: recordings.length === 0,
+                    className: 'text-gray-400 hover:text-red-400 disabled:opacity-50'
+                }, '🗑 Clear'),
+                React.createElement('input', {
+                    ref: recordingInputRef,
+                    type: 'file',
+                    accept: '.json,application/json',
+                    className: 'hidden',
+                    onChange: (e) => {
+                        const file = e.target.files[0];
+                        if (file) importRecordingFile(file);
+                        e.target.value = '';
+                    }
+                })
+            ),
+            React.createElement('h4', { className: 'text-sm font-medium text-gray-300 mt-4 mb-2' }, 'Canned Responses'),
+            ...settings.mockResponses.map((response, k) =>
+                React.createElement('div', { key: k, className: 'mb-3' },
+                    React.createElement('div', { className: 'flex gap-2 items-center mb-1' },
+                        React.createElement('input', {
+                            type: 'text',
+                            value: response.match,
+                            onChange: (e) => updateListSetting('mockResponses', k, { match: e.target.value }),
+                            className: `flex-1 ${inputClass}`,
+                            placeholder: 'Text the prompt contains, e.g. Analyze this C/C++ code'
+                        }),
+                        React.createElement('button', {
+                            onClick: () => removeListSetting('mockResponses', k),
+                            className: 'text-gray-400 hover:text-red-400',
+                            title: 'Remove response'
+                        }, '×')
+                    ),
+                    React.createElement('textarea', {
+                        value: response.reply,
+                        onChange: (e) => updateListSetting('mockResponses', k, { reply: e.target.value }),
+                        className: 'w-full h-24 px-3 py-2 bg-slate-900 border border-slate-600 rounded text-white font-mono text-xs',
+                        placeholder: 'Reply, e.g. a ```zig block'
+                    })
+                )
+            ),
+            React.createElement('button', {
+                onClick: () => setSettings({ ...settings, mockResponses: [...settings.mockResponses, { match: '', reply: '' }] }),
+                className: 'text-xs text-blue-400 hover:text-blue-300'
+            }, '+ Add response')
+        );
     };
 
-    const copyToClipboard = (text) => {
-        navigator.clipboard.writeText(text);
+    const renderMappingRules = () => {
+        const inputClass = 'px-3 py-1 bg-slate-700 border border-slate-600 rounded text-white font-mono text-xs';
+
+        return React.createElement('div', { className: 'mt-4' },
+            React.createElement('h4', { className: 'text-sm font-medium text-gray-300 mb-1' }, 'Mapping Rules'),
+            React.createElement('p', { className: 'text-xs text-gray-400 mb-2' },
+                'C types and functions that always become the same Zig construct, in every prompt as {{MAPPING_RULES}}. Generated Zig that converts them differently is flagged.'
+            ),
+            ...settings.mappingRules.map((rule, k) =>
+                React.createElement('div', { key: k, className: 'mb-2' },
+                    React.createElement('div', { className: 'flex gap-2 items-center' },
+                        React.createElement('input', {
+                            type: 'text',
+                            value: rule.name,
+                            onChange: (e) => updateListSetting('mappingRules', k, { name: e.target.value }),
+                            className: `w-40 ${inputClass}`,
+                            placeholder: 'my_str_t'
+                        }),
+                        React.createElement('span', { className: 'text-gray-400' }, '→'),
+                        React.createElement('input', {
+                            type: 'text',
+                            value: rule.zig,
+                            onChange: (e) => updateListSetting('mappingRules', k, { zig: e.target.value }),
+                            className: `w-48 ${inputClass}`,
+                            placeholder: '[]const u8'
+                        }),
+                        React.createElement('input', {
+                            type: 'text',
+                            value: rule.notes,
+                            onChange: (e) => updateListSetting('mappingRules', k, { notes: e.target.value }),
+                            className: `flex-1 ${inputClass}`,
+                            placeholder: 'notes'
+                        }),
+                        React.createElement('button', {
+                            onClick: () => removeListSetting('mappingRules', k),
+                            className: 'text-gray-400 hover:text-red-400',
+                            title: 'Remove rule'
+                        }, '×')
+                    ),
+                    rule.name && !MAPPING_RULE_NAME.test(rule.name) && React.createElement('p', { className: 'mt-1 text-xs text-yellow-300' },
+                        'The C side is a single identifier: letters, digits and _, not starting with a digit'
+                    )
+                )
+            ),
+            React.createElement('button', {
+                onClick: () => setSettings({ ...settings, mappingRules: [...settings.mappingRules, { name: '', zig: '', notes: '' }] }),
+                className: 'text-xs text-blue-400 hover:text-blue-300'
+            }, '+ Add rule')
+        );
     };
 
-    const handleEndpointPresetChange = (presetName) => {
-        const preset = PRESET_ENDPOINTS.find(p => p.name === presetName);
-        if (preset) {
-            setSettings({
-                ...settings,
-                endpointPreset: presetName,
-                endpoint: preset.url || settings.endpoint
-            });
-        }
+    const renderReviewToggle = (section, item) => (
+        React.createElement('div', { className: 'flex gap-1 shrink-0' },
+            ['accepted', 'rejected'].map(status =>
+                React.createElement('button', {
+                    key: status,
+                    onClick: () => updateStructuredPlan(section, item.id, { status }),
+                    disabled: loading,
+                    title: status === 'accepted' ? 'Accept: include in the plan' : 'Reject: leave out of the plan',
+                    className: `w-7 h-7 rounded text-sm ${item.status === status
+                        ? (status === 'accepted' ? 'bg-green-600 text-white' : 'bg-red-600 text-white')
+                        : 'bg-slate-700 text-gray-400 hover:text-white'}`
+                }, status === 'accepted' ? '✓' : '✗')
+            )
+        )
+    );
+
+    const renderPlanInput = (section, item, field, placeholder, className = 'w-full') => React.createElement('input', {
+        type: 'text',
+        value: item[field] || '',
+        readOnly: loading,
+        onChange: (e) => updateStructuredPlan(section, item.id, { [field]: e.target.value }),
+        className: `${className} px-2 py-1 bg-slate-900 border border-slate-700 rounded text-gray-200 text-sm`,
+        placeholder
+    });
+
+    // Checklist view of a structured analysis: every issue, type mapping, ownership decision and test can be accepted, rejected or edited
+    const renderStructuredPlan = () => {
+        const sections = ['issues', 'typeMappings', 'ownership', 'tests'];
+        const total = sections.reduce((sum, section) => sum + structuredPlan[section].length, 0);
+        const accepted = sections.reduce((sum, section) => sum + structuredPlan[section].filter(item => item.status === 'accepted').length, 0);
+        const rowClass = (item) => `flex gap-3 items-start p-2 rounded-lg bg-slate-900/60 ${item.status === 'rejected' ? 'opacity-50' : ''}`;
+        const heading = (title, count) => React.createElement('h3', { className: 'text-sm font-semibold text-gray-300 mb-2' }, `${title} (${count})`);
+
+        return React.createElement('div', { className: 'space-y-5' },
+            React.createElement('div', { className: 'flex gap-4 items-start' },
+                React.createElement('p', { className: 'flex-1 text-gray-200' }, structuredPlan.summary),
+                structuredPlan.complexity && React.createElement('span', {
+                    className: 'shrink-0 px-2 py-1 rounded bg-slate-700 text-xs text-gray-300',
+                    title: 'Memory management complexity'
+                }, `Complexity ${structuredPlan.complexity}/10`)
+            ),
+            React.createElement('div', { className: 'flex flex-wrap items-center gap-4 text-sm' },
+                React.createElement('span', { className: 'text-gray-400' }, `${accepted} of ${total} items accepted; only accepted items are sent to the conversion`),
+                React.createElement('button', {
+                    onClick: () => setAllPlanItems('accepted'),
+                    disabled: loading,
+                    className: 'text-green-400 hover:text-green-300'
+                }, '✓ Accept all'),
+                React.createElement('button', {
+                    onClick: () => setAllPlanItems('rejected'),
+                    disabled: loading,
+                    className: 'text-red-400 hover:text-red-300'
+                }, '✗ Reject all'),
+                React.createElement('button', {
+                    onClick: () => setStructuredPlan(null),
+                    disabled: loading,
+                    className: 'text-blue-400 hover:text-blue-300'
+                }, '✎ Edit as free text')
+            ),
+            structuredPlan.issues.length > 0 && React.createElement('div', null,
+                heading('⚠️ Safety Issues', structuredPlan.issues.length),
+                React.createElement('div', { className: 'space-y-2' },
+                    ...structuredPlan.issues.map(issue =>
+                        React.createElement('div', { key: issue.id, className: rowClass(issue) },
+                            renderReviewToggle('issues', issue),
+                            React.createElement('div', { className: 'flex-1 min-w-0 space-y-1' },
+                                React.createElement('div', { className: 'flex gap-2 text-xs' },
+                                    React.createElement('span', { className: `font-semibold ${SEVERITY_STYLES[issue.severity].text}` }, issue.severity),
+                                    React.createElement('span', { className: 'font-mono text-gray-400' },
+                                        issue.lines[0] === issue.lines[1] ? `L${issue.lines[0]}` : `L${issue.lines[0]}–${issue.lines[1]}`),
+                                    React.createElement('span', { className: 'text-gray-500' }, issue.category)
+                                ),
+                                renderPlanInput('issues', issue, 'description', 'What is unsafe'),
+                                React.createElement('div', { className: 'flex gap-2 items-center text-xs text-gray-400' },
+                                    '→ Zig:',
+                                    renderPlanInput('issues', issue, 'zigConstruct', 'Zig construct', 'flex-1 font-mono')
+                                )
+                            )
+                        )
+                    )
+                )
+            ),
+            React.createElement('div', null,
+                heading('🔁 Type Mappings', structuredPlan.typeMappings.length),
+                React.createElement('div', { className: 'space-y-2' },
+                    ...structuredPlan.typeMappings.map(mapping =>
+                        React.createElement('div', { key: mapping.id, className: rowClass(mapping) },
+                            renderReviewToggle('typeMappings', mapping),
+                            renderPlanInput('typeMappings', mapping, 'c', 'C type', 'w-36 font-mono'),
+                            React.createElement('span', { className: 'text-gray-500 pt-1' }, '→'),
+                            renderPlanInput('typeMappings', mapping, 'zig', 'Zig type', 'w-36 font-mono'),
+                            renderPlanInput('typeMappings', mapping, 'note', 'Note', 'flex-1')
+                        )
+                    )
+                ),
+                React.createElement('button', {
+                    onClick: addTypeMapping,
+                    disabled: loading,
+                    className: 'mt-2 text-xs text-blue-400 hover:text-blue-300'
+                }, '+ Add mapping')
+            ),
+            structuredPlan.ownership.length > 0 && React.createElement('div', null,
+                heading('🔑 Ownership', structuredPlan.ownership.length),
+                React.createElement('div', { className: 'space-y-2' },
+                    ...structuredPlan.ownership.map(decision =>
+                        React.createElement('div', { key: decision.id, className: rowClass(decision) },
+                            renderReviewToggle('ownership', decision),
+                            React.createElement('span', { className: 'w-40 shrink-0 pt-1 text-sm text-white font-semibold break-words' }, decision.subject),
+                            renderPlanInput('ownership', decision, 'decision', 'Who allocates, frees and owns it', 'flex-1')
+                        )
+                    )
+                )
+            ),
+            structuredPlan.tests.length > 0 && React.createElement('div', null,
+                heading('🧪 Tests', structuredPlan.tests.length),
+                React.createElement('div', { className: 'space-y-2' },
+                    ...structuredPlan.tests.map(test =>
+                        React.createElement('div', { key: test.id, className: rowClass(test) },
+                            renderReviewToggle('tests', test),
+                            renderPlanInput('tests', test, 'text', 'Test to write', 'flex-1')
+                        )
+                    )
+                )
+            )
+        );
     };
 
-    const PromptEditor = ({ promptKey, label }) => (
-        React.createElement('div', { className: 'mb-4' },
-            React.createElement('div', { className: 'flex justify-between items-center mb-2' },
-                React.createElement('label', { className: 'block text-sm font-medium text-gray-300' }, label),
+    const renderProfileSelect = () => React.createElement('select', {
+        value: activeProfile || '',
+        onChange: (e) => switchProfile(e.target.value),
+        title: 'Settings profile',
+        className: 'px-2 py-1 bg-slate-800 border border-slate-600 rounded-lg text-gray-200 text-sm'
+    },
+        React.createElement('option', { value: '' }, profiles.length > 0 ? '(unsaved settings)' : 'No profiles yet'),
+        ...profiles.map(profile => React.createElement('option', { key: profile.name, value: profile.name }, `👤 ${profile.name}`))
+    );
+
+    const renderProfilesSection = () => (
+        React.createElement('div', { className: 'border-b border-slate-700 pb-4' },
+            React.createElement('h3', { className: 'text-lg font-semibold text-white mb-2' }, '👤 Profiles'),
+            React.createElement('p', { className: 'text-xs text-gray-400 mb-3' },
+                activeProfile
+                    ? `Changes below are saved to "${activeProfile}". Exported files and share links never include the API key.`
+                    : 'These settings are not saved to a profile. Exported files and share links never include the API key.'
+            ),
+            ...profiles.map(profile =>
+                React.createElement('div', {
+                    key: profile.name,
+                    className: `flex items-center gap-3 mb-2 px-3 py-2 rounded-lg text-sm ${profile.name === activeProfile ? 'bg-blue-900/40 border border-blue-700' : 'bg-slate-900/60'}`
+                },
+                    renamingProfile && renamingProfile.name === profile.name
+                        ? React.createElement('input', {
+                            autoFocus: true,
+                            value: renamingProfile.value,
+                            onChange: (e) => setRenamingProfile({ name: profile.name, value: e.target.value }),
+                            onKeyDown: (e) => {
+                                if (e.key === 'Enter') renameProfile(profile.name, renamingProfile.value);
+                                if (e.key === 'Escape') setRenamingProfile(null);
+                            },
+                            onBlur: () => renameProfile(profile.name, renamingProfile.value),
+                            className: 'flex-1 px-2 py-1 bg-slate-900 border border-slate-600 rounded text-white text-sm'
+                        })
+                        : React.createElement('span', { className: 'flex-1 text-white truncate' }, profile.name),
+                    profile.name !== activeProfile && React.createElement('button', {
+                        onClick: () => switchProfile(profile.name),
+                        className: 'text-blue-400 hover:text-blue-300'
+                    }, 'Use'),
+                    React.createElement('button', {
+                        onClick: () => setRenamingProfile({ name: profile.name, value: profile.name }),
+                        className: 'text-gray-400 hover:text-white'
+                    }, '✏️ Rename'),
+                    React.createElement('button', {
+                        onClick: () => exportProfileFile(profile),
+                        className: 'text-gray-400 hover:text-white'
+                    }, '⬇ Export'),
+                    React.createElement('button', {
+                        onClick: () => deleteProfile(profile.name),
+                        className: 'text-gray-400 hover:text-red-400'
+                    }, '🗑')
+                )
+            ),
+            React.createElement('div', { className: 'flex gap-2 mt-3' },
+                React.createElement('input', {
+                    type: 'text',
+                    value: newProfileName,
+                    onChange: (e) => setNewProfileName(e.target.value),
+                    onKeyDown: (e) => { if (e.key === 'Enter') saveProfileAs(); },
+                    className: 'flex-1 px-3 py-1 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm',
+                    placeholder: 'e.g. Strict embedded, local Ollama'
+                }),
                 React.createElement('button', {
-                    onClick: () => setEditingPrompt(editingPrompt === promptKey ? null : promptKey),
-                    className: 'text-blue-400 hover:text-blue-300 text-sm'
-                }, editingPrompt === promptKey ? 'Close' : 'Edit')
+                    onClick: saveProfileAs,
+                    className: 'px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded-lg text-white text-sm'
+                }, 'Save current as profile'),
+                React.createElement('button', {
+                    onClick: () => profileInputRef.current.click(),
+                    className: 'px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded-lg text-white text-sm'
+                }, '⬆ Import'),
+                React.createElement('input', {
+                    ref: profileInputRef,
+                    type: 'file',
+                    accept: '.json,application/json',
+                    className: 'hidden',
+                    onChange: (e) => {
+                        const file = e.target.files[0];
+                        if (file) importProfileFile(file);
+                        e.target.value = '';
+                    }
+                })
             ),
-            editingPrompt === promptKey && React.createElement('div', null,
-                React.createElement('textarea', {
-                    value: settings.prompts[promptKey],
-                    onChange: (e) => setSettings({
-                        ...settings,
-                        prompts: { ...settings.prompts, [promptKey]: e.target.value }
+            React.createElement('div', { className: 'flex items-center gap-4 mt-3 text-sm' },
+                React.createElement('button', {
+                    onClick: copyShareLink,
+                    className: 'text-blue-400 hover:text-blue-300'
+                }, shareLinkCopied ? '✓ Link copied' : '🔗 Copy share link'),
+                React.createElement('label', { className: 'flex items-center space-x-2 text-gray-300' },
+                    React.createElement('input', {
+                        type: 'checkbox',
+                        checked: shareIncludesCode,
+                        disabled: isProject,
+                        onChange: (e) => setShareIncludesCode(e.target.checked),
+                        className: 'w-4 h-4'
                     }),
-                    className: 'w-full h-48 px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-white font-mono text-xs',
-                    placeholder: 'Prompt template...'
-                }),
-                React.createElement('div', { className: 'mt-2 text-xs text-gray-400' },
-                    'Available variables: ',
-                    promptKey === 'analysis' && '{{CODE}}, {{TEST_STRATEGY}}',
-                    promptKey === 'generation' && '{{SAFETY_LEVEL}}, {{SAFETY_HINTS}}, {{ANALYSIS}}, {{CODE}}, {{TEST_INCLUSION}}, {{COMMENT_PRESERVATION}}'
+                    React.createElement('span', null, isProject ? 'Include the C snippet (not available for projects)' : 'Include the C snippet')
+                )
+            )
+        )
+    );
+
+    const renderSharedProfileBanner = () => (
+        React.createElement('div', { className: 'bg-blue-500/20 border border-blue-500 text-blue-100 px-4 py-3 rounded-lg mb-4' },
+            React.createElement('div', null,
+                `🔗 This link shares the settings "${sharedProfile.name}": `,
+                React.createElement('span', { className: 'font-mono text-sm' },
+                    `${sharedProfile.settings.model || settings.model} via ${sharedProfile.settings.endpoint || settings.endpoint}`
                 ),
+                sharedProfile.settings.safetyLevel && `, ${sharedProfile.settings.safetyLevel} safety`,
+                sharedProfile.code !== undefined && `, with a ${sharedProfile.code.split('\n').length}-line C snippet that replaces the current input`,
+                '.'
+            ),
+            React.createElement('p', { className: 'text-xs text-blue-200 mt-1' },
+                'Your API key is kept only if the endpoint stays the same.'
+            ),
+            React.createElement('div', { className: 'flex gap-3 mt-2 text-sm' },
                 React.createElement('button', {
-                    onClick: () => setSettings({
-                        ...settings,
-                        prompts: { ...settings.prompts, [promptKey]: DEFAULT_PROMPTS[promptKey] }
-                    }),
-                    className: 'mt-2 text-xs text-gray-400 hover:text-gray-300'
-                }, '↺ Reset to default')
+                    onClick: () => acceptSharedProfile(true),
+                    className: 'px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded-lg text-white'
+                }, 'Save as profile'),
+                React.createElement('button', {
+                    onClick: () => acceptSharedProfile(false),
+                    className: 'px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded-lg text-white'
+                }, 'Use once'),
+                React.createElement('button', {
+                    onClick: () => setSharedProfile(null),
+                    className: 'text-blue-200 hover:text-white'
+                }, 'Dismiss')
             )
         )
     );
 
-    const SettingsPanel = () => (
+    const renderSettingsPanel = () => (
         React.createElement('div', {
             className: 'fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50',
             onClick: () => setShowSettings(false)
@@ -349,6 +2861,8 @@ const App = () => {
                 ),
                 
                 React.createElement('div', { className: 'space-y-6' },
+                    renderProfilesSection(),
+
                     React.createElement('div', { className: 'border-b border-slate-700 pb-4' },
                         React.createElement('h3', { className: 'text-lg font-semibold text-white mb-4' }, '🔌 API Configuration'),
                         
@@ -362,6 +2876,9 @@ const App = () => {
                                 ...PRESET_ENDPOINTS.map(preset =>
                                     React.createElement('option', { key: preset.name, value: preset.name }, preset.name)
                                 )
+                            ),
+                            isMockConfig(settings) && React.createElement('p', { className: 'mt-1 text-xs text-gray-400' },
+                                'Offline: replies come from recordings, canned responses and the demo script (see 🎞️ Mock/Replay below)'
                             )
                         ),
                         
@@ -375,7 +2892,29 @@ const App = () => {
                                 placeholder: 'https://text.pollinations.ai/openai'
                             }),
                             React.createElement('p', { className: 'mt-1 text-xs text-gray-400' }, 
-                                'OpenAI-compatible endpoint (supports streaming)'
+                                'Any endpoint the selected adapter understands'
+                            )
+                        ),
+
+                        React.createElement('div', { className: 'mb-4' },
+                            React.createElement('label', { className: 'block text-sm font-medium text-gray-300 mb-2' }, 'Provider Adapter'),
+                            React.createElement('select', {
+                                value: settings.adapter,
+                                onChange: (e) => setSettings({...settings, adapter: e.target.value}),
+                                className: 'w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white'
+                            },
+                                ...Object.entries(PROVIDER_ADAPTERS).map(([key, adapter]) =>
+                                    React.createElement('option', { key, value: key }, adapter.label)
+                                )
+                            ),
+                            React.createElement('label', { className: 'flex items-center space-x-2 mt-2' },
+                                React.createElement('input', {
+                                    type: 'checkbox',
+                                    checked: settings.stream,
+                                    onChange: (e) => setSettings({...settings, stream: e.target.checked}),
+                                    className: 'w-4 h-4'
+                                }),
+                                React.createElement('span', { className: 'text-sm text-gray-300' }, 'Stream responses (turn off for servers that only answer in one piece)')
                             )
                         ),
                         
@@ -389,7 +2928,7 @@ const App = () => {
                                 placeholder: 'sk-...'
                             }),
                             React.createElement('p', { className: 'mt-1 text-xs text-gray-400' }, 
-                                'Required for OpenRouter and OpenAI. Not needed for Pollinations AI.'
+                                'Required for OpenRouter, OpenAI and Anthropic. Not needed for Pollinations AI or local servers.'
                             )
                         ),
                         
@@ -405,9 +2944,26 @@ const App = () => {
                             React.createElement('p', { className: 'mt-1 text-xs text-gray-400' }, 
                                 'Examples: openai, gpt-4-turbo, anthropic/claude-3.5-sonnet'
                             )
+                        ),
+
+                        React.createElement('div', { className: 'mt-4' },
+                            React.createElement('label', { className: 'block text-sm font-medium text-gray-300 mb-2' }, 'Context Window (tokens)'),
+                            React.createElement('input', {
+                                type: 'number',
+                                min: '0',
+                                value: settings.contextLimit || '',
+                                onChange: (e) => setSettings({...settings, contextLimit: Math.max(0, parseInt(e.target.value, 10) || 0)}),
+                                className: 'w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white font-mono text-sm',
+                                placeholder: `auto: ${resolveContextLimit({ ...settings, contextLimit: 0 }).tokens}`
+                            }),
+                            React.createElement('p', { className: 'mt-1 text-xs text-gray-400' },
+                                'Prompts are sized against this before they are sent. Leave empty to use the known limit for the model, or the server default for local presets.'
+                            )
                         )
                     ),
                     
+                    renderMockReplaySection(),
+
                     React.createElement('div', { className: 'border-b border-slate-700 pb-4' },
                         React.createElement('h3', { className: 'text-lg font-semibold text-white mb-4' }, '🎯 Conversion Settings'),
                         
@@ -433,6 +2989,20 @@ const App = () => {
                                 React.createElement('span', null, 'Strict')
                             )
                         ),
+
+                        React.createElement('div', { className: 'mb-4' },
+                            React.createElement('label', { className: 'block text-sm font-medium text-gray-300 mb-2' }, 'Target Zig Version'),
+                            React.createElement('select', {
+                                value: settings.zigVersion,
+                                onChange: (e) => setSettings({...settings, zigVersion: e.target.value}),
+                                className: 'w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white'
+                            },
+                                ...ZIG_VERSIONS.map(version => React.createElement('option', { key: version, value: version }, version))
+                            ),
+                            React.createElement('p', { className: 'mt-1 text-xs text-gray-400' },
+                                'Passed to the prompts, and the Zig output is checked for APIs this version does not have'
+                            )
+                        ),
                         
                         React.createElement('label', { className: 'flex items-center space-x-2 mb-3' },
                             React.createElement('input', {
@@ -452,13 +3022,85 @@ const App = () => {
                                 className: 'w-4 h-4'
                             }),
                             React.createElement('span', { className: 'text-gray-300' }, 'Preserve original comments')
-                        )
+                        ),
+
+                        React.createElement('label', { className: 'flex items-center space-x-2 mt-3' },
+                            React.createElement('input', {
+                                type: 'checkbox',
+                                checked: settings.mappingMarkers,
+                                onChange: (e) => setSettings({...settings, mappingMarkers: e.target.checked}),
+                                className: 'w-4 h-4'
+                            }),
+                            React.createElement('span', { className: 'text-gray-300' }, 'Ask the model to mark which C declaration each Zig declaration comes from (split view)')
+                        ),
+
+                        React.createElement('label', { className: 'flex items-center space-x-2 mt-3' },
+                            React.createElement('input', {
+                                type: 'checkbox',
+                                checked: settings.chunkedConversion,
+                                onChange: (e) => setSettings({...settings, chunkedConversion: e.target.checked}),
+                                className: 'w-4 h-4'
+                            }),
+                            React.createElement('span', { className: 'text-gray-300' }, 'Chunked conversion (one request per top-level declaration, for large files)')
+                        ),
+
+                        React.createElement('label', { className: 'flex items-center space-x-2 mt-3' },
+                            React.createElement('input', {
+                                type: 'checkbox',
+                                checked: settings.structuredAnalysis,
+                                onChange: (e) => setSettings({...settings, structuredAnalysis: e.target.checked}),
+                                className: 'w-4 h-4'
+                            }),
+                            React.createElement('span', { className: 'text-gray-300' }, 'Structured analysis (JSON plan reviewed item by item before conversion, single files)')
+                        ),
+
+                        React.createElement('label', { className: 'flex items-center space-x-2 mt-3' },
+                            React.createElement('input', {
+                                type: 'checkbox',
+                                checked: settings.differentialTests,
+                                onChange: (e) => setSettings({...settings, differentialTests: e.target.checked}),
+                                className: 'w-4 h-4'
+                            }),
+                            React.createElement('span', { className: 'text-gray-300' }, 'Differential tests (a C harness and a Zig test that compare the converted functions with the C originals, single C files)')
+                        ),
+
+                        React.createElement('label', { className: 'flex items-center space-x-2 mt-3' },
+                            React.createElement('input', {
+                                type: 'checkbox',
+                                checked: settings.preprocess,
+                                onChange: (e) => setSettings({...settings, preprocess: e.target.checked}),
+                                className: 'w-4 h-4'
+                            }),
+                            React.createElement('span', { className: 'text-gray-300' }, 'Preprocess the C source (resolve #if/#ifdef branches with the defines below and list the macros in the prompts)')
+                        ),
+                        settings.preprocess && React.createElement('div', { className: 'mt-2 ml-6' },
+                            React.createElement('textarea', {
+                                value: settings.defines,
+                                onChange: (e) => setSettings({...settings, defines: e.target.value}),
+                                className: 'w-full h-20 px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-white font-mono text-xs',
+                                placeholder: 'Defines, one per line: NAME or NAME=value\nUSE_THREADS\nVERSION=2'
+                            }),
+                            React.createElement('p', { className: 'mt-1 text-xs text-gray-400' },
+                                'Like -D on a compiler command line; a bare name is 1. Everything else is undefined, so #ifdef _WIN32 branches drop out unless _WIN32 is listed.'
+                            )
+                        ),
+
+                        renderMappingRules()
                     ),
                     
                     React.createElement('div', null,
                         React.createElement('h3', { className: 'text-lg font-semibold text-white mb-4' }, '📝 Prompt Templates'),
-                        React.createElement(PromptEditor, { promptKey: 'analysis', label: 'Step 1: Analysis & Conversion Plan' }),
-                        React.createElement(PromptEditor, { promptKey: 'generation', label: 'Step 2: Zig Code Generation' })
+                        renderTemplateExtras(),
+                        renderPromptEditor('analysis', 'Step 1: Analysis & Conversion Plan'),
+                        renderPromptEditor('structuredAnalysis', 'Step 1 (Structured): JSON Analysis'),
+                        renderPromptEditor('generation', 'Step 2: Zig Code Generation'),
+                        renderPromptEditor('chunkGeneration', 'Step 2 (Chunked): Per-Declaration Generation'),
+                        renderPromptEditor('cppAnalysis', 'Step 1 (C++): Analysis & Conversion Plan'),
+                        renderPromptEditor('cppGeneration', 'Step 2 (C++): Zig Code Generation'),
+                        renderPromptEditor('repair', 'Step 3: Compiler-Error Repair'),
+                        renderPromptEditor('differentialTests', 'Differential Tests: C Harness and Zig Test'),
+                        renderPromptEditor('projectAnalysis', 'Project Step 1: Whole-Project Analysis'),
+                        renderPromptEditor('projectGeneration', 'Project Step 2: Per-Module Generation')
                     )
                 )
             )
@@ -466,7 +3108,9 @@ const App = () => {
     );
 
     return React.createElement('div', { className: 'min-h-screen p-4 md:p-8' },
-        showSettings && React.createElement(SettingsPanel),
+        showSettings && renderSettingsPanel(),
+        showHistory && renderHistoryPanel(),
+        historyDiff && renderHistoryDiff(),
         
         React.createElement('div', { className: 'max-w-7xl mx-auto' },
             React.createElement('header', { className: 'text-center mb-8' },
@@ -475,53 +3119,161 @@ const App = () => {
                     React.createElement('button', {
                         onClick: () => setShowSettings(true),
                         className: 'text-gray-400 hover:text-white transition-colors'
-                    }, '⚙️')
+                    }, '⚙️'),
+                    React.createElement('button', {
+                        onClick: openHistory,
+                        className: 'text-gray-400 hover:text-white transition-colors'
+                    }, '🕘'),
+                    renderProfileSelect()
                 ),
                 React.createElement('p', { className: 'text-gray-300 text-lg' }, 
                     'Transform unsafe code into Zig\'s fearless concurrency'
                 ),
                 
                 React.createElement('div', { className: 'mt-4 flex items-center justify-center gap-4 text-sm' },
-                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'input' ? 'bg-blue-500' : (stage === 'analyzing' || stage === 'analyzed' || stage === 'generating' || stage === 'complete') ? 'bg-green-500' : 'bg-gray-600'}` },
+                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'input' ? 'bg-blue-500' : (stage === 'analyzing' || stage === 'analyzed' || stage === 'generating' || stage === 'complete' || stage === 'repairing') ? 'bg-green-500' : 'bg-gray-600'}` },
                         '1. Input'
                     ),
                     React.createElement('div', { className: 'text-gray-500' }, '→'),
-                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'analyzing' || stage === 'analyzed' ? 'bg-blue-500' : (stage === 'generating' || stage === 'complete') ? 'bg-green-500' : 'bg-gray-600'}` },
+                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'analyzing' || stage === 'analyzed' ? 'bg-blue-500' : (stage === 'generating' || stage === 'complete' || stage === 'repairing') ? 'bg-green-500' : 'bg-gray-600'}` },
                         '2. Analyze & Plan'
                     ),
                     React.createElement('div', { className: 'text-gray-500' }, '→'),
-                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'generating' ? 'bg-blue-500' : stage === 'complete' ? 'bg-green-500' : 'bg-gray-600'}` },
+                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'generating' ? 'bg-blue-500' : (stage === 'complete' || stage === 'repairing') ? 'bg-green-500' : 'bg-gray-600'}` },
                         '3. Convert'
+                    ),
+                    React.createElement('div', { className: 'text-gray-500' }, '→'),
+                    React.createElement('div', { className: `px-3 py-1 rounded-full ${stage === 'repairing' ? 'bg-blue-500' : Object.keys(repairs).length > 0 ? 'bg-green-500' : 'bg-gray-600'}` },
+                        '4. Fix'
                     )
                 )
             ),
 
+            sharedProfile && renderSharedProfileBanner(),
+
             error && React.createElement('div', { className: 'bg-red-500/20 border border-red-500 text-red-200 px-4 py-3 rounded-lg mb-4' },
                 error
             ),
 
-            stage === 'input' && React.createElement('div', { className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700' },
-                React.createElement('h2', { className: 'text-xl font-bold text-white mb-4' }, '📝 Paste Your C/C++ Code'),
-                React.createElement('textarea', {
-                    value: cCode,
-                    onChange: (e) => setCCode(e.target.value),
-                    className: 'w-full h-96 px-4 py-3 bg-slate-900 border border-slate-600 rounded-lg text-white font-mono text-sm',
-                    placeholder: 'Paste your C/C++ code here...'
-                }),
+            loading && React.createElement('div', { className: 'flex items-center justify-between gap-4 bg-slate-800/80 border border-slate-700 text-gray-300 px-4 py-2 rounded-lg mb-4 text-sm' },
+                React.createElement('span', null, retryNotice ? `⏳ ${retryNotice}` : '⏳ Streaming from the model...'),
+                React.createElement('button', {
+                    onClick: stopGeneration,
+                    className: 'bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg transition-colors'
+                }, '■ Stop')
+            ),
+
+            interrupted && !loading && React.createElement('div', { className: 'flex items-center justify-between gap-4 bg-yellow-500/10 border border-yellow-600 text-yellow-200 px-4 py-2 rounded-lg mb-4 text-sm' },
+                React.createElement('span', null, `The ${interrupted.step === 'analysis' ? 'analysis' : 'Zig code'} below is incomplete.`),
+                React.createElement('div', { className: 'flex gap-2' },
+                    React.createElement('button', {
+                        onClick: continueInterrupted,
+                        className: 'bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded-lg transition-colors'
+                    }, 'Continue ▶'),
+                    React.createElement('button', {
+                        onClick: () => setInterrupted(null),
+                        className: 'text-yellow-300 hover:text-yellow-100 px-2'
+                    }, 'Keep as is')
+                )
+            ),
+
+            stage === 'input' && React.createElement('div', {
+                className: `bg-slate-800/50 backdrop-blur rounded-xl p-6 border ${dragActive ? 'border-blue-400' : 'border-slate-700'}`,
+                onDragOver: (e) => { e.preventDefault(); setDragActive(true); },
+                onDragLeave: () => setDragActive(false),
+                onDrop: handleDrop
+            },
+                React.createElement('div', { className: 'flex flex-wrap justify-between items-center gap-3 mb-4' },
+                    React.createElement('h2', { className: 'text-xl font-bold text-white' },
+                        isProject ? `📁 Project: ${projectFiles.length} files → ${projectUnits.length} Zig modules` : '📝 Paste Your C/C++ Code'
+                    ),
+                    React.createElement('div', { className: 'flex gap-2 text-sm' },
+                        React.createElement('select', {
+                            value: settings.sourceLanguage,
+                            onChange: (e) => setSettings({ ...settings, sourceLanguage: e.target.value }),
+                            title: 'Source language: picks the C or C++ prompts',
+                            className: 'px-2 py-1 bg-slate-700 border border-slate-600 rounded-lg text-white'
+                        },
+                            ...Object.entries(SOURCE_LANGUAGES).map(([value, label]) => React.createElement('option', { key: value, value },
+                                value === 'auto' ? `${label}: ${SOURCE_LANGUAGES[sourceLanguage]}` : label
+                            ))
+                        ),
+                        React.createElement('button', {
+                            onClick: () => folderInputRef.current.click(),
+                            className: 'bg-slate-700 hover:bg-slate-600 text-white px-3 py-1 rounded-lg transition-colors'
+                        }, '📁 Open Folder'),
+                        React.createElement('button', {
+                            onClick: () => zipInputRef.current.click(),
+                            className: 'bg-slate-700 hover:bg-slate-600 text-white px-3 py-1 rounded-lg transition-colors'
+                        }, '🗜️ Open .zip'),
+                        isProject && React.createElement('button', {
+                            onClick: clearProject,
+                            className: 'bg-slate-700 hover:bg-slate-600 text-white px-3 py-1 rounded-lg transition-colors'
+                        }, '✕ Single File')
+                    ),
+                    React.createElement('input', {
+                        ref: folderInputRef,
+                        type: 'file',
+                        webkitdirectory: '',
+                        multiple: true,
+                        className: 'hidden',
+                        onChange: (e) => {
+                            const { files } = e.target;
+                            loadProject(() => readFileList(files));
+                            e.target.value = '';
+                        }
+                    }),
+                    React.createElement('input', {
+                        ref: zipInputRef,
+                        type: 'file',
+                        accept: '.zip',
+                        className: 'hidden',
+                        onChange: (e) => {
+                            const file = e.target.files[0];
+                            if (file) loadProject(() => readZipArchive(file));
+                            e.target.value = '';
+                        }
+                    })
+                ),
+                isProject
+                    ? React.createElement('div', { className: 'grid md:grid-cols-[16rem_1fr] gap-4' },
+                        React.createElement('div', { className: 'h-96 overflow-y-auto bg-slate-900 border border-slate-600 rounded-lg p-3 font-mono text-sm' },
+                            renderFileTree(buildFileTree(projectFiles.map(f => f.path)), 0)
+                        ),
+                        React.createElement(CodeEditor, {
+                            value: selectedFileContent,
+                            language: resolveSourceLanguage(settings, selectedFileContent, selectedFile),
+                            onChange: (e) => updateProjectFile(selectedFile, e.target.value),
+                            findings: safetyFindings
+                        })
+                    )
+                    : React.createElement(CodeEditor, {
+                        value: cCode,
+                        language: sourceLanguage,
+                        onChange: (e) => setCCode(e.target.value),
+                        findings: safetyFindings,
+                        placeholder: 'Paste your C/C++ code here, or drop a project folder or .zip...'
+                    }),
+                preprocessed && (isProject || cCode.trim()) && renderPreprocessor(isProject ? preprocessed.find(r => r.path === selectedFile) : preprocessed[0]),
                 React.createElement('div', { className: 'flex gap-3 mt-4' },
                     React.createElement('button', {
                         onClick: analyzeAndPlan,
-                        disabled: !cCode.trim() || loading,
+                        disabled: (isProject ? false : !cCode.trim()) || loading || analysisBudget.status === 'over',
                         className: 'flex-1 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
-                    }, 'Analyze & Create Plan 🔍'),
-                    React.createElement('button', {
-                        onClick: () => setCCode(SAMPLE_C_CODE),
-                        className: 'bg-slate-700 hover:bg-slate-600 text-white px-6 py-3 rounded-lg transition-colors'
-                    }, 'Load Sample')
-                )
+                    }, isProject ? 'Analyze Project & Create Plan 🔍' : 'Analyze & Create Plan 🔍'),
+                    !isProject && React.createElement('select', {
+                        value: '',
+                        onChange: (e) => { if (e.target.value) setCCode(SAMPLES[Number(e.target.value)].code); },
+                        className: 'bg-slate-700 hover:bg-slate-600 text-white px-4 py-3 rounded-lg transition-colors'
+                    },
+                        React.createElement('option', { value: '' }, 'Load Sample…'),
+                        ...SAMPLES.map((sample, k) => React.createElement('option', { key: sample.name, value: String(k) }, sample.name))
+                    )
+                ),
+                (isProject || cCode.trim()) && renderBudget(analysisBudget, { onSend: analyzeAndPlan })
             ),
 
-            (stage === 'analyzing' || stage === 'analyzed' || stage === 'generating' || stage === 'complete') && React.createElement('div', { className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6' },
+            (stage === 'analyzing' || stage === 'analyzed' || stage === 'generating' || stage === 'complete' || stage === 'repairing') && React.createElement('div', { className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6' },
                 React.createElement('div', { className: 'flex justify-between items-center mb-4' },
                     React.createElement('h2', { className: 'text-xl font-bold text-white' }, '🔍 Analysis & Conversion Plan'),
                     analysis && React.createElement('button', {
@@ -529,53 +3281,217 @@ const App = () => {
                         className: 'text-blue-400 hover:text-blue-300 text-sm'
                     }, '📋 Copy')
                 ),
-                React.createElement('textarea', {
+                structuredPlan && !(loading && stage === 'analyzing') ? renderStructuredPlan() : React.createElement(CodeEditor, {
+                    language: 'markdown',
                     value: loading && stage === 'analyzing' ? streamingText : analysis,
                     onChange: (e) => setAnalysis(e.target.value),
-                    disabled: loading,
-                    className: 'w-full h-96 px-4 py-3 bg-slate-900 border border-slate-600 rounded-lg text-gray-300 font-mono text-sm',
+                    readOnly: loading,
+                    follow: loading && stage === 'analyzing',
                     placeholder: 'Analysis and conversion plan will appear here...'
                 }),
+                stage === 'analyzed' && !isProject && React.createElement('label', { className: 'mt-4 flex items-center space-x-2 text-sm' },
+                    React.createElement('input', {
+                        type: 'checkbox',
+                        checked: settings.chunkedConversion,
+                        onChange: (e) => setSettings({...settings, chunkedConversion: e.target.checked}),
+                        className: 'w-4 h-4'
+                    }),
+                    React.createElement('span', { className: 'text-gray-300' },
+                        `Convert declaration by declaration (${splitTopLevelDeclarations(cCode).length} top-level declarations, ${cCode.split('\n').length} lines)`
+                    )
+                ),
                 stage === 'analyzed' && React.createElement('button', {
                     onClick: generateZigCode,
-                    disabled: loading,
+                    disabled: loading || (generationBudget && generationBudget.status === 'over'),
                     className: 'mt-4 w-full bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
-                }, 'Convert to Zig ⚡')
+                }, 'Convert to Zig ⚡'),
+                stage === 'analyzed' && renderBudget(generationBudget, {
+                    onSend: generateZigCode,
+                    onTrim: trimAnalysisToBudget,
+                    onChunk: !isProject && !settings.chunkedConversion && (() => setSettings({ ...settings, chunkedConversion: true }))
+                }),
+                (stage === 'analyzed' || stage === 'complete') && !isProject && !showComparison && React.createElement('button', {
+                    onClick: () => setShowComparison(true),
+                    disabled: loading,
+                    className: 'mt-3 w-full bg-slate-700 hover:bg-slate-600 disabled:bg-gray-600 text-white py-2 px-6 rounded-lg transition-colors'
+                }, '⚖️ Compare models side by side')
+            ),
+
+            showComparison && !isProject && renderComparisonPanel(),
+
+            isProject && (stage === 'generating' || stage === 'complete' || stage === 'repairing') && React.createElement('div', {
+                ref: zigCodeRef,
+                className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6 relative'
+            },
+                React.createElement('div', { className: 'flex justify-between items-center mb-4' },
+                    React.createElement('h2', { className: 'text-xl font-bold text-white' },
+                        `⚡ Generated Zig Modules (${projectUnits.filter(u => u.status === 'done').length}/${projectUnits.length})`
+                    ),
+                    activeUnit && activeUnit.zigCode && React.createElement('div', { className: 'flex gap-4' },
+                        stage === 'complete' && React.createElement('button', {
+                            onClick: () => setSplitView(!splitView),
+                            className: 'text-blue-400 hover:text-blue-300 text-sm'
+                        }, splitView ? '📄 Zig only' : '⇄ Split view'),
+                        React.createElement('button', {
+                            onClick: () => copyToClipboard(activeUnit.zigCode),
+                            className: 'text-green-400 hover:text-green-300 text-sm'
+                        }, '📋 Copy')
+                    )
+                ),
+                React.createElement('div', { className: 'grid md:grid-cols-[16rem_1fr] gap-4' },
+                    React.createElement('div', { className: 'space-y-1' },
+                        ...projectUnits.map(unit =>
+                            React.createElement('div', {
+                                key: unit.name,
+                                onClick: () => setSelectedUnit(unit.name),
+                                className: `flex items-center justify-between gap-2 px-3 py-2 rounded-lg cursor-pointer text-sm ${selectedUnit === unit.name ? 'bg-slate-700' : 'hover:bg-slate-700/50'}`
+                            },
+                                React.createElement('div', { className: 'min-w-0' },
+                                    React.createElement('div', { className: 'text-white font-mono truncate' },
+                                        { pending: '⏳', generating: '⚡', done: '✅', error: '❌' }[unit.status] + ' ' + unit.zigFile
+                                    ),
+                                    React.createElement('div', { className: 'text-xs text-gray-400 truncate' }, unit.files.join(', '))
+                                ),
+                                unit.partial && !loading && React.createElement('button', {
+                                    onClick: (e) => { e.stopPropagation(); retryProjectUnit(unit, true); },
+                                    className: 'text-xs text-yellow-400 hover:text-yellow-300'
+                                }, '▶ Continue'),
+                                (unit.status === 'error' || (unit.status === 'pending' && stage === 'complete')) && !loading && React.createElement('button', {
+                                    onClick: (e) => { e.stopPropagation(); retryProjectUnit(unit); },
+                                    className: 'text-xs text-blue-400 hover:text-blue-300'
+                                }, unit.status === 'pending' ? '▶ Convert' : '↻ Retry')
+                            )
+                        )
+                    ),
+                    splitView && stage === 'complete' && activeUnit && activeUnit.zigCode
+                        ? React.createElement(SplitView, {
+                            key: activeUnit.name,
+                            cSource: activeUnit.files.map(path => `// File: ${path}\n${(projectFiles.find(f => f.path === path) || {}).content || ''}`).join('\n\n'),
+                            zigSource: activeUnit.zigCode
+                        })
+                        : activeUnit && React.createElement('div', { className: 'min-w-0' },
+                            activeUnit.status === 'error' && React.createElement('div', { className: 'mb-2 text-sm text-red-300' }, `Error: ${activeUnit.error}`),
+                            React.createElement(CodeEditor, {
+                                language: 'zig',
+                                value: stage === 'repairing' ? streamingText : activeUnit.zigCode,
+                                onChange: (e) => updateProjectUnit(activeUnit.name, { zigCode: e.target.value }),
+                                findings: loading ? [] : checkZigOutput(activeUnit.zigCode, activeUnit.files.map(path => (projectFiles.find(f => f.path === path) || {}).content || '').join('\n')),
+                                findingsTitle: outputCheckTitle,
+                                readOnly: loading,
+                                follow: loading && (stage === 'repairing' || activeUnit.status === 'generating'),
+                                height: 'h-[600px]',
+                                placeholder: activeUnit.status === 'pending' ? 'Not converted yet' : ''
+                            }),
+                            !loading && renderModelNotes(activeUnit.notes)
+                        )
+                ),
+                stage === 'complete' && React.createElement('div', { className: 'mt-4 flex gap-3' },
+                    React.createElement('button', {
+                        onClick: reset,
+                        className: 'flex-1 bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+                    }, 'Start Over 🔄'),
+                    activeUnit && activeUnit.zigCode && React.createElement('button', {
+                        onClick: () => downloadFile(activeUnit.zigCode, activeUnit.zigFile),
+                        className: 'bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+                    }, `💾 ${activeUnit.zigFile}`),
+                    React.createElement('button', {
+                        onClick: downloadProjectZip,
+                        className: 'bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+                    }, '🗜️ Download All (.zip)'),
+                    React.createElement('button', {
+                        onClick: exportZigProject,
+                        title: `build.zig and build.zig.zon for Zig ${settings.zigVersion}`,
+                        className: 'bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+                    }, '📦 Export project')
+                )
             ),
 
-            (stage === 'generating' || stage === 'complete') && React.createElement('div', { 
+            !isProject && (stage === 'generating' || stage === 'complete' || stage === 'repairing') && React.createElement('div', { 
                 ref: zigCodeRef,
                 className: 'bg-slate-800/50 backdrop-blur rounded-xl p-6 border border-slate-700 mb-6 relative' 
             },
                 React.createElement('div', { className: 'flex justify-between items-center mb-4' },
                     React.createElement('h2', { className: 'text-xl font-bold text-white' }, '⚡ Generated Zig Code'),
-                    zigCode && React.createElement('button', {
-                        onClick: () => copyToClipboard(zigCode),
-                        className: 'text-green-400 hover:text-green-300 text-sm'
-                    }, '📋 Copy')
+                    zigCode && React.createElement('div', { className: 'flex gap-4' },
+                        stage === 'complete' && React.createElement('button', {
+                            onClick: () => setSplitView(!splitView),
+                            className: 'text-blue-400 hover:text-blue-300 text-sm'
+                        }, splitView ? '📄 Zig only' : '⇄ Split view'),
+                        React.createElement('button', {
+                            onClick: () => copyToClipboard(zigCode),
+                            className: 'text-green-400 hover:text-green-300 text-sm'
+                        }, '📋 Copy')
+                    )
                 ),
-                React.createElement('div', { className: 'bg-slate-900 border border-slate-600 rounded-lg p-4 text-gray-300 whitespace-pre-wrap font-mono text-sm max-h-[600px] overflow-y-auto' },
-                    loading ? streamingText : zigCode
+                chunks.length > 0 && React.createElement('div', { className: 'mb-4 bg-slate-900/60 border border-slate-700 rounded-lg divide-y divide-slate-800 max-h-72 overflow-y-auto' },
+                    ...chunks.map(chunk =>
+                        React.createElement('div', { key: chunk.id, className: 'px-3 py-2 text-sm' },
+                            React.createElement('div', { className: 'flex items-center gap-3' },
+                                React.createElement('span', null, { pending: '⏳', generating: '⚡', done: '✅', error: '❌', skipped: '⏭️' }[chunk.status]),
+                                React.createElement('button', {
+                                    onClick: () => setExpandedChunk(expandedChunk === chunk.id ? null : chunk.id),
+                                    className: 'flex-1 text-left text-gray-300 hover:text-white truncate'
+                                },
+                                    React.createElement('span', { className: 'text-gray-500 mr-2' }, chunk.kind),
+                                    React.createElement('span', { className: 'font-mono' }, chunk.name || '—'),
+                                    React.createElement('span', { className: 'text-gray-500 ml-2' }, `L${chunk.startLine}-${chunk.endLine}`)
+                                ),
+                                chunk.partial && !loading && React.createElement('button', {
+                                    onClick: () => regenerateChunk(chunk, true),
+                                    className: 'text-xs text-yellow-400 hover:text-yellow-300'
+                                }, '▶ Continue'),
+                                (chunk.status === 'error' || (chunk.status === 'pending' && stage === 'complete')) && !loading && React.createElement('button', {
+                                    onClick: () => regenerateChunk(chunk),
+                                    className: 'text-xs text-blue-400 hover:text-blue-300'
+                                }, chunk.status === 'pending' ? '▶ Convert' : '↻ Retry'),
+                                (chunk.status === 'done' || chunk.status === 'skipped') && !loading && React.createElement('button', {
+                                    onClick: () => regenerateChunk(chunk),
+                                    className: 'text-xs text-gray-400 hover:text-gray-300'
+                                }, chunk.status === 'skipped' ? '▶ Convert' : '🔁 Regenerate')
+                            ),
+                            expandedChunk === chunk.id && React.createElement('div', { className: 'grid md:grid-cols-2 gap-2 mt-2' },
+                                React.createElement('pre', { className: 'bg-slate-950 rounded p-2 text-xs text-gray-400 overflow-x-auto' }, chunk.text),
+                                React.createElement('pre', { className: 'bg-slate-950 rounded p-2 text-xs text-gray-300 overflow-x-auto' },
+                                    chunk.status === 'error' ? `Error: ${chunk.error}\n\n${chunk.zigCode}` : chunk.zigCode
+                                )
+                            )
+                        )
+                    )
                 ),
+                splitView && stage === 'complete' && zigCode
+                    ? React.createElement(SplitView, { cSource: cCode, zigSource: zigCode })
+                    : React.createElement(CodeEditor, {
+                        language: 'zig',
+                        value: stage === 'repairing' ? streamingText : loading ? (chunks.length > 0 ? stitchZigChunks(chunks) : streamingText) : zigCode,
+                        onChange: (e) => setZigCode(e.target.value),
+                        findings: outputFindings,
+                        findingsTitle: outputCheckTitle,
+                        readOnly: loading,
+                        follow: loading,
+                        height: 'h-[600px]'
+                    }),
+                !loading && renderModelNotes(zigNotes),
                 stage === 'complete' && React.createElement('div', { className: 'mt-4 flex gap-3' },
                     React.createElement('button', {
                         onClick: reset,
                         className: 'flex-1 bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
                     }, 'Convert Another File 🔄'),
                     React.createElement('button', {
-                        onClick: () => {
-                            const blob = new Blob([zigCode], { type: 'text/plain' });
-                            const url = URL.createObjectURL(blob);
-                            const a = document.createElement('a');
-                            a.href = url;
-                            a.download = 'converted.zig';
-                            a.click();
-                        },
+                        onClick: () => downloadFile(zigCode, 'converted.zig'),
                         className: 'bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors'
-                    }, '💾 Download .zig')
+                    }, '💾 Download .zig'),
+                    React.createElement('button', {
+                        onClick: exportZigProject,
+                        title: `build.zig and build.zig.zon for Zig ${settings.zigVersion}`,
+                        className: 'bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 px-6 rounded-lg transition-colors'
+                    }, '📦 Export project')
                 )
             ),
 
+            (stage === 'complete' || stage === 'repairing') && (isProject ? activeUnit && activeUnit.zigCode : zigCode) && renderRepairPanel(),
+
+            stage === 'complete' && !isProject && zigCode && settings.differentialTests && renderDiffTestPanel(),
+
             React.createElement('footer', { className: 'text-center mt-12 text-gray-400 text-sm' },
                 React.createElement('p', null,
                     'Powered by ',
@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/**
+ * c2zig: headless C→Zig conversion with the same prompts and provider
+ * adapters as the browser UI.
+ *
+ *   c2zig analyze file.c [-o plan.md]
+ *   c2zig convert file.c [-o out.zig] [--analysis plan.md] [--scaffold dir] [--diff-tests] [-D NAME[=value]]
+ *   c2zig convert file.c --record replies.json    then    c2zig convert file.c --replay replies.json
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_SETTINGS, DEFAULT_PROMPTS, customizedPrompts, PRESET_ENDPOINTS, PROVIDER_ADAPTERS, SAFETY_HINTS,
+    buildAnalysisPrompt, buildStructuredAnalysisPrompt, buildGenerationPrompt, validatePrompt, requestCompletion, scanCSafety, MAX_RETRIES,
+    PROFILE_FORMAT, parseProfile, parseStructuredAnalysis, formatStructuredPlan, ZIG_VERSIONS, checkZigVersion,
+    extractZigOutput, lintZigOutput, checkMappingRules, buildZigProjectScaffold, resolveContextLimit, estimatePromptBudget, replyReserveFor,
+    ANALYSIS_REPLY_TOKENS, parseDefines, preprocessC, SOURCE_LANGUAGES, resolveSourceLanguage, singleFilePromptKey,
+    listDiffTestFunctions, buildDiffTestPrompt, diffTestFileNames, diffTestCommands, extractHarnessPair,
+    MOCK_PRESET, isMockConfig, mergeRecordings, exportRecordings, parseRecordings
+} = require('../c2zig-core.js');
+
+const USAGE = `Usage: c2zig <command> <file.c> [options]
+
+Commands:
+  analyze <file.c>         Write a safety analysis and conversion plan (default: <file>.analysis.md)
+  convert <file.c>         Analyze, then write the Zig conversion (default: <file>.zig)
+                           C++ sources (.cpp, .cc, .hpp, … or detected) use the C++ prompts
+
+Options:
+  -o, --output <path>      Where to write the result
+  --analysis <plan>        convert: reuse a plan instead of analyzing again; a .json plan from
+                           --structured leaves out items marked "status": "rejected"
+  --structured             Ask for a JSON analysis checked against the schema; also writes <plan>.json
+  --scaffold <dir>         convert: also write a buildable project (build.zig, build.zig.zon, src/) to <dir>
+  --diff-tests             convert: also write a C harness and a Zig test that compare the converted
+                           functions with the C ones (<out>_harness.c, <out>_diff_test.zig)
+  --diff-functions <list>  Comma-separated functions for --diff-tests (default: every testable one)
+  --safety <level>         ${Object.keys(SAFETY_HINTS).join(' | ')} (default: ${DEFAULT_SETTINGS.safetyLevel})
+  --lang <language>        ${Object.keys(SOURCE_LANGUAGES).join(' | ')}: which prompts to use (default: auto, by extension or content)
+  --zig <version>          Target Zig version: ${ZIG_VERSIONS.join(' | ')} (default: ${DEFAULT_SETTINGS.zigVersion})
+  -D NAME[=value]          Define a macro for the preprocessing pass (repeatable; implies --preprocess)
+  --preprocess             Resolve #if/#ifdef branches and list the macros in the prompts
+  --preset <name>          Endpoint preset: ${PRESET_ENDPOINTS.filter(p => p.url).map(p => `"${p.name}"`).join(', ')}
+  --record <file>          Save every reply with its timing to <file> (added to what it already holds)
+  --replay <file>          Answer from the replies in <file> instead of the network (the ${MOCK_PRESET} preset);
+                           prompts it has no reply for get the canned responses from the config, then the demo script
+  --no-replay-timing       Replay replies at once instead of at the recorded pace
+  --endpoint <url>         Chat endpoint URL
+  --model <name>           Model name
+  --context <tokens>       Context window to size prompts against (default: known limit for the model)
+  --force                  Send prompts that do not fit the context window anyway
+  --adapter <name>         ${Object.keys(PROVIDER_ADAPTERS).join(' | ')}
+  --config <file>          JSON settings or exported profile (default: ./c2zig.config.json, then ~/.c2zig.json)
+  --no-stream              Ask for one complete JSON reply instead of a stream
+  --no-tests               Do not ask for std.testing tests
+  --no-comments            Do not ask to preserve comments
+  --no-markers             Do not ask for // c2zig: mapping markers
+  -q, --quiet              Only print errors
+  -h, --help               Show this help
+
+Settings are merged in this order: built-in defaults, config file, environment
+(C2ZIG_PRESET, C2ZIG_ENDPOINT, C2ZIG_MODEL, C2ZIG_API_KEY, C2ZIG_ADAPTER), flags.
+The config file is either a profile exported from the browser settings or a
+plain JSON object with the same keys, including prompts, customVariables and
+promptPartials.`;
+
+class UsageError extends Error {}
+
+const VALUE_FLAGS = {
+    '-o': 'output',
+    '--output': 'output',
+    '--analysis': 'analysis',
+    '--scaffold': 'scaffold',
+    '--diff-functions': 'diffFunctions',
+    '--safety': 'safetyLevel',
+    '--zig': 'zigVersion',
+    '--lang': 'sourceLanguage',
+    '--preset': 'endpointPreset',
+    '--record': 'record',
+    '--replay': 'replay',
+    '--endpoint': 'endpoint',
+    '--model': 'model',
+    '--context': 'contextLimit',
+    '--adapter': 'adapter',
+    '--config': 'config'
+};
+
+const SWITCH_FLAGS = {
+    '--no-stream': ['stream', false],
+    '--no-tests': ['generateTests', false],
+    '--no-comments': ['preserveComments', false],
+    '--no-markers': ['mappingMarkers', false],
+    '--no-replay-timing': ['replayTiming', false],
+    '--structured': ['structuredAnalysis', true],
+    '--diff-tests': ['differentialTests', true],
+    '--preprocess': ['preprocess', true],
+    '--force': ['force', true],
+    '-q': ['quiet', true],
+    '--quiet': ['quiet', true],
+    '-h': ['help', true],
+    '--help': ['help', true]
+};
+
+const parseArgs = (argv) => {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith('--') && argv[i].includes('=') ? argv[i].split(/=(.*)/s) : [argv[i]];
+        if (/^-D/.test(flag)) {
+            // -D NAME and -DNAME, as on a compiler command line
+            const value = flag.length > 2 ? flag.slice(2) : argv[++i];
+            if (value === undefined) throw new UsageError('-D needs a macro name');
+            if (!/^[A-Za-z_]\w*(=.*)?$/s.test(value)) throw new UsageError(`-D ${value} is not NAME or NAME=value`);
+            options.defines = [...(options.defines || []), value];
+        } else if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new UsageError(`${flag} needs a value`);
+            options[VALUE_FLAGS[flag]] = value;
+        } else if (SWITCH_FLAGS[flag]) {
+            const [key, value] = SWITCH_FLAGS[flag];
+            options[key] = value;
+        } else if (flag.startsWith('-') && flag !== '-') {
+            throw new UsageError(`Unknown option ${flag}`);
+        } else {
+            positional.push(flag);
+        }
+    }
+    return { options, positional };
+};
+
+const readConfigFile = (explicitPath) => {
+    const candidates = explicitPath
+        ? [explicitPath]
+        : [process.env.C2ZIG_CONFIG, path.resolve('c2zig.config.json'), path.join(os.homedir(), '.c2zig.json')].filter(Boolean);
+    for (const candidate of candidates) {
+        if (!fs.existsSync(candidate)) {
+            if (explicitPath) throw new UsageError(`Config file not found: ${candidate}`);
+            continue;
+        }
+        try {
+            const config = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+            // A profile exported from the browser has no API key; it comes from the environment
+            return config && config.format === PROFILE_FORMAT ? parseProfile(config).settings : config;
+        } catch (err) {
+            throw new UsageError(`Could not read config file ${candidate}: ${err.message}`);
+        }
+    }
+    return {};
+};
+
+const pickDefined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+// Defaults < config file < environment < flags. A preset sets endpoint and
+// adapter; an endpoint or adapter given in the same or a later layer wins.
+const resolveSettings = (options) => {
+    const fromConfig = readConfigFile(options.config);
+    const fromEnv = pickDefined({
+        endpointPreset: process.env.C2ZIG_PRESET,
+        endpoint: process.env.C2ZIG_ENDPOINT,
+        model: process.env.C2ZIG_MODEL,
+        apiKey: process.env.C2ZIG_API_KEY,
+        adapter: process.env.C2ZIG_ADAPTER
+    });
+    const { output, analysis, scaffold, config, quiet, help, force, defines, diffFunctions, record, replay, ...fromFlags } = options;
+    if (replay !== undefined) fromFlags.endpointPreset = MOCK_PRESET;
+    if (fromFlags.contextLimit !== undefined) {
+        fromFlags.contextLimit = Number(fromFlags.contextLimit);
+        if (!Number.isInteger(fromFlags.contextLimit) || fromFlags.contextLimit < 0) throw new UsageError('--context must be a whole number of tokens');
+    }
+
+    const settings = { ...DEFAULT_SETTINGS, prompts: { ...DEFAULT_PROMPTS, ...customizedPrompts(fromConfig.prompts) } };
+    for (const layer of [fromConfig, fromEnv, fromFlags]) {
+        const { prompts, ...values } = layer;
+        if (values.endpointPreset !== undefined) {
+            const preset = PRESET_ENDPOINTS.find(p => p.name === values.endpointPreset);
+            if (!preset) throw new UsageError(`Unknown preset "${values.endpointPreset}"`);
+            if (preset.url) Object.assign(settings, { endpoint: preset.url, adapter: preset.adapter });
+        }
+        Object.assign(settings, values);
+    }
+    // -D adds to the defines of the config file
+    if (defines) {
+        settings.defines = [settings.defines, ...defines].filter(Boolean).join('\n');
+        settings.preprocess = true;
+    }
+
+    if (!SAFETY_HINTS[settings.safetyLevel]) {
+        throw new UsageError(`--safety must be one of: ${Object.keys(SAFETY_HINTS).join(', ')}`);
+    }
+    if (!SOURCE_LANGUAGES[settings.sourceLanguage]) {
+        throw new UsageError(`--lang must be one of: ${Object.keys(SOURCE_LANGUAGES).join(', ')}`);
+    }
+    if (!ZIG_VERSIONS.includes(settings.zigVersion)) {
+        throw new UsageError(`--zig must be one of: ${ZIG_VERSIONS.join(', ')}`);
+    }
+    if (!PROVIDER_ADAPTERS[settings.adapter]) {
+        throw new UsageError(`--adapter must be one of: ${Object.keys(PROVIDER_ADAPTERS).join(', ')}`);
+    }
+    return settings;
+};
+
+// Template warnings are reported; syntax errors and self-including partials stop the run
+const checkPrompts = (settings, promptKeys, reporter) => {
+    for (const promptKey of promptKeys) {
+        const { issues } = validatePrompt(settings, promptKey);
+        issues.forEach(issue => reporter.info(`prompts.${promptKey}:${issue.line}: ${issue.severity}: ${issue.message}`));
+        if (issues.some(issue => issue.severity === 'error')) {
+            throw new UsageError(`The ${promptKey} prompt template has errors`);
+        }
+    }
+};
+
+// The functions --diff-tests covers: the named ones, or every one the harness can call
+const chooseDiffFunctions = (code, list, settings) => {
+    if (settings.sourceLanguage !== 'c') throw new UsageError('--diff-tests needs a C source');
+    const candidates = listDiffTestFunctions(code);
+    if (!list) {
+        const testable = candidates.filter(fn => !fn.reason);
+        if (testable.length === 0) throw new UsageError('--diff-tests found no function it can call with generated inputs');
+        return testable;
+    }
+    return list.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+        const fn = candidates.find(candidate => candidate.name === name);
+        if (!fn) throw new UsageError(`--diff-functions: no function ${name} in the source`);
+        if (fn.reason) throw new UsageError(`--diff-functions: ${name} cannot be tested (${fn.reason})`);
+        return fn;
+    });
+};
+
+// Sizes a prompt against the context window before it is sent; too big stops the run unless --force is given
+const checkBudget = (label, prompt, { code, reserve, settings, reporter, force, remedy = '' }) => {
+    const limit = resolveContextLimit(settings);
+    const budget = estimatePromptBudget(prompt, { limit: limit.tokens, reserve, parts: { code } });
+    const summary = `${label} prompt is about ${budget.promptTokens} tokens plus ${budget.reserve} for the reply, against a ${limit.tokens}-token context (${limit.source === 'setting' ? '--context' : limit.source})`;
+    if (budget.status === 'over' && !force) {
+        throw new UsageError(`${summary}. Pass --context if the model allows more${remedy}, or --force to send it anyway`);
+    }
+    if (budget.status !== 'ok') reporter.info(`Warning: ${summary}`);
+};
+
+const readRecordingFile = (file) => {
+    try {
+        return parseRecordings(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        throw new UsageError(`Could not read recording file ${file}: ${err.message}`);
+    }
+};
+
+// What requestCompletion needs besides the prompt: the stop signal, the replies to replay, and where to record
+const createRequestOptions = (options, signal, reporter) => {
+    if (options.replay !== undefined) {
+        if (!fs.existsSync(options.replay)) throw new UsageError(`Recording file not found: ${options.replay}`);
+        return { signal, recordings: readRecordingFile(options.replay) };
+    }
+    if (options.record === undefined) return { signal };
+    let recorded = fs.existsSync(options.record) ? readRecordingFile(options.record) : [];
+    return {
+        signal,
+        // Written after every reply, so a run that fails later keeps what it recorded
+        onRecord: (entry) => {
+            recorded = mergeRecordings(recorded, [entry]);
+            writeOutput(options.record, `${JSON.stringify(exportRecordings(recorded), null, 2)}\n`);
+            reporter.info(`Recorded the reply in ${options.record}`);
+        }
+    };
+};
+
+const createReporter = (quiet) => {
+    const live = !quiet && process.stderr.isTTY;
+    return {
+        info: (message) => {
+            if (!quiet) process.stderr.write(`${message}\n`);
+        },
+        progress: (text) => {
+            if (live) process.stderr.write(`\r  ${(Buffer.byteLength(text) / 1024).toFixed(1)} KB received`);
+        },
+        done: () => {
+            if (live) process.stderr.write('\n');
+        }
+    };
+};
+
+const withExtension = (file, extension) => {
+    const parsed = path.parse(file);
+    return path.join(parsed.dir, parsed.name + extension);
+};
+
+const writeOutput = (outputPath, text) => {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, text);
+};
+
+// Streams one step and writes toFile(reply); a stopped or broken stream still writes what arrived before failing
+const runStep = async (label, prompt, outputPath, settings, reporter, requestOptions, toFile = (text) => text) => {
+    reporter.info(`${label} with ${settings.model} via ${isMockConfig(settings) ? MOCK_PRESET : settings.endpoint}`);
+    try {
+        const text = await requestCompletion(prompt, reporter.progress, {
+            config: settings,
+            ...requestOptions,
+            onRetry: (attempt, delay, reason) => {
+                reporter.done();
+                reporter.info(`${reason}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${MAX_RETRIES})`);
+            }
+        });
+        reporter.done();
+        writeOutput(outputPath, toFile(text));
+        reporter.info(`Wrote ${outputPath}`);
+        return text;
+    } catch (err) {
+        reporter.done();
+        if (err.partialText) {
+            writeOutput(outputPath, err.partialText);
+            err.message += ` (partial output written to ${outputPath})`;
+        }
+        throw err;
+    }
+};
+
+const main = async (argv) => {
+    const { options, positional } = parseArgs(argv);
+    if (options.help || positional.length === 0) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const [command, inputPath, ...extra] = positional;
+    if (!['analyze', 'convert'].includes(command)) throw new UsageError(`Unknown command "${command}"`);
+    if (!inputPath) throw new UsageError(`${command} needs a C/C++ source file`);
+    if (extra.length > 0) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+    if (command === 'analyze' && options.analysis) throw new UsageError('--analysis only applies to convert');
+    if (command === 'analyze' && options.scaffold) throw new UsageError('--scaffold only applies to convert');
+    if (command === 'analyze' && options.differentialTests) throw new UsageError('--diff-tests only applies to convert');
+    if (options.record !== undefined && options.replay !== undefined) throw new UsageError('--record and --replay cannot be combined');
+    if (!fs.existsSync(inputPath)) throw new UsageError(`File not found: ${inputPath}`);
+
+    const settings = resolveSettings(options);
+    const reporter = createReporter(options.quiet);
+    const code = fs.readFileSync(inputPath, 'utf8');
+    // The extension decides C or C++ before the content does
+    settings.sourceLanguage = resolveSourceLanguage(settings, code, inputPath);
+    if (options.diffFunctions && !settings.differentialTests) throw new UsageError('--diff-functions needs --diff-tests');
+    const diffFunctions = command === 'convert' && settings.differentialTests ? chooseDiffFunctions(code, options.diffFunctions, settings) : [];
+    const analysisKey = singleFilePromptKey(settings, 'analysis', code);
+    const generationKey = singleFilePromptKey(settings, 'generation', code);
+    checkPrompts(settings, [
+        ...(command === 'analyze' || !options.analysis ? [analysisKey] : []),
+        ...(command === 'convert' ? [generationKey] : []),
+        ...(diffFunctions.length > 0 ? ['differentialTests'] : [])
+    ], reporter);
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    const requestOptions = createRequestOptions(options, controller.signal, reporter);
+
+    if (settings.sourceLanguage === 'cpp') reporter.info(`${inputPath} is C++; using the C++ prompts`);
+    const findings = scanCSafety(code);
+    if (findings.length > 0) {
+        reporter.info(`Static scan: ${findings.length} finding${findings.length === 1 ? '' : 's'} in ${inputPath}`);
+    }
+    if (settings.preprocess) {
+        const { macros, inactiveLines, problems } = preprocessC(code, parseDefines(settings.defines));
+        reporter.info(`Preprocessor: ${macros.length} macro${macros.length === 1 ? '' : 's'}, ${inactiveLines} inactive line${inactiveLines === 1 ? '' : 's'} left out`);
+        problems.forEach(problem => reporter.info(`${inputPath}:${problem.line}: warning: ${problem.message}`));
+    }
+
+    // Writes the plan to planPath; a structured reply is kept next to it as JSON and written out as markdown
+    const analyze = async (planPath) => {
+        const prompt = settings.structuredAnalysis ? buildStructuredAnalysisPrompt(settings, code) : buildAnalysisPrompt(settings, code);
+        checkBudget('The analysis', prompt, { code, reserve: ANALYSIS_REPLY_TOKENS, settings, reporter, force: options.force });
+        if (!settings.structuredAnalysis) {
+            return runStep(`Analyzing ${inputPath}`, prompt, planPath, settings, reporter, requestOptions);
+        }
+        const reply = await runStep(`Analyzing ${inputPath}`, prompt, withExtension(planPath, '.json'), settings, reporter, requestOptions);
+        const { plan, errors } = parseStructuredAnalysis(reply);
+        const text = plan ? formatStructuredPlan(plan) : reply;
+        if (!plan) reporter.info(`The structured analysis does not match the schema, so it is used as free text: ${errors.join('; ')}`);
+        writeOutput(planPath, text);
+        reporter.info(`Wrote ${planPath}`);
+        return text;
+    };
+
+    if (command === 'analyze') {
+        await analyze(options.output || withExtension(inputPath, '.analysis.md'));
+        return 0;
+    }
+
+    const zigPath = options.output || withExtension(inputPath, '.zig');
+    let analysis;
+    if (options.analysis) {
+        analysis = fs.readFileSync(options.analysis, 'utf8');
+        if (/\.json$/i.test(options.analysis)) {
+            const { plan, errors } = parseStructuredAnalysis(analysis);
+            if (!plan) throw new UsageError(`${options.analysis} is not a structured plan: ${errors[0]}`);
+            analysis = formatStructuredPlan(plan);
+        }
+    } else {
+        analysis = await analyze(withExtension(zigPath, '.analysis.md'));
+    }
+    // Only the Zig code blocks go into the .zig file; the model's explanations go next to it
+    const generationPrompt = buildGenerationPrompt(settings, analysis, code);
+    checkBudget('The conversion', generationPrompt, {
+        code, reserve: replyReserveFor(code), settings, reporter, force: options.force, remedy: ', shorten the plan and pass it with --analysis'
+    });
+    const reply = await runStep(`Converting ${inputPath}`, generationPrompt, zigPath, settings, reporter, requestOptions,
+        (text) => extractZigOutput(text).code);
+    const { code: zigCode, notes } = extractZigOutput(reply);
+    if (notes) {
+        const notesPath = withExtension(zigPath, '.notes.md');
+        writeOutput(notesPath, `${notes}\n`);
+        reporter.info(`Wrote ${notesPath}`);
+    }
+    const outputFindings = [
+        ...lintZigOutput(zigCode, settings.safetyLevel),
+        ...checkZigVersion(zigCode, settings.zigVersion),
+        ...checkMappingRules(code, zigCode, settings.mappingRules)
+    ].sort((a, b) => a.line - b.line);
+    if (outputFindings.length > 0) {
+        reporter.info(`Output check (${settings.safetyLevel} policy, Zig ${settings.zigVersion}): ${outputFindings.length} finding${outputFindings.length === 1 ? '' : 's'}`);
+        outputFindings.forEach(finding => reporter.info(`${zigPath}:${finding.line}: ${finding.severity}: ${finding.message}`));
+    }
+    if (options.scaffold) {
+        buildZigProjectScaffold({
+            name: path.parse(inputPath).name,
+            modules: [{ zigFile: path.basename(zigPath), zigCode }],
+            analysis,
+            zigVersion: settings.zigVersion,
+            generateTests: settings.generateTests
+        }).forEach(file => writeOutput(path.join(options.scaffold, file.path), file.content));
+        reporter.info(`Wrote a Zig ${settings.zigVersion} project to ${options.scaffold}`);
+    }
+    if (diffFunctions.length > 0) {
+        const names = diffTestFileNames(path.basename(zigPath), path.relative(path.dirname(zigPath), inputPath).split(path.sep).join('/'));
+        const harnessPath = path.join(path.dirname(zigPath), names.harness);
+        const prompt = buildDiffTestPrompt(settings, { code, zigCode, functions: diffFunctions, names });
+        const pair = extractHarnessPair(await runStep(`Writing differential tests for ${diffFunctions.map(fn => fn.name).join(', ')}`, prompt, harnessPath, settings, reporter, requestOptions,
+            (text) => extractHarnessPair(text).cHarness));
+        if (!pair.cHarness || !pair.zigTest) throw new Error(`The differential test reply has no ${!pair.cHarness ? 'C harness' : 'Zig test file'}`);
+        const testPath = path.join(path.dirname(zigPath), names.test);
+        writeOutput(testPath, pair.zigTest);
+        reporter.info(`Wrote ${testPath}. Run them from ${path.dirname(zigPath)}:\n  ${diffTestCommands(names).join('\n  ')}`);
+    }
+    return 0;
+};
+
+main(process.argv.slice(2)).then(
+    (exitCode) => { process.exitCode = exitCode; },
+    (err) => {
+        process.stderr.write(`c2zig: ${err.message}\n`);
+        if (err instanceof UsageError) process.stderr.write('Run "c2zig --help" for usage.\n');
+        process.exitCode = err instanceof UsageError ? 2 : err.aborted ? 130 : 1;
+    }
+);
@@ -0,0 +1,3810 @@
+/**
+ * C→Zig core: prompt templates, provider adapters, the C tokenizer, safety
+ * scanner and chunker, and the streaming request pipeline. It has no DOM or
+ * React dependencies and is shared by the browser UI (app.js, through the
+ * C2ZigCore global) and the c2zig command line tool (bin/c2zig.js).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.C2ZigCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+const DEFAULT_PROMPTS = {
+    analysis: `Analyze this C/C++ code and create a detailed Zig conversion plan.
+Target Zig version: {{ZIG_VERSION}}
+
+C/C++ Code:
+\`\`\`c
+{{CODE}}
+\`\`\`
+{{#if MACROS}}
+
+Macros (the code was preprocessed with the selected defines, so only the branches that apply are left):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+
+Static Safety Scan (found in the source by a local scanner, with line numbers):
+{{SAFETY_FINDINGS}}
+
+Provide a comprehensive analysis including:
+
+1. **Safety Issues**: Start from the scanner findings above, confirm or dismiss each one, then list unsafe patterns it missed (buffer overflows, raw pointers, manual memory management, null pointer risks)
+2. **Memory Management Analysis**: Complexity score (1-10) and key concerns
+3. **Conversion Strategy**: Step-by-step approach for converting to Zig
+4. **Type Mappings**: C types → Zig types (e.g., char* → []const u8, malloc → allocator.alloc)
+5. **Memory Management**: How to handle allocators and ownership
+6. **Error Handling**: Converting C error patterns to Zig error unions
+{{TEST_STRATEGY}}
+
+Keep it detailed but concise. This plan will be used directly for code generation.`,
+    
+    generation: `Convert this C/C++ code to Zig following the analysis and conversion plan.
+
+Safety Level: {{SAFETY_LEVEL}}
+{{SAFETY_HINTS}}
+
+Target Zig version: {{ZIG_VERSION}}. Only use language features and std APIs that exist in this version:
+{{ZIG_API_NOTES}}
+
+Conversion Plan:
+{{ANALYSIS}}
+
+C/C++ Code:
+\`\`\`c
+{{CODE}}
+\`\`\`
+{{#if MACROS}}
+
+Macros (the code was preprocessed with the selected defines, so only the branches that apply are left):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+
+Generate complete, working Zig code. Include:
+- Proper memory management with allocators (a std.heap allocator that exists in the target version, or one passed in by the caller)
+- Error handling with error unions (error!)
+- Type safety with Zig's type system
+- Proper ownership and lifetime management
+{{TEST_INCLUSION}}
+{{COMMENT_PRESERVATION}}
+{{MAPPING_MARKERS}}
+{{DIFF_TEST_EXPORTS}}
+
+Output only the Zig code with helpful comments explaining key conversions.`,
+
+    repair: `Fix this Zig code so that it compiles and its tests pass. The compiler output below comes from \`zig build\` or \`zig test\`.
+
+Safety Level: {{SAFETY_LEVEL}}
+{{SAFETY_HINTS}}
+
+Target Zig version: {{ZIG_VERSION}}. Only use language features and std APIs that exist in this version:
+{{ZIG_API_NOTES}}
+
+Original C/C++ Code:
+\`\`\`c
+{{CODE}}
+\`\`\`
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+
+Current Zig Code:
+\`\`\`zig
+{{ZIG_CODE}}
+\`\`\`
+
+Compiler Output:
+\`\`\`
+{{COMPILER_ERRORS}}
+\`\`\`
+
+Fix every error in the compiler output:
+- Change only what is needed to fix the errors; keep working code, names and comments as they are
+- Do not silence errors with \`catch unreachable\`, \`@ptrCast\` or \`undefined\` unless the safety level allows it
+- Keep the memory-safety guarantees of the original conversion
+
+Output the complete corrected Zig file only.`,
+
+    projectAnalysis: `Analyze this multi-file C/C++ project and create a detailed Zig conversion plan for the whole project.
+Target Zig version: {{ZIG_VERSION}}
+
+Project Files:
+{{FILE_TREE}}
+
+Include Graph:
+{{INCLUDE_GRAPH}}
+
+Planned Zig Modules:
+{{MODULE_PLAN}}
+
+Sources:
+{{FILES}}
+{{#if MACROS}}
+
+Macros (the sources were preprocessed with the selected defines; header macros apply to every file that includes the header):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+{{#if CPP_MAPPINGS}}
+
+The source is C++. Map its constructs like this:
+{{CPP_MAPPINGS}}
+{{/if}}
+
+Static Safety Scan (found in the sources by a local scanner, as file:line):
+{{SAFETY_FINDINGS}}
+
+Provide a comprehensive analysis including:
+
+1. **Safety Issues**: Start from the scanner findings above, confirm or dismiss each one, then list unsafe patterns it missed per file (buffer overflows, raw pointers, manual memory management, null pointer risks)
+2. **Cross-File Ownership**: For every pointer or struct that crosses a file boundary, state which module allocates it, which module frees it, and who owns it in between
+3. **Module Layout**: How each header becomes a Zig module, which declarations become \`pub\`, and the resulting @import graph
+4. **Type Mappings**: C types → Zig types, shared across all modules
+5. **Memory Management**: How allocators are threaded through module APIs
+6. **Error Handling**: Converting C error patterns to Zig error unions consistently across modules
+{{TEST_STRATEGY}}
+
+Keep it detailed but concise. This plan will be used for every module's code generation.`,
+
+    projectGeneration: `Convert one module of a multi-file C/C++ project to Zig, following the project-wide conversion plan.
+
+Safety Level: {{SAFETY_LEVEL}}
+{{SAFETY_HINTS}}
+
+Target Zig version: {{ZIG_VERSION}}. Only use language features and std APIs that exist in this version:
+{{ZIG_API_NOTES}}
+
+Project Conversion Plan:
+{{ANALYSIS}}
+
+Module: {{MODULE_FILE}} (converted from {{MODULE_SOURCES}})
+
+This module must import its dependencies exactly like this:
+{{IMPORTS}}
+
+Already converted dependency modules (use their exact public names and signatures):
+{{DEPENDENCY_CODE}}
+
+C/C++ Sources for this module:
+{{MODULE_CODE}}
+{{#if MACROS}}
+
+Macros (from this module's sources, preprocessed with the selected defines):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+{{#if CPP_MAPPINGS}}
+
+The source is C++. Map its constructs like this:
+{{CPP_MAPPINGS}}
+{{/if}}
+
+Generate complete, working Zig code for {{MODULE_FILE}} only. Include:
+- The @import lines listed above, and no imports of other project files
+- \`pub\` on every declaration the C header exposes to other files
+- Proper memory management with allocators, following the ownership rules in the plan
+- Error handling with error unions (error!)
+{{TEST_INCLUSION}}
+{{COMMENT_PRESERVATION}}
+{{MAPPING_MARKERS}}
+{{DIFF_TEST_EXPORTS}}
+
+Output only the Zig code with helpful comments explaining key conversions.`,
+
+    structuredAnalysis: `Analyze this C/C++ code and create a Zig conversion plan as JSON.
+Target Zig version: {{ZIG_VERSION}}
+
+C/C++ Code (line numbers start at 1):
+\`\`\`c
+{{CODE}}
+\`\`\`
+{{#if MACROS}}
+
+Macros (the code was preprocessed with the selected defines, so only the branches that apply are left):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+{{#if CPP_MAPPINGS}}
+
+The source is C++. Map its constructs like this:
+{{CPP_MAPPINGS}}
+{{/if}}
+
+Static Safety Scan (found in the source by a local scanner, with line numbers):
+{{SAFETY_FINDINGS}}
+
+Start from the scanner findings, confirm or dismiss each one, then add the unsafe patterns it missed (buffer overflows, raw pointers, manual memory management, null pointer risks). Choose Zig constructs that fit the {{SAFETY_LEVEL}} safety level.
+
+Reply with one JSON object and nothing else, in exactly this shape:
+
+{
+  "summary": "Two or three sentences on what the code does and the overall conversion approach",
+  "complexity": <memory management complexity, 1-10>,
+  "issues": [
+    {
+      "lines": [<first line>, <last line>],
+      "category": "memory" | "bounds" | "null" | "ownership" | "error-handling" | "undefined-behavior" | "concurrency" | "other",
+      "severity": "high" | "medium" | "low",
+      "description": "What is unsafe and why",
+      "zigConstruct": "The Zig construct that fixes it, e.g. allocator.alloc with defer free, slices, optionals, error unions"
+    }
+  ],
+  "typeMappings": [
+    { "c": "char *", "zig": "[]const u8", "note": "Why, or when another type is needed" }
+  ],
+  "ownership": [
+    { "subject": "A pointer, buffer or resource", "decision": "Who allocates it, who frees it and how ownership moves" }
+  ]{{#if GENERATE_TESTS}},
+  "tests": ["One std.testing test the conversion should include"]{{/if}}
+}`,
+
+    chunkGeneration: `Convert one top-level declaration of a larger C/C++ file to Zig. The other declarations are converted separately and stitched into a single Zig file afterwards.
+
+Safety Level: {{SAFETY_LEVEL}}
+{{SAFETY_HINTS}}
+
+Target Zig version: {{ZIG_VERSION}}. Only use language features and std APIs that exist in this version:
+{{ZIG_API_NOTES}}
+
+Conversion Plan:
+{{ANALYSIS}}
+
+Shared Type Summary (every declaration in the file, without function bodies; use the Zig names the plan gives them, but do not redefine them):
+\`\`\`c
+{{TYPE_SUMMARY}}
+\`\`\`
+
+Declaration to convert ({{CHUNK_KIND}} {{CHUNK_NAME}}, lines {{CHUNK_LINES}}):
+\`\`\`c
+{{CHUNK}}
+\`\`\`
+{{#if MACROS}}
+
+Macros (from the whole file, preprocessed with the selected defines):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+{{#if CPP_MAPPINGS}}
+
+The source is C++. Map its constructs like this:
+{{CPP_MAPPINGS}}
+{{/if}}
+
+Generate Zig code for this declaration only:
+- Do not redefine types or functions from the summary; they exist elsewhere in the same file
+- Only add \`const std = @import("std");\` if this declaration needs it
+- Proper memory management with allocators and error unions (error!)
+{{TEST_INCLUSION}}
+{{COMMENT_PRESERVATION}}
+{{MAPPING_MARKERS}}
+{{DIFF_TEST_EXPORTS}}
+
+Output only the Zig code with helpful comments explaining key conversions.`,
+
+    cppAnalysis: `Analyze this C++ code and create a detailed Zig conversion plan.
+Target Zig version: {{ZIG_VERSION}}
+
+C++ Code:
+\`\`\`cpp
+{{CODE}}
+\`\`\`
+{{#if MACROS}}
+
+Macros (the code was preprocessed with the selected defines, so only the branches that apply are left):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+
+Static Safety Scan (found in the source by a local scanner, with line numbers):
+{{SAFETY_FINDINGS}}
+
+How C++ constructs map to Zig:
+{{CPP_MAPPINGS}}
+
+Provide a comprehensive analysis including:
+
+1. **Safety Issues**: Start from the scanner findings above, confirm or dismiss each one, then list unsafe patterns it missed (raw new/delete, dangling references and iterators, unchecked indexing, use after move, exceptions thrown past cleanup code)
+2. **Class Design**: The Zig struct each class becomes, its methods, and how inheritance and virtual functions are replaced
+3. **Ownership & Lifetimes**: Who owns each object and container, which destructors become deinit, and where defer/errdefer run them
+4. **Templates**: The comptime generic function or type-returning function each template becomes
+5. **Error Handling**: The error set that replaces each throw, and how each catch is handled
+6. **Type Mappings**: C++ types → Zig types (e.g., std::vector<T> → std.ArrayList(T), std::string → []const u8, std::unique_ptr<T> → *T released in deinit)
+{{TEST_STRATEGY}}
+
+Keep it detailed but concise. This plan will be used directly for code generation.`,
+
+    cppGeneration: `Convert this C++ code to Zig following the analysis and conversion plan.
+
+Safety Level: {{SAFETY_LEVEL}}
+{{SAFETY_HINTS}}
+
+Target Zig version: {{ZIG_VERSION}}. Only use language features and std APIs that exist in this version:
+{{ZIG_API_NOTES}}
+
+Conversion Plan:
+{{ANALYSIS}}
+
+C++ Code:
+\`\`\`cpp
+{{CODE}}
+\`\`\`
+{{#if MACROS}}
+
+Macros (the code was preprocessed with the selected defines, so only the branches that apply are left):
+{{MACROS}}
+Map constants to Zig \`const\`, type-like macros to type aliases and function-like macros to \`inline fn\` or comptime functions, the same way everywhere they are used.
+{{/if}}
+{{#if MAPPING_RULES}}
+
+Project mapping rules. These C types and functions always become the Zig on the right; use it everywhere they appear and do not define your own version:
+{{MAPPING_RULES}}
+{{/if}}
+
+How C++ constructs map to Zig:
+{{CPP_MAPPINGS}}
+
+Generate complete, working Zig code. Include:
+- Structs with init/deinit in place of constructors and destructors, and defer/errdefer wherever the C++ relied on a destructor running
+- Allocators passed to every type and function that allocates, instead of new/delete
+- Error unions (error!) in place of exceptions
+- Comptime generics in place of templates
+{{TEST_INCLUSION}}
+{{COMMENT_PRESERVATION}}
+{{MAPPING_MARKERS}}
+{{DIFF_TEST_EXPORTS}}
+
+Output only the Zig code with helpful comments explaining key conversions.`,
+
+    differentialTests: `Write a pair of differential test harnesses that check the converted Zig code behaves like the original C code.
+
+Target Zig version: {{ZIG_VERSION}}. Only use language features and std APIs that exist in this version:
+{{ZIG_API_NOTES}}
+
+Original C code, saved as {{C_FILE}}:
+\`\`\`c
+{{CODE}}
+\`\`\`
+
+Converted Zig code, saved as {{ZIG_FILE}} in the same directory as the test file:
+\`\`\`zig
+{{ZIG_CODE}}
+\`\`\`
+
+Test cases (id: call → kind of result). Use exactly these ids, functions and arguments, in this order:
+{{CASES}}
+
+Zig names of the functions under test:
+{{FUNCTION_NAMES}}
+
+1. A C harness, in a \`\`\`c block:
+- \`#define main c2zig_original_main\` before \`#include "{{C_FILE}}"\` and \`#undef main\` after it, so the original main does not clash
+- A main that runs every case and prints one line per case: the id, a tab, the function name, a tab, the result
+- Integers with %lld or %llu, floats with %.17g, bools as 0 or 1, chars as their number, strings as they are (NULL as (null))
+
+2. A Zig test file, in a \`\`\`zig block:
+- \`const converted = @import("{{ZIG_FILE}}");\` and \`const expected = @embedFile("{{EXPECTED_FILE}}");\`, the captured output of the C harness
+- One test per function that runs its cases through the converted function and compares each result with the matching line of expected: integers, bools, chars and strings as text with std.testing.expectEqualStrings, floats parsed and compared with std.math.approxEqRel and a tolerance of 1e-9
+- Convert each argument to the Zig parameter type (string literals to slices, integers with @intCast where needed); a Zig error where C returned a value is a failure
+
+Output only the two code blocks.`
+};
+
+const MAPPING_MARKERS_HINT = '- A `// c2zig: <C name>` comment on the line directly above every Zig declaration that comes from a C function, type, global or #define, so the two can be linked';
+
+// How C++ constructs map to Zig, for {{CPP_MAPPINGS}}
+const CPP_MAPPING_GUIDE = [
+    '- Classes → structs with methods: member functions take `self: *Self` (`*const Self` for const methods), static members become declarations inside the struct',
+    '- Constructors → an `init` function returning the struct, or an error union when it can fail; destructors and RAII → a `deinit` method, called with `defer` (or `errdefer` on the error path) where the object went out of scope',
+    '- Inheritance and virtual functions → composition, a tagged union for a closed set of subclasses, or a struct of function pointers for an open interface',
+    '- Templates → comptime generics: `comptime T: type` parameters for function templates, functions returning a `type` for class templates',
+    '- Exceptions → error unions with a named error set: `throw` becomes `return error.X`, try/catch becomes `try` or `catch |err| switch (err)`',
+    '- `std::vector<T>` → `std.ArrayList(T)`; `std::string` → `[]const u8` when it is only read, `std.ArrayList(u8)` when it is built up',
+    '- `std::map`/`std::unordered_map` with string keys → `std.StringHashMap(V)`, with other keys → `std.AutoHashMap(K, V)`',
+    '- `std::unique_ptr<T>` → a `*T` created with the allocator and destroyed in the owner\'s `deinit`; `std::shared_ptr` only where sharing is real, with explicit reference counting',
+    '- Operator overloads → named methods (`add`, `eql`, `format`); references → pointers, or values for small types',
+    '- `new`/`delete` → `allocator.create`/`allocator.destroy`; every owning type takes a `std.mem.Allocator`'
+].join('\n');
+
+const SAFETY_HINTS = {
+    strict: 'Use strict safety: allocators, error unions, no unsafe blocks',
+    balanced: 'Balance safety and C compatibility where needed',
+    permissive: 'Allow some unsafe for direct C interop'
+};
+
+const PRESET_ENDPOINTS = [
+    { name: 'Pollinations AI', url: 'https://text.pollinations.ai/openai', requiresKey: false, adapter: 'openai' },
+    { name: 'OpenRouter', url: 'https://openrouter.ai/api/v1/chat/completions', requiresKey: true, adapter: 'openai' },
+    { name: 'OpenAI', url: 'https://api.openai.com/v1/chat/completions', requiresKey: true, adapter: 'openai' },
+    { name: 'Anthropic', url: 'https://api.anthropic.com/v1/messages', requiresKey: true, adapter: 'anthropic' },
+    { name: 'Ollama (local)', url: 'http://localhost:11434/api/chat', requiresKey: false, adapter: 'ollama', contextTokens: 4096 },
+    { name: 'llama.cpp (local)', url: 'http://localhost:8080/completion', requiresKey: false, adapter: 'llamacpp', contextTokens: 4096 },
+    { name: 'Mock/Replay', url: 'mock:replay', requiresKey: false, adapter: 'openai', mock: true },
+    { name: 'Custom', url: '', requiresKey: false }
+];
+
+// Context windows by model name, first match wins. Local servers are limited by
+// their own context setting instead, so their presets carry contextTokens.
+const MODEL_CONTEXT_LIMITS = [
+    { pattern: /claude/i, tokens: 200000 },
+    { pattern: /gpt-4\.1/i, tokens: 1000000 },
+    { pattern: /gpt-5/i, tokens: 400000 },
+    { pattern: /gpt-4o|gpt-4-turbo|\bo[134]\b|\bo[134]-/i, tokens: 128000 },
+    { pattern: /gpt-4/i, tokens: 8192 },
+    { pattern: /gpt-3\.5/i, tokens: 16385 },
+    { pattern: /gemini/i, tokens: 1000000 },
+    { pattern: /llama-?3\.[1-3]/i, tokens: 128000 },
+    { pattern: /llama/i, tokens: 8192 },
+    { pattern: /deepseek/i, tokens: 64000 },
+    { pattern: /mistral|mixtral|codestral/i, tokens: 32000 },
+    { pattern: /qwen/i, tokens: 32768 },
+    { pattern: /^openai$/i, tokens: 128000 }
+];
+
+const DEFAULT_CONTEXT_TOKENS = 8192;
+
+// Share of the context above which a prompt is flagged before it is sent
+const CONTEXT_WARNING_RATIO = 0.8;
+
+/**
+ * The context window to budget against, and where it came from: the
+ * contextLimit setting, a local server preset, the model name, or the
+ * fallback.
+ */
+const resolveContextLimit = (config) => {
+    if (config.contextLimit > 0) return { tokens: config.contextLimit, source: 'setting' };
+    const preset = PRESET_ENDPOINTS.find(p => p.name === config.endpointPreset);
+    if (preset && preset.contextTokens) return { tokens: preset.contextTokens, source: preset.name };
+    const known = MODEL_CONTEXT_LIMITS.find(entry => entry.pattern.test(config.model || ''));
+    if (known) return { tokens: known.tokens, source: config.model };
+    return { tokens: DEFAULT_CONTEXT_TOKENS, source: 'default' };
+};
+
+/**
+ * Rough token count for prompts and code, without a tokenizer: letters count
+ * one token per four characters, digits per three, and every symbol, line
+ * break and run of indentation one each. It lands close to BPE tokenizers on
+ * C and Zig, and errs high on prose.
+ */
+const estimateTokens = (text) => {
+    let tokens = 0;
+    for (const [piece] of (text || '').matchAll(/[A-Za-z]+|\d+|\n|[ \t]+|[^\sA-Za-z\d]/g)) {
+        if (/^[A-Za-z]/.test(piece)) tokens += Math.ceil(piece.length / 4);
+        else if (/^\d/.test(piece)) tokens += Math.ceil(piece.length / 3);
+        else if (piece === ' ') continue;
+        else tokens += 1;
+    }
+    return tokens;
+};
+
+/**
+ * Sizes a rendered prompt against the context limit. parts names the pieces
+ * of the prompt worth breaking out (e.g. code and analysis); the rest is
+ * counted as template. reserve is kept free for the reply. status is 'ok',
+ * 'warn' past CONTEXT_WARNING_RATIO, or 'over' when the prompt and the
+ * reserve do not fit.
+ */
+const estimatePromptBudget = (prompt, { limit, reserve = 0, parts = {} }) => {
+    const promptTokens = estimateTokens(prompt);
+    const partTokens = Object.fromEntries(Object.entries(parts).map(([name, text]) => [name, estimateTokens(text)]));
+    const template = Math.max(0, promptTokens - Object.values(partTokens).reduce((sum, n) => sum + n, 0));
+    const total = promptTokens + reserve;
+    return {
+        promptTokens,
+        reserve,
+        total,
+        limit,
+        parts: { ...partTokens, template },
+        status: total > limit ? 'over' : total > limit * CONTEXT_WARNING_RATIO ? 'warn' : 'ok'
+    };
+};
+
+// Room left for a reply that rewrites code: about one and a half times the source, never under 1k tokens
+const replyReserveFor = (code) => Math.max(1024, Math.ceil(estimateTokens(code) * 1.5));
+
+// Reply room for analysis steps, whose plans are short next to the code
+const ANALYSIS_REPLY_TOKENS = 2048;
+
+/**
+ * Shortens an analysis to about maxTokens: code blocks go first, then lines
+ * from the end of the longest section, so every heading and the first point
+ * under it survive as long as possible.
+ */
+const trimAnalysis = (analysis, maxTokens) => {
+    let text = analysis.replace(/```[\s\S]*?```\n?/g, '').replace(/\n{3,}/g, '\n\n');
+    if (estimateTokens(text) <= maxTokens) return text.trim();
+    const sections = [];
+    text.split('\n').forEach(line => {
+        if (/^\s*(#{1,6}\s|\d+\.\s+\*\*)/.test(line) || sections.length === 0) sections.push({ heading: line, lines: [] });
+        else if (line.trim()) sections[sections.length - 1].lines.push(line);
+    });
+    const render = () => sections.map(section => [section.heading, ...section.lines].join('\n')).join('\n\n');
+    while (estimateTokens(render()) > maxTokens) {
+        const longest = sections.reduce((best, section) => section.lines.length > best.lines.length ? section : best, sections[0]);
+        if (longest.lines.length === 0) break;
+        longest.lines.pop();
+    }
+    return `${render()}\n\n(Plan trimmed to fit the model's context.)`;
+};
+
+// Plain-text chat transcript for servers that take a raw prompt instead of messages
+const renderChatAsText = (messages) =>
+    messages.map(m => `### ${m.role[0].toUpperCase() + m.role.slice(1)}:\n${m.content}`).join('\n\n') + '\n\n### Assistant:\n';
+
+/**
+ * Each adapter knows how to talk to one API family:
+ * - buildRequest({ model, messages, apiKey, stream }) returns extra headers and the JSON body
+ * - streamFormat is 'sse' or 'ndjson'
+ * - parseEvent(payload) turns one decoded stream event into { text, done }
+ * - parseResponse(payload) reads the text out of a non-streaming reply
+ */
+const PROVIDER_ADAPTERS = {
+    openai: {
+        label: 'OpenAI-compatible chat completions',
+        streamFormat: 'sse',
+        buildRequest: ({ model, messages, apiKey, stream }) => ({
+            headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+            body: { model, messages, stream }
+        }),
+        parseEvent: (payload) => {
+            const choice = payload.choices && payload.choices[0];
+            return { text: choice && ((choice.delta && choice.delta.content) || (choice.message && choice.message.content) || choice.text) };
+        },
+        parseResponse: (payload) => {
+            const choice = payload.choices && payload.choices[0];
+            return (choice && (choice.message ? choice.message.content : choice.text)) || '';
+        }
+    },
+    anthropic: {
+        label: 'Anthropic Messages API',
+        streamFormat: 'sse',
+        buildRequest: ({ model, messages, apiKey, stream }) => ({
+            headers: {
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: {
+                model,
+                system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+                messages: messages.filter(m => m.role !== 'system'),
+                max_tokens: 8192,
+                stream
+            }
+        }),
+        parseEvent: (payload) => ({
+            text: payload.type === 'content_block_delta' && payload.delta ? payload.delta.text : '',
+            done: payload.type === 'message_stop'
+        }),
+        parseResponse: (payload) => (payload.content || []).filter(block => block.type === 'text').map(block => block.text).join('')
+    },
+    ollama: {
+        label: 'Ollama native /api/chat',
+        streamFormat: 'ndjson',
+        buildRequest: ({ model, messages, stream }) => ({
+            headers: {},
+            body: { model, messages, stream }
+        }),
+        parseEvent: (payload) => ({ text: payload.message && payload.message.content, done: payload.done === true }),
+        parseResponse: (payload) => (payload.message && payload.message.content) || ''
+    },
+    llamacpp: {
+        label: 'llama.cpp server /completion',
+        streamFormat: 'sse',
+        buildRequest: ({ messages, apiKey, stream }) => ({
+            headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+            body: { prompt: renderChatAsText(messages), stream, n_predict: -1, cache_prompt: true }
+        }),
+        parseEvent: (payload) => ({ text: payload.content, done: payload.stop === true }),
+        parseResponse: (payload) => payload.content || ''
+    }
+};
+
+const getAdapter = (config) => PROVIDER_ADAPTERS[config.adapter] || PROVIDER_ADAPTERS.openai;
+
+// The connection fields of a settings object, as one column of a model comparison
+const createComparisonTarget = (config) => ({
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    endpointPreset: config.endpointPreset,
+    endpoint: config.endpoint,
+    apiKey: config.apiKey,
+    model: config.model,
+    adapter: config.adapter,
+    stream: config.stream
+});
+
+const describeTarget = (target) => {
+    if (target.endpointPreset !== 'Custom') return `${target.model} · ${target.endpointPreset}`;
+    try {
+        return `${target.model} · ${new URL(target.endpoint).host}`;
+    } catch (e) {
+        return target.model;
+    }
+};
+
+// Settings that talk to a comparison target: its connection on top of the rest
+const applyComparisonTarget = (settings, target) => {
+    const { id, ...connection } = target;
+    return { ...settings, ...connection };
+};
+
+const C_SOURCE_EXTENSIONS = ['.c', '.h', '.cc', '.cpp', '.cxx', '.hh', '.hpp', '.hxx'];
+
+const ZIG_RESERVED_WORDS = ['addrspace', 'align', 'and', 'anyframe', 'anytype', 'asm', 'break', 'callconv', 'catch', 'comptime', 'const', 'continue', 'defer', 'else', 'enum', 'errdefer', 'error', 'export', 'extern', 'fn', 'for', 'if', 'inline', 'noalias', 'opaque', 'or', 'orelse', 'packed', 'pub', 'resume', 'return', 'struct', 'suspend', 'switch', 'test', 'threadlocal', 'try', 'type', 'union', 'unreachable', 'var', 'volatile', 'while', 'std'];
+
+const isCSourcePath = (path) => {
+    const lower = path.toLowerCase();
+    return C_SOURCE_EXTENSIONS.some(ext => lower.endsWith(ext)) && !lower.split('/').some(part => part.startsWith('.'));
+};
+
+const dirname = (path) => path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+const stripExtension = (name) => name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+
+const normalizePath = (path) => {
+    const parts = [];
+    for (const part of path.split('/')) {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+};
+
+// Drops the folder name shared by every file, so "myproj/src/a.c" becomes "src/a.c"
+const stripCommonRoot = (files) => {
+    if (files.length === 0) return files;
+    const roots = new Set(files.map(f => f.path.includes('/') ? f.path.split('/')[0] : ''));
+    if (roots.size !== 1 || roots.has('')) return files;
+    return files.map(f => ({ ...f, path: f.path.slice(f.path.indexOf('/') + 1) }));
+};
+
+const finalizeProjectFiles = (files) =>
+    stripCommonRoot(files.filter(f => isCSourcePath(f.path)))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+const parseIncludes = (source) => {
+    const includes = [];
+    const pattern = /^\s*#\s*include\s*"([^"]+)"/gm;
+    let match;
+    while ((match = pattern.exec(source))) {
+        includes.push(match[1]);
+    }
+    return includes;
+};
+
+// Resolves a quoted include the way most build setups would: relative to the
+// including file first, then anywhere in the project with the same file name
+const resolveInclude = (fromPath, include, paths) => {
+    const relative = normalizePath((dirname(fromPath) ? dirname(fromPath) + '/' : '') + include);
+    if (paths.includes(relative)) return relative;
+    const target = normalizePath(include);
+    return paths.find(p => p === target || p.endsWith('/' + target))
+        || paths.find(p => basename(p) === basename(include))
+        || null;
+};
+
+const toZigIdentifier = (name) => {
+    let id = name.replace(/[^A-Za-z0-9_]/g, '_');
+    if (/^[0-9]/.test(id)) id = '_' + id;
+    if (ZIG_RESERVED_WORDS.includes(id)) id += '_mod';
+    return id;
+};
+
+const isHeaderPath = (path) => /\.(h|hh|hpp|hxx)$/i.test(path);
+
+/**
+ * Groups project files into Zig modules: a header and the source file with the
+ * same name become one module (even when they live in include/ and src/), and
+ * every module lists the modules it imports. Modules are returned in dependency
+ * order so each one can be generated after the modules it depends on.
+ */
+const buildProjectUnits = (files) => {
+    const paths = files.map(f => f.path);
+    const stemCounts = {};
+    for (const path of paths) {
+        const key = (isHeaderPath(path) ? 'h:' : 'c:') + stripExtension(basename(path));
+        stemCounts[key] = (stemCounts[key] || 0) + 1;
+    }
+
+    const groups = new Map();
+    for (const path of paths) {
+        const stem = stripExtension(basename(path));
+        const unique = (stemCounts['h:' + stem] || 0) <= 1 && (stemCounts['c:' + stem] || 0) <= 1;
+        const key = unique ? stem : normalizePath(dirname(path) + '/' + stem).replace(/\//g, '_');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(path);
+    }
+
+    const units = [];
+    const unitByPath = {};
+    for (const [key, groupPaths] of groups) {
+        const name = toZigIdentifier(key);
+        const unit = {
+            name,
+            zigFile: name + '.zig',
+            files: groupPaths.sort((a, b) => (isHeaderPath(a) ? 0 : 1) - (isHeaderPath(b) ? 0 : 1)),
+            deps: []
+        };
+        units.push(unit);
+        groupPaths.forEach(p => { unitByPath[p] = unit; });
+    }
+
+    for (const unit of units) {
+        const deps = new Set();
+        for (const path of unit.files) {
+            const file = files.find(f => f.path === path);
+            for (const include of parseIncludes(file.content)) {
+                const resolved = resolveInclude(path, include, paths);
+                const dep = resolved && unitByPath[resolved];
+                if (dep && dep !== unit) deps.add(dep.name);
+            }
+        }
+        unit.deps = Array.from(deps).sort();
+    }
+
+    const ordered = [];
+    const state = {};
+    const visit = (unit) => {
+        if (state[unit.name]) return;
+        state[unit.name] = 'visiting';
+        unit.deps.forEach(dep => {
+            if (state[dep] !== 'visiting') visit(units.find(u => u.name === dep));
+        });
+        state[unit.name] = 'done';
+        ordered.push(unit);
+    };
+    units.slice().sort((a, b) => a.name.localeCompare(b.name)).forEach(visit);
+    return ordered;
+};
+
+const buildFileTree = (paths) => {
+    const root = { name: '', dirs: {}, files: [] };
+    for (const path of paths) {
+        const parts = path.split('/');
+        let node = root;
+        parts.slice(0, -1).forEach((part, i) => {
+            if (!node.dirs[part]) node.dirs[part] = { name: part, path: parts.slice(0, i + 1).join('/'), dirs: {}, files: [] };
+            node = node.dirs[part];
+        });
+        node.files.push(path);
+    }
+    return root;
+};
+
+const formatFileTree = (node, indent = '') => {
+    const lines = [];
+    Object.values(node.dirs).forEach(dir => {
+        lines.push(`${indent}${dir.name}/`);
+        lines.push(...formatFileTree(dir, indent + '  '));
+    });
+    node.files.forEach(path => lines.push(indent + basename(path)));
+    return lines;
+};
+
+const C_KEYWORDS = ['auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'restrict', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while', '_Bool', '_Complex', '_Atomic', '_Noreturn', '_Static_assert', '_Thread_local', 'bool'];
+
+const C_OPERATORS = ['>>=', '<<=', '...', '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||', '+=', '-=', '*=', '/=', '%=', '&=', '^=', '|=', '::'];
+
+/**
+ * Splits C source into tokens with their line number and character offsets.
+ * Comments and preprocessor lines are kept as single tokens so the output can
+ * be used both for scanning and for rendering the source.
+ */
+const tokenizeC = (source) => {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = true;
+
+    const push = (type, start) => {
+        const value = source.slice(start, i);
+        tokens.push({ type, value, line, start, end: i });
+        line += (value.match(/\n/g) || []).length;
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+        const start = i;
+
+        if (ch === '\n') {
+            line++;
+            i++;
+            lineStart = true;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === '#' && lineStart) {
+            // A directive runs to the end of the line, including backslash continuations
+            while (i < source.length && source[i] !== '\n') {
+                if (source[i] === '\\' && source[i + 1] === '\n') i++;
+                else if (source[i] === '/' && source[i + 1] === '*') break;
+                i++;
+            }
+            push('preprocessor', start);
+            continue;
+        }
+        lineStart = false;
+
+        if (ch === '/' && source[i + 1] === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+            push('comment', start);
+        } else if (ch === '/' && source[i + 1] === '*') {
+            const close = source.indexOf('*/', i + 2);
+            i = close === -1 ? source.length : close + 2;
+            push('comment', start);
+        } else if (ch === '"' || ch === '\'') {
+            i++;
+            while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+                if (source[i] === '\\') i++;
+                i++;
+            }
+            i++;
+            push(ch === '"' ? 'string' : 'char', start);
+        } else if (/[A-Za-z_]/.test(ch)) {
+            while (i < source.length && /\w/.test(source[i])) i++;
+            push(C_KEYWORDS.includes(source.slice(start, i)) ? 'keyword' : 'identifier', start);
+        } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+            while (i < source.length && /[\w.]/.test(source[i])) {
+                if (/[eEpP]/.test(source[i]) && /[+-]/.test(source[i + 1])) i++;
+                i++;
+            }
+            push('number', start);
+        } else {
+            const op = C_OPERATORS.find(candidate => source.startsWith(candidate, i));
+            i += op ? op.length : 1;
+            push(/[{}()[\];,]/.test(ch) && !op ? 'punct' : 'operator', start);
+        }
+    }
+
+    return tokens;
+};
+
+const UNSAFE_STRING_FUNCTIONS = {
+    gets: { severity: 'high', message: 'gets() cannot limit input length and always risks a buffer overflow' },
+    strcpy: { severity: 'high', message: 'strcpy() does not check the destination size' },
+    strcat: { severity: 'high', message: 'strcat() does not check the destination size' },
+    sprintf: { severity: 'high', message: 'sprintf() does not check the destination size' },
+    vsprintf: { severity: 'high', message: 'vsprintf() does not check the destination size' },
+    strncpy: { severity: 'low', message: 'strncpy() does not NUL-terminate when the source is too long' }
+};
+
+const ALLOCATION_FUNCTIONS = ['malloc', 'calloc', 'realloc', 'strdup', 'strndup'];
+
+const NULLABLE_FUNCTIONS = [...ALLOCATION_FUNCTIONS, 'fopen', 'getenv', 'strchr', 'strrchr', 'strstr', 'memchr'];
+
+const CHECKED_RETURN_FUNCTIONS = ['malloc', 'calloc', 'realloc', 'strdup', 'fopen', 'fclose', 'fread', 'fwrite', 'fgets', 'fseek', 'fflush', 'scanf', 'fscanf', 'sscanf', 'read', 'write', 'remove', 'rename', 'pthread_create', 'pthread_mutex_lock'];
+
+const isCodeToken = (token) => token.type !== 'comment' && token.type !== 'preprocessor';
+
+const findMatching = (tokens, index) => {
+    const open = tokens[index].value;
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+        if (tokens[i].value === open) depth++;
+        else if (tokens[i].value === close && --depth === 0) return i;
+    }
+    return tokens.length - 1;
+};
+
+// Reads an lvalue like "str->data" or "buf" backwards from the token before index
+const readTargetBefore = (tokens, index) => {
+    const parts = [];
+    let i = index - 1;
+    while (i >= 0) {
+        const token = tokens[i];
+        if (token.type === 'identifier' && (parts.length === 0 || parts[0] === '->' || parts[0] === '.')) {
+            parts.unshift(token.value);
+        } else if ((token.value === '->' || token.value === '.') && parts.length > 0 && parts[0] !== '->' && parts[0] !== '.') {
+            parts.unshift(token.value);
+        } else {
+            break;
+        }
+        i--;
+    }
+    if (parts[0] === '->' || parts[0] === '.') parts.shift();
+    return parts;
+};
+
+const matchesTargetAt = (tokens, index, target) =>
+    target.every((part, offset) => tokens[index + offset] && tokens[index + offset].value === part)
+    && !(tokens[index - 1] && (tokens[index - 1].value === '->' || tokens[index - 1].value === '.'));
+
+const isNullCheckAt = (tokens, index, target) => {
+    const before = tokens[index - 1] && tokens[index - 1].value;
+    const after = tokens[index + target.length] && tokens[index + target.length].value;
+    const afterNext = tokens[index + target.length + 1] && tokens[index + target.length + 1].value;
+    const isCondition = (before === '(' && tokens[index - 2] && ['if', 'while', 'assert'].includes(tokens[index - 2].value))
+        || before === '&&' || before === '||';
+    if (before === '!' || (isCondition && (after === ')' || after === '&&' || after === '||'))) return true;
+    if ((after === '==' || after === '!=') && (afterNext === 'NULL' || afterNext === '0' || afterNext === 'nullptr')) return true;
+    if ((before === '==' || before === '!=') && tokens[index - 2] && ['NULL', '0', 'nullptr'].includes(tokens[index - 2].value)) return true;
+    return false;
+};
+
+const isDereferenceAt = (tokens, index, target) => {
+    const before = tokens[index - 1];
+    const after = tokens[index + target.length];
+    if (after && (after.value === '->' || after.value === '[')) return true;
+    if (before && before.value === '*' && tokens[index - 2] && /^[=(,;{}]$|^return$/.test(tokens[index - 2].value)) return true;
+    return false;
+};
+
+// Returns the index of the token that closes the function body containing index
+const findScopeEnd = (tokens, index) => {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+        if (tokens[i].value === '{') depth++;
+        else if (tokens[i].value === '}') {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    return tokens.length;
+};
+
+/**
+ * Scans C source for common memory-safety problems without compiling it.
+ * Every finding carries the line it was found on, so it can be shown in the
+ * input gutter and passed to the analysis prompt as a verified fact.
+ */
+const scanCSafety = (source) => {
+    const tokens = tokenizeC(source).filter(isCodeToken);
+    const findings = [];
+    const add = (line, rule, severity, message) => {
+        if (!findings.some(f => f.line === line && f.rule === rule && f.message === message)) {
+            findings.push({ line, rule, severity, message });
+        }
+    };
+
+    const pointerNames = new Set();
+    const allocations = [];
+    const frees = [];
+    let depth = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+
+        if (token.value === '{') depth++;
+        if (token.value === '}') depth = Math.max(0, depth - 1);
+
+        // Pointer declarations: "T *name" followed by = ; , ) or [
+        if (token.value === '*' && next && next.type === 'identifier' && prev && (prev.type === 'keyword' || prev.type === 'identifier' || prev.value === '*')
+            && tokens[i + 2] && /^[=;,)[]$/.test(tokens[i + 2].value)) {
+            pointerNames.add(next.value);
+        }
+
+        if (token.type !== 'identifier') continue;
+        const isCall = next && next.value === '(' && !(prev && (prev.value === '->' || prev.value === '.'));
+
+        if (isCall && UNSAFE_STRING_FUNCTIONS[token.value]) {
+            const rule = UNSAFE_STRING_FUNCTIONS[token.value];
+            add(token.line, 'unsafe-string', rule.severity, rule.message);
+        }
+
+        if (isCall && (token.value === 'scanf' || token.value === 'fscanf' || token.value === 'sscanf')) {
+            const close = findMatching(tokens, i + 1);
+            const format = tokens.slice(i + 2, close).find(t => t.type === 'string');
+            if (format && /%s/.test(format.value)) {
+                add(token.line, 'unsafe-string', 'high', `${token.value}() with an unbounded %s can overflow the destination buffer`);
+            }
+        }
+
+        if (isCall && token.value === 'free') {
+            const close = findMatching(tokens, i + 1);
+            frees.push({ index: i, line: token.line, target: tokens.slice(i + 2, close).map(t => t.value) });
+        }
+
+        if (isCall && CHECKED_RETURN_FUNCTIONS.includes(token.value) && prev && /^[;{}]$|^else$/.test(prev.value)) {
+            add(token.line, 'unchecked-return', 'medium', `Return value of ${token.value}() is ignored`);
+        }
+
+        // Assignments from functions that may return NULL: "target = malloc(...)"
+        if (isCall && NULLABLE_FUNCTIONS.includes(token.value)) {
+            let assign = i - 1;
+            while (assign >= 0 && tokens[assign].value === ')' ) {
+                // Skip a cast like "(char *)" between '=' and the call
+                let open = assign;
+                while (open >= 0 && tokens[open].value !== '(') open--;
+                assign = open - 1;
+            }
+            if (assign >= 0 && tokens[assign].value === '=') {
+                const target = readTargetBefore(tokens, assign);
+                if (target.length > 0) {
+                    const close = findMatching(tokens, i + 1);
+                    allocations.push({ index: close, line: token.line, fn: token.value, target, depth });
+                    if (token.value === 'realloc' && tokens.slice(i + 2, i + 2 + target.length).map(t => t.value).join('') === target.join('')) {
+                        add(token.line, 'malloc-free', 'medium', `${target.join('')} = realloc(${target.join('')}, ...) leaks the original block if realloc fails`);
+                    }
+                }
+            }
+        }
+
+        if (pointerNames.has(token.value) && !(prev && (prev.value === '->' || prev.value === '.'))) {
+            const isArithmetic = (next && ['++', '--', '+=', '-='].includes(next.value))
+                || (prev && ['++', '--'].includes(prev.value))
+                || (next && (next.value === '+' || next.value === '-') && prev && /^[(=,*]$|^return$/.test(prev.value));
+            if (isArithmetic) {
+                add(token.line, 'pointer-arithmetic', 'medium', `Pointer arithmetic on ${token.value} is not bounds-checked`);
+            }
+        }
+
+        // Fixed-size arrays declared inside functions: "T name[N]"
+        if (depth > 0 && next && next.value === '[' && prev && (prev.type === 'keyword' || prev.type === 'identifier') && prev.value !== 'return' && prev.value !== 'sizeof') {
+            const close = findMatching(tokens, i + 1);
+            const size = tokens.slice(i + 2, close);
+            const after = tokens[close + 1];
+            if (size.length > 0 && after && /^[;=,]$/.test(after.value)) {
+                const isCharBuffer = ['char', 'wchar_t', 'uint8_t', 'unsigned'].includes(prev.value);
+                add(token.line, 'fixed-buffer', isCharBuffer ? 'medium' : 'low',
+                    `Fixed-size buffer ${token.value}[${size.map(t => t.value).join('')}]${isCharBuffer ? ' — check every write against its size' : ''}`);
+            }
+        }
+    }
+
+    for (const alloc of allocations) {
+        const end = findScopeEnd(tokens, alloc.index + 1);
+        for (let j = alloc.index + 1; j < end; j++) {
+            if (!matchesTargetAt(tokens, j, alloc.target)) continue;
+            if (isNullCheckAt(tokens, j, alloc.target)) break;
+            if (tokens[j + alloc.target.length] && tokens[j + alloc.target.length].value === '=' && tokens[j - 1].value !== '*') break;
+            const argOf = tokens[j - 2] && tokens[j - 1].value === '(' && tokens[j - 2];
+            if (isDereferenceAt(tokens, j, alloc.target) || (argOf && (UNSAFE_STRING_FUNCTIONS[argOf.value] || /^(mem(cpy|set|move)|str(n?cpy|n?cat|len|cmp)|f(gets|puts|read|write|printf|scanf|seek|close))$/.test(argOf.value)))) {
+                add(tokens[j].line, 'null-dereference', 'high',
+                    `${alloc.target.join('')} from ${alloc.fn}() (line ${alloc.line}) is used without a NULL check`);
+                break;
+            }
+        }
+
+        if (ALLOCATION_FUNCTIONS.includes(alloc.fn)) {
+            const targetText = alloc.target.join('');
+            const member = alloc.target[alloc.target.length - 1];
+            const freed = frees.some(f => f.target.join('') === targetText || (alloc.target.length > 1 && f.target[f.target.length - 1] === member));
+            if (!freed) {
+                const end = findScopeEnd(tokens, alloc.index + 1);
+                const returned = tokens.slice(alloc.index, end).some((t, k, scope) => t.value === 'return' && scope[k + 1] && scope[k + 1].value === alloc.target[0]);
+                add(alloc.line, 'malloc-free', returned ? 'low' : 'medium', returned
+                    ? `${targetText} from ${alloc.fn}() is returned to the caller, who must free it`
+                    : `${targetText} from ${alloc.fn}() is never freed in this file`);
+            }
+        }
+    }
+
+    // Freeing the same pointer twice in one function without reassigning it
+    frees.forEach((f, k) => {
+        const end = findScopeEnd(tokens, f.index);
+        const again = frees.slice(k + 1).find(other => other.index < end && other.target.join('') === f.target.join(''));
+        if (!again) return;
+        const reassigned = tokens.slice(f.index + 3, again.index).some((t, m, span) =>
+            matchesTargetAt(span, m, f.target) && span[m + f.target.length] && span[m + f.target.length].value === '=');
+        if (!reassigned) {
+            add(again.line, 'malloc-free', 'high', `${f.target.join('')} is freed again after line ${f.line} (double free)`);
+        }
+    });
+
+    return findings.sort((a, b) => a.line - b.line);
+};
+
+const formatSafetyFindings = (findings, path) => {
+    if (findings.length === 0) {
+        return path ? `- ${path}: no issues found by the static scanner` : 'No issues found by the static scanner.';
+    }
+    return findings.map(f => `- [${f.severity.toUpperCase()}] ${path ? path + ':' : 'line '}${f.line} (${f.rule}): ${f.message}`).join('\n');
+};
+
+const SOURCE_LANGUAGES = { auto: 'Detect', c: 'C', cpp: 'C++' };
+
+const CPP_SOURCE_PATH = /\.(cc|cpp|cxx|hh|hpp|hxx)$/i;
+
+// Words C never uses, and words C code may use as plain names but C++ code uses a lot
+const CPP_KEYWORDS = ['class', 'namespace', 'template', 'typename', 'nullptr', 'constexpr', 'operator', 'static_cast', 'dynamic_cast', 'reinterpret_cast', 'const_cast', 'noexcept', 'decltype'];
+const CPP_LIKELY_WORDS = ['new', 'delete', 'this', 'try', 'catch', 'throw', 'using', 'virtual', 'public', 'private', 'protected', 'friend', 'explicit', 'override'];
+
+/**
+ * Tells C from C++: by extension when the path has one that decides it,
+ * otherwise by the source. A C++ keyword, a `::`, or an include of an
+ * extensionless standard header such as <vector> makes it C++; so do two
+ * words like new, this or catch that C code seldom uses.
+ */
+const detectSourceLanguage = (source, path = '') => {
+    if (CPP_SOURCE_PATH.test(path)) return 'cpp';
+    if (/\.c$/i.test(path)) return 'c';
+    let likely = 0;
+    for (const token of tokenizeC(source)) {
+        if (token.type === 'preprocessor' && /^#\s*include\s*<\w+>/.test(token.value)) return 'cpp';
+        if (token.value === '::' || (token.type === 'identifier' && CPP_KEYWORDS.includes(token.value))) return 'cpp';
+        if (token.type === 'identifier' && CPP_LIKELY_WORDS.includes(token.value) && ++likely >= 2) return 'cpp';
+    }
+    return 'c';
+};
+
+// The language the prompts treat the source as: the setting, or detected when it is auto
+const resolveSourceLanguage = (settings, source, path = '') => SOURCE_LANGUAGES[settings.sourceLanguage] && settings.sourceLanguage !== 'auto'
+    ? settings.sourceLanguage
+    : detectSourceLanguage(source, path);
+
+// Types a type-like macro can expand to, e.g. `#define BYTE unsigned char` or `#define HANDLE struct handle *`
+const C_TYPE_MACRO = /^(?:(?:const|volatile|signed|unsigned|short|long|char|int|float|double|void|_Bool|bool|size_t|ssize_t|ptrdiff_t|u?int(?:8|16|32|64|ptr|max)_t|(?:struct|union|enum)\s+\w+)\b\s*|\*\s*)+$/;
+
+const MACRO_MAPPINGS = {
+    constant: 'Zig const',
+    type: 'Zig type alias',
+    function: 'inline fn or comptime function',
+    flag: 'comptime bool or build option',
+    expression: 'expand where it is used'
+};
+
+// Words besides earlier constants that a constant expression may use, as in `sizeof(int) * 4`
+const CONSTANT_MACRO_WORDS = ['sizeof', 'char', 'short', 'int', 'long', 'float', 'double', 'unsigned', 'signed', 'void', 'const'];
+
+const classifyMacro = (macro, constants) => {
+    if (macro.params) return 'function';
+    const body = macro.body.trim();
+    if (!body) return 'flag';
+    if (C_TYPE_MACRO.test(body)) return 'type';
+    if (/^"(?:[^"\\]|\\.)*"$/.test(body) || /^'(?:[^'\\]|\\.)+'$/.test(body)) return 'constant';
+    // Numbers, earlier constants and operators, with no assignment, statement or call
+    const shape = body.replace(/\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?)[uUlLfF]*\b/g, '0');
+    const names = shape.match(/[A-Za-z_]\w*/g) || [];
+    const isConstant = /^[\w\s+\-*/%<>=!&|^~?:()]*$/.test(shape) && !/(?:^|[^=!<>])=(?!=)/.test(shape)
+        && names.every(name => constants.has(name) || CONSTANT_MACRO_WORDS.includes(name));
+    return isConstant ? 'constant' : 'expression';
+};
+
+const stripDirectiveComments = (text) => text.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/, '').trim();
+
+/**
+ * Evaluates a #if / #elif condition. Macros expand to their bodies, unknown
+ * names are 0 as in C, and a function-like macro (or __has_include) throws,
+ * since its value depends on the real compiler.
+ */
+const evaluateCondition = (expression, macros, depth = 0) => {
+    if (depth > 16) throw new Error('macro expansion is too deep');
+    const tokens = expression.match(/0[xX][\da-fA-F]+[uUlL]*|\d+[uUlL]*|'(?:[^'\\]|\\.)'|[A-Za-z_]\w*|&&|\|\||==|!=|<=|>=|<<|>>|[-+*/%<>!~&|^?:()]/g) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`expected "${token}"`);
+    };
+    const primary = () => {
+        const token = next();
+        if (token === undefined) throw new Error('unexpected end of condition');
+        if (token === '(') {
+            const value = ternary();
+            expect(')');
+            return value;
+        }
+        if (token === '!') return primary() ? 0 : 1;
+        if (token === '~') return ~primary();
+        if (token === '-') return -primary();
+        if (token === '+') return primary();
+        if (token === 'defined') {
+            const parenthesized = peek() === '(';
+            if (parenthesized) next();
+            const name = next();
+            if (parenthesized) expect(')');
+            return macros.has(name) ? 1 : 0;
+        }
+        if (/^0[xX]/.test(token)) return parseInt(token, 16);
+        if (/^\d/.test(token)) return parseInt(token, /^0\d/.test(token) ? 8 : 10);
+        if (token.startsWith('\'')) return token.charCodeAt(token.length === 4 ? 2 : 1);
+        if (/^[A-Za-z_]/.test(token)) {
+            if (peek() === '(') throw new Error(`${token}() needs the real compiler`);
+            const macro = macros.get(token);
+            if (!macro) return 0;
+            if (macro.params) throw new Error(`${token} is a function-like macro`);
+            return macro.body.trim() ? evaluateCondition(macro.body, macros, depth + 1) : 0;
+        }
+        throw new Error(`unexpected "${token}"`);
+    };
+    const BINARY = [
+        ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+    ];
+    const apply = (op, a, b) => {
+        switch (op) {
+            case '||': return a || b ? 1 : 0;
+            case '&&': return a && b ? 1 : 0;
+            case '|': return a | b;
+            case '^': return a ^ b;
+            case '&': return a & b;
+            case '==': return a === b ? 1 : 0;
+            case '!=': return a !== b ? 1 : 0;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+            case '<<': return a << b;
+            case '>>': return a >> b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': if (b === 0) throw new Error('division by zero'); return Math.trunc(a / b);
+            default: if (b === 0) throw new Error('division by zero'); return a % b;
+        }
+    };
+    const binary = (level) => {
+        if (level === BINARY.length) return primary();
+        let value = binary(level + 1);
+        while (BINARY[level].includes(peek())) {
+            const op = next();
+            value = apply(op, value, binary(level + 1));
+        }
+        return value;
+    };
+    const ternary = () => {
+        const condition = binary(0);
+        if (peek() !== '?') return condition;
+        next();
+        const whenTrue = ternary();
+        expect(':');
+        const whenFalse = ternary();
+        return condition ? whenTrue : whenFalse;
+    };
+    const value = ternary();
+    if (position < tokens.length) throw new Error(`unexpected "${tokens[position]}"`);
+    return value;
+};
+
+/**
+ * Parses the defines setting: one NAME or NAME=value per line or comma, with
+ * an optional -D prefix as on a compiler command line. A bare name is 1.
+ */
+const parseDefines = (text) => (text || '').split(/[\n,]/)
+    .map(entry => entry.trim().replace(/^-D\s*/, ''))
+    .filter(entry => /^[A-Za-z_]\w*(\s*=.*)?$/.test(entry))
+    .map(entry => {
+        const [name, ...value] = entry.split('=');
+        return { name: name.trim(), params: null, body: value.length > 0 ? value.join('=').trim() : '1' };
+    });
+
+/**
+ * Resolves conditional compilation in C source. Lines in branches that are
+ * not taken, and the #if/#else/#endif lines themselves, become blank so line
+ * numbers still match the original. #define and #include lines stay.
+ * predefined is a list of { name, params, body } treated as defined before
+ * the first line (the selected defines). includeMacros is called with the
+ * path of each quoted #include in active code and returns the macros that
+ * header defines, which count as defined from that line on.
+ * Returns { source, macros, includes, inactiveLines, problems }: macros are
+ * the #defines in active code with their kind (constant, type, function,
+ * flag or expression), includes the #includes in active code as { line,
+ * path, system }; problems lists conditions that could not be evaluated,
+ * which count as false.
+ */
+const preprocessC = (source, predefined = [], includeMacros = () => []) => {
+    const lines = source.split('\n');
+    const output = [];
+    const macros = new Map(predefined.map(macro => [macro.name, macro]));
+    const found = new Map();
+    const includes = [];
+    const stack = [];
+    const problems = [];
+    let inactiveLines = 0;
+    let guard = null;
+
+    const evaluate = (expression, line) => {
+        try {
+            return Boolean(evaluateCondition(expression, macros));
+        } catch (err) {
+            problems.push({ line, message: `#if ${expression}: ${err.message}; treated as false` });
+            return false;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        let text = lines[i];
+        let span = 1;
+        while (/\\\s*$/.test(text) && i + span < lines.length) {
+            text = text.replace(/\\\s*$/, ' ') + lines[i + span];
+            span++;
+        }
+        const line = i + 1;
+        const active = stack.every(frame => frame.active);
+        const directive = text.match(/^\s*#\s*(\w+)\b(.*)$/);
+        const name = directive && directive[1];
+        const argument = directive ? stripDirectiveComments(directive[2]) : '';
+        const conditional = ['if', 'ifdef', 'ifndef', 'elif', 'else', 'endif'].includes(name);
+        let keep = active && !conditional;
+
+        if (name === 'if' || name === 'ifdef' || name === 'ifndef') {
+            const condition = !active ? false
+                : name === 'if' ? evaluate(argument, line)
+                : macros.has(argument.split(/\s/)[0]) === (name === 'ifdef');
+            stack.push({ active: active && condition, taken: condition, parentActive: active, line });
+            if (name === 'ifndef') guard = argument;
+        } else if (name === 'elif' || name === 'else') {
+            const frame = stack[stack.length - 1];
+            if (!frame) {
+                problems.push({ line, message: `#${name} without #if` });
+            } else if (name === 'else') {
+                frame.active = frame.parentActive && !frame.taken;
+                frame.taken = true;
+            } else {
+                frame.active = frame.parentActive && !frame.taken && evaluate(argument, line);
+                frame.taken = frame.taken || frame.active;
+            }
+        } else if (name === 'endif') {
+            if (!stack.pop()) problems.push({ line, message: '#endif without #if' });
+        } else if (active && name === 'define') {
+            const definition = argument.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/);
+            if (definition) {
+                const macro = {
+                    name: definition[1],
+                    params: definition[2] ? definition[3].split(',').map(param => param.trim()).filter(Boolean) : null,
+                    body: definition[4].trim(),
+                    line
+                };
+                macros.set(macro.name, macro);
+                // An include guard is not worth listing
+                if (macro.name !== guard || macro.body || macro.params) found.set(macro.name, macro);
+            }
+        } else if (active && name === 'undef') {
+            macros.delete(argument);
+        } else if (active && name === 'include') {
+            const target = argument.match(/^([<"])([^>"]+)[>"]/);
+            if (target) {
+                includes.push({ line, path: target[2], system: target[1] === '<' });
+                if (target[1] === '"') includeMacros(target[2]).forEach(macro => macros.set(macro.name, macro));
+            }
+        }
+
+        for (let j = 0; j < span; j++) output.push(keep ? lines[i + j] : '');
+        if (!active && !conditional) inactiveLines += span;
+        i += span - 1;
+    }
+    stack.forEach(frame => problems.push({ line: frame.line, message: '#if without #endif' }));
+
+    const constants = new Set();
+    const table = [...found.values()].map(macro => {
+        const kind = classifyMacro(macro, constants);
+        if (kind === 'constant') constants.add(macro.name);
+        return { ...macro, kind };
+    });
+    return { source: output.join('\n'), macros: table, includes, inactiveLines, problems };
+};
+
+/**
+ * Preprocesses every file of a project, each one once. A file sees the
+ * macros of the headers it includes with quotes in active code (and of
+ * their includes) from the #include line on, as the compiler would; headers
+ * are processed before the files that include them.
+ */
+const preprocessProject = (files, predefined = []) => {
+    const paths = files.map(file => file.path);
+    const results = new Map();
+    // The macros a file passes on to the files that include it
+    const visible = new Map();
+    const visit = (file, including) => {
+        if (visible.has(file.path)) return visible.get(file.path);
+        // An include cycle contributes nothing the second time round
+        if (including.has(file.path)) return [];
+        including.add(file.path);
+        const inherited = [];
+        const result = preprocessC(file.content, predefined, (include) => {
+            const path = resolveInclude(file.path, include, paths);
+            const macros = path && path !== file.path ? visit(files[paths.indexOf(path)], including) : [];
+            inherited.push(...macros);
+            return macros;
+        });
+        const macros = result.macros.map(macro => ({ ...macro, path: file.path }));
+        results.set(file.path, { path: file.path, ...result, macros });
+        visible.set(file.path, [...inherited, ...macros]);
+        return visible.get(file.path);
+    };
+    files.forEach(file => visit(file, new Set()));
+    return files.map(file => results.get(file.path));
+};
+
+// The macro table as the prompts' {{MACROS}} list
+const formatMacroTable = (macros) => macros.map(macro => {
+    const signature = macro.params ? `${macro.name}(${macro.params.join(', ')})` : macro.name;
+    const where = macro.path ? `${macro.path}:${macro.line}` : `line ${macro.line}`;
+    return `- ${signature}${macro.body ? ` = ${macro.body.replace(/\s+/g, ' ')}` : ''} (${where}; ${macro.kind} → ${MACRO_MAPPINGS[macro.kind]})`;
+}).join('\n');
+
+// The source as the prompts see it: with preprocessing on, branches not taken are blanked and the macros listed
+const prepareSource = (settings, code) => {
+    if (!settings.preprocess) return { code, macros: '' };
+    const result = preprocessC(code, parseDefines(settings.defines));
+    return { code: result.source, macros: formatMacroTable(result.macros) };
+};
+
+const classifyChunk = (tokens, hasBody) => {
+    const code = tokens.filter(isCodeToken);
+    if (code.length === 0) return { kind: 'preprocessor', name: '' };
+    const values = code.map(t => t.value);
+    const identifierBefore = (index) => {
+        for (let k = index - 1; k >= 0; k--) {
+            if (code[k].type === 'identifier') return code[k].value;
+        }
+        return '';
+    };
+
+    if (values[0] === 'typedef') {
+        // "typedef int (*callback)(void);" names the pointer inside the first parens
+        const pointerName = values.findIndex((v, k) => v === '(' && values[k + 1] === '*' && code[k + 2] && code[k + 2].type === 'identifier');
+        return { kind: 'typedef', name: pointerName !== -1 ? values[pointerName + 2] : identifierBefore(values.lastIndexOf(';')) };
+    }
+
+    if (hasBody) {
+        return { kind: 'function', name: identifierBefore(values.indexOf('(')) };
+    }
+
+    const braceIndex = values.indexOf('{');
+    const parenIndex = values.indexOf('(');
+    const assignIndex = values.indexOf('=');
+    if (braceIndex !== -1 && ['struct', 'union', 'enum', 'class'].includes(values[0]) && values[values.length - 2] === '}') {
+        return { kind: 'type', name: code[1].type === 'identifier' ? values[1] : '' };
+    }
+    if (parenIndex !== -1 && (assignIndex === -1 || parenIndex < assignIndex) && braceIndex === -1) {
+        return { kind: 'prototype', name: identifierBefore(parenIndex) };
+    }
+    // A declaration still being typed ("int x") has no end yet; its name is the last identifier
+    const end = [assignIndex, values.indexOf('['), values.lastIndexOf(';')].filter(k => k !== -1);
+    return { kind: 'global', name: identifierBefore(end.length > 0 ? Math.min(...end) : code.length) };
+};
+
+const conditionalDirective = (token) => {
+    const match = token.type === 'preprocessor' && token.value.match(/^#\s*(if|ifdef|ifndef|elif|else|endif)\b/);
+    return match ? match[1] : null;
+};
+
+// How many #if blocks opened before these tokens their #elif/#else/#endif lines close
+const unmatchedConditionalCloses = (tokens) => {
+    let open = 0;
+    let closes = 0;
+    // An #else of an outer block closes it as much as its #endif does, but only once
+    let inOuterElse = false;
+    tokens.forEach(token => {
+        const directive = conditionalDirective(token);
+        if (!directive) return;
+        if (directive.startsWith('if')) {
+            open++;
+        } else if (open > 0) {
+            if (directive === 'endif') open--;
+        } else if (directive === 'endif') {
+            closes++;
+            inOuterElse = false;
+        } else {
+            inOuterElse = true;
+        }
+    });
+    return closes + (inOuterElse ? 1 : 0);
+};
+
+// Indexes of the #if lines among these tokens that are still open at the end
+const openConditionalIndexes = (tokens) => {
+    const open = [];
+    tokens.forEach((token, k) => {
+        const directive = conditionalDirective(token);
+        if (directive && directive.startsWith('if')) open.push(k);
+        else if (directive === 'endif') open.pop();
+    });
+    return open;
+};
+
+/**
+ * Splits C source into its top-level declarations (preprocessor blocks,
+ * typedefs, struct/enum definitions, prototypes, functions and globals) so a
+ * large file can be converted one declaration at a time. Comments directly
+ * above a declaration stay with it, and so does an #if whose branches hold
+ * different versions of its header. A declaration cut off at the end of the
+ * source (still being typed) becomes a chunk of its own.
+ */
+const splitTopLevelDeclarations = (source) => {
+    const tokens = tokenizeC(source);
+    const groups = [];
+    let current = [];
+    let depth = 0;
+    let bodyOpensFunction = false;
+
+    const flush = (hasBody) => {
+        if (current.length === 0) return;
+        groups.push({ tokens: current, hasBody });
+        current = [];
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        // Directives between declarations form their own block; comments
+        // after the last directive belong to the declaration that follows
+        if (depth === 0 && isCodeToken(token) && !current.some(isCodeToken)) {
+            const lastDirective = current.map(t => t.type).lastIndexOf('preprocessor');
+            if (lastDirective !== -1) {
+                const leading = current.slice(lastDirective + 1);
+                current = current.slice(0, lastDirective + 1);
+                flush(false);
+                current = leading;
+            }
+        }
+
+        current.push(token);
+
+        if (token.value === '{') {
+            if (depth === 0) {
+                const code = current.filter(isCodeToken);
+                const before = code[code.length - 2];
+                bodyOpensFunction = Boolean(before && (before.value === ')' || (before.value === 'const' && code[code.length - 3] && code[code.length - 3].value === ')')))
+                    && code[0].value !== 'typedef';
+            }
+            depth++;
+        } else if (token.value === '}') {
+            depth = Math.max(0, depth - 1);
+            if (depth === 0 && bodyOpensFunction) {
+                bodyOpensFunction = false;
+                flush(true);
+            }
+        } else if (token.value === ';' && depth === 0) {
+            flush(false);
+        }
+    }
+    flush(false);
+
+    // A declaration whose header sits in #if/#else branches closes an #if that
+    // opened in the directives before it; that #if moves into the declaration
+    for (let g = 1; g < groups.length; g++) {
+        const closes = unmatchedConditionalCloses(groups[g].tokens);
+        const previous = groups[g - 1].tokens;
+        if (closes === 0 || previous.some(isCodeToken)) continue;
+        const opened = openConditionalIndexes(previous);
+        if (opened.length < closes) continue;
+        const from = opened[opened.length - closes];
+        groups[g].tokens = [...previous.slice(from), ...groups[g].tokens];
+        groups[g - 1].tokens = previous.slice(0, from);
+    }
+
+    return groups.filter(group => group.tokens.length > 0).map((group, id) => {
+        const { kind, name } = classifyChunk(group.tokens, group.hasBody);
+        const first = group.tokens[0];
+        const last = group.tokens[group.tokens.length - 1];
+        return {
+            id,
+            kind,
+            name,
+            startLine: first.line,
+            endLine: last.line + (last.value.match(/\n/g) || []).length,
+            text: source.slice(first.start, last.end)
+        };
+    });
+};
+
+// Declarations and signatures every chunk needs to see, without function bodies
+const buildTypeSummary = (chunks) => chunks.map(chunk => {
+    if (chunk.kind === 'function') {
+        return chunk.text.slice(0, chunk.text.indexOf('{')).trim() + ';';
+    }
+    if (chunk.kind === 'preprocessor') {
+        return chunk.text.split('\n').filter(line => /^\s*#\s*(define|include)/.test(line)).join('\n');
+    }
+    return chunk.text.trim();
+}).filter(Boolean).join('\n');
+
+const stripCodeFences = (text) => {
+    const blocks = [];
+    const pattern = /```[\w+-]*\n([\s\S]*?)```/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        blocks.push(match[1].replace(/\n$/, ''));
+    }
+    return blocks.length > 0 ? blocks.join('\n\n') : text.trim();
+};
+
+const ANALYSIS_CATEGORIES = ['memory', 'bounds', 'null', 'ownership', 'error-handling', 'undefined-behavior', 'concurrency', 'other'];
+
+// The JSON the structured analysis prompt asks for, in the JSON Schema subset checkSchema understands
+const STRUCTURED_ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'issues', 'typeMappings', 'ownership'],
+    properties: {
+        summary: { type: 'string' },
+        complexity: { type: 'integer', minimum: 1, maximum: 10 },
+        issues: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['lines', 'category', 'severity', 'description', 'zigConstruct'],
+                properties: {
+                    lines: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 1 } },
+                    category: { type: 'string', enum: ANALYSIS_CATEGORIES },
+                    severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+                    description: { type: 'string' },
+                    zigConstruct: { type: 'string' }
+                }
+            }
+        },
+        typeMappings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['c', 'zig'],
+                properties: { c: { type: 'string' }, zig: { type: 'string' }, note: { type: 'string' } }
+            }
+        },
+        ownership: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['subject', 'decision'],
+                properties: { subject: { type: 'string' }, decision: { type: 'string' } }
+            }
+        },
+        tests: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const schemaTypeOf = (value) => Array.isArray(value) ? 'array'
+    : value === null ? 'null'
+    : Number.isInteger(value) ? 'integer'
+    : typeof value;
+
+/**
+ * Checks a value against a small JSON Schema subset (type, required,
+ * properties, items, enum, minimum/maximum, minItems/maxItems) and returns
+ * messages like "issues[2].severity must be one of high, medium, low".
+ */
+const checkSchema = (value, schema, path = '') => {
+    const at = path || 'The reply';
+    const actual = schemaTypeOf(value);
+    if (schema.type && actual !== schema.type && !(schema.type === 'number' && actual === 'integer')) {
+        return [`${at} must be ${schema.type === 'array' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}, not ${actual}`];
+    }
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} needs at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} allows at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, k) => errors.push(...checkSchema(item, schema.items, `${path}[${k}]`)));
+    }
+    if (actual === 'object') {
+        (schema.required || []).filter(key => value[key] === undefined).forEach(key => errors.push(`${path ? path + '.' : ''}${key} is missing`));
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) errors.push(...checkSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+        });
+    }
+    return errors;
+};
+
+/**
+ * Reads a structured analysis reply: the JSON object (fenced or not) is
+ * checked against STRUCTURED_ANALYSIS_SCHEMA. Returns { plan, errors }, where
+ * plan is null unless the reply is valid. Every item of a valid plan gets an
+ * id and a status; a "rejected" status already in the JSON is kept, so an
+ * edited plan file can be read back.
+ */
+const parseStructuredAnalysis = (text) => {
+    const body = stripCodeFences(text);
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end < start) return { plan: null, errors: ['The reply contains no JSON object'] };
+
+    let data;
+    try {
+        data = JSON.parse(body.slice(start, end + 1));
+    } catch (err) {
+        return { plan: null, errors: [`The reply is not valid JSON: ${err.message}`] };
+    }
+    const errors = checkSchema(data, STRUCTURED_ANALYSIS_SCHEMA);
+    if (errors.length === 0) {
+        data.issues.forEach((issue, k) => {
+            if (issue.lines[0] > issue.lines[1]) errors.push(`issues[${k}].lines starts after it ends`);
+        });
+    }
+    if (errors.length > 0) return { plan: null, errors };
+
+    const withReview = (items, prefix) => items.map((item, k) => ({
+        ...item,
+        id: `${prefix}-${k + 1}`,
+        status: item.status === 'rejected' ? 'rejected' : 'accepted'
+    }));
+    return {
+        plan: {
+            summary: data.summary,
+            complexity: data.complexity,
+            issues: withReview(data.issues, 'issue'),
+            typeMappings: withReview(data.typeMappings, 'type'),
+            ownership: withReview(data.ownership, 'owner'),
+            tests: withReview((data.tests || []).map(text => ({ text })), 'test')
+        },
+        errors: []
+    };
+};
+
+/**
+ * Writes the accepted items of a structured plan as the markdown plan that
+ * fills {{ANALYSIS}}; rejected items are left out entirely.
+ */
+const formatStructuredPlan = (plan) => {
+    const accepted = (items) => items.filter(item => item.status === 'accepted');
+    const sections = [`## Summary\n${plan.summary}${plan.complexity ? `\n\nMemory management complexity: ${plan.complexity}/10` : ''}`];
+    const issues = accepted(plan.issues);
+    if (issues.length > 0) {
+        sections.push('## Safety Issues\n' + issues.map((issue, k) => {
+            const lines = issue.lines[0] === issue.lines[1] ? `Line ${issue.lines[0]}` : `Lines ${issue.lines[0]}-${issue.lines[1]}`;
+            return `${k + 1}. **[${issue.severity} · ${issue.category}] ${lines}**: ${issue.description}\n   → Zig: ${issue.zigConstruct}`;
+        }).join('\n'));
+    }
+    const mappings = accepted(plan.typeMappings);
+    if (mappings.length > 0) {
+        sections.push('## Type Mappings\n| C | Zig | Notes |\n|---|---|---|\n'
+            + mappings.map(m => `| \`${m.c}\` | \`${m.zig}\` | ${(m.note || '').replace(/\|/g, '\\|')} |`).join('\n'));
+    }
+    const ownership = accepted(plan.ownership);
+    if (ownership.length > 0) {
+        sections.push('## Ownership\n' + ownership.map(o => `- **${o.subject}**: ${o.decision}`).join('\n'));
+    }
+    const tests = accepted(plan.tests);
+    if (tests.length > 0) {
+        sections.push('## Tests\n' + tests.map(t => `- ${t.text}`).join('\n'));
+    }
+    return sections.join('\n\n');
+};
+
+/**
+ * Joins converted chunks into one Zig file, hoisting and de-duplicating the
+ * @import lines each chunk may have repeated.
+ */
+const stitchZigChunks = (chunks) => {
+    const imports = [];
+    const bodies = [];
+    for (const chunk of chunks) {
+        if (!chunk.zigCode) continue;
+        const lines = extractZigOutput(chunk.zigCode).code.split('\n');
+        const body = lines.filter(line => {
+            if (/^\s*(pub\s+)?const\s+\w+\s*=\s*@import\([^)]*\)\s*;\s*$/.test(line)) {
+                if (!imports.includes(line.trim())) imports.push(line.trim());
+                return false;
+            }
+            return true;
+        }).join('\n').trim();
+        if (body) bodies.push(body);
+    }
+    return [imports.join('\n'), ...bodies].filter(Boolean).join('\n\n') + '\n';
+};
+
+const ZIG_VERSIONS = ['0.11', '0.12', '0.13', '0.14', 'master'];
+
+const zigVersionIndex = (version) => {
+    const index = ZIG_VERSIONS.indexOf(version);
+    return index === -1 ? ZIG_VERSIONS.length - 1 : index;
+};
+
+const RENAMED_CAST_BUILTINS = {
+    intToEnum: 'enumFromInt',
+    enumToInt: 'intFromEnum',
+    ptrToInt: 'intFromPtr',
+    intToPtr: 'ptrFromInt',
+    floatToInt: 'intFromFloat',
+    intToFloat: 'floatFromInt',
+    boolToInt: 'intFromBool'
+};
+
+/**
+ * Known API changes between Zig releases. A rule fires when the target is at
+ * or after removedIn (high severity) or deprecatedIn (low), or before
+ * addedIn (high). The pattern runs on Zig source with comments and string
+ * contents blanked out; hint is the instruction the prompts get.
+ */
+const ZIG_API_RULES = [
+    {
+        id: 'renamed-cast-builtin',
+        removedIn: '0.11',
+        pattern: /@(intToEnum|enumToInt|ptrToInt|intToPtr|floatToInt|intToFloat|boolToInt)\b/g,
+        message: (match) => `@${match[1]} was renamed to @${RENAMED_CAST_BUILTINS[match[1]]} in 0.11`,
+        hint: 'Use @enumFromInt, @intFromEnum, @intFromPtr, @ptrFromInt, @intFromFloat, @floatFromInt and @intFromBool, not the old @intToEnum-style names'
+    },
+    {
+        id: 'two-argument-cast',
+        removedIn: '0.11',
+        pattern: /@(intCast|floatCast|truncate|bitCast|ptrCast|alignCast|errorCast|enumFromInt|intFromFloat|floatFromInt|ptrFromInt)\(\s*[^,()]+,/g,
+        message: (match) => `@${match[1]} takes one argument since 0.11; the target type comes from the result location`,
+        hint: 'Cast builtins take one argument and infer the type from the result: `const y: u8 = @intCast(x);` or `@as(u8, @intCast(x))`, never `@intCast(u8, x)`'
+    },
+    {
+        id: 'three-argument-memcpy',
+        removedIn: '0.11',
+        pattern: /@(memcpy|memset)\(\s*[^,()]+,\s*[^,()]+,/g,
+        message: (match) => `@${match[1]} takes two arguments (slices) since 0.11`,
+        hint: '@memcpy(dest, src) and @memset(dest, value) take two arguments and work on slices'
+    },
+    {
+        id: 'for-index-capture',
+        removedIn: '0.11',
+        pattern: /\bfor\s*\(\s*[^,()]+\)\s*\|\s*\*?\w+\s*,\s*\w+\s*\|/g,
+        message: () => 'Index captures need a range operand since 0.11: `for (items, 0..) |item, i|`',
+        hint: 'Loops with an index use a range operand: `for (items, 0..) |item, i|`'
+    },
+    {
+        id: 'std-json-parse',
+        removedIn: '0.11',
+        pattern: /\bstd\.json\.(parse|TokenStream)\b(?!From)/g,
+        message: (match) => `std.json.${match[1]} was replaced by std.json.parseFromSlice in 0.11`,
+        hint: 'Parse JSON with std.json.parseFromSlice, which returns a Parsed(T) to deinit'
+    },
+    {
+        id: 'std-build-builder',
+        removedIn: '0.11',
+        pattern: /\bstd\.build\.Builder\b/g,
+        message: () => 'std.build.Builder is std.Build since 0.11',
+        hint: 'build.zig takes `b: *std.Build`'
+    },
+    {
+        id: 'std-mem-copy-set',
+        removedIn: '0.12',
+        pattern: /\bstd\.mem\.(copy|set)\s*\(/g,
+        message: (match) => `std.mem.${match[1]} was removed in 0.12; use ${match[1] === 'copy' ? '@memcpy or std.mem.copyForwards' : '@memset'}`,
+        hint: 'Copy and fill memory with @memcpy, std.mem.copyForwards and @memset, not std.mem.copy or std.mem.set'
+    },
+    {
+        id: 'std-os-posix',
+        removedIn: '0.12',
+        pattern: /\bstd\.os\.(read|write|open|openat|close|getenv|mmap|munmap|socket|connect|bind|listen|accept|fork|execve|kill|pipe|dup2|lseek|fstat|nanosleep)\b/g,
+        message: (match) => `std.os.${match[1]} moved to std.posix.${match[1]} in 0.12`,
+        hint: 'POSIX wrappers live in std.posix (std.posix.getenv, std.posix.read, …), not std.os'
+    },
+    {
+        id: 'std-posix-missing',
+        addedIn: '0.12',
+        pattern: /\bstd\.posix\./g,
+        message: () => 'std.posix does not exist before 0.12; use std.os',
+        hint: 'POSIX wrappers live in std.os (std.os.getenv, std.os.read, …); std.posix does not exist yet'
+    },
+    {
+        id: 'field-parent-ptr-three-args',
+        removedIn: '0.12',
+        pattern: /@fieldParentPtr\(\s*[^,()]+,\s*"[^"]*"\s*,/g,
+        message: () => '@fieldParentPtr takes (field name, pointer) since 0.12, with the parent type from the result',
+        hint: '@fieldParentPtr takes two arguments: `const parent: *Parent = @fieldParentPtr("field", ptr);`'
+    },
+    {
+        id: 'field-parent-ptr-two-args',
+        addedIn: '0.12',
+        pattern: /@fieldParentPtr\(\s*"[^"]*"\s*,/g,
+        message: () => '@fieldParentPtr takes (Parent, "field", ptr) before 0.12',
+        hint: '@fieldParentPtr takes three arguments: `@fieldParentPtr(Parent, "field", ptr)`'
+    },
+    {
+        id: 'child-process',
+        removedIn: '0.13',
+        pattern: /\bstd\.ChildProcess\b/g,
+        message: () => 'std.ChildProcess was renamed to std.process.Child in 0.13',
+        hint: 'Spawn processes with std.process.Child'
+    },
+    {
+        id: 'process-child-missing',
+        addedIn: '0.13',
+        pattern: /\bstd\.process\.Child\b/g,
+        message: () => 'std.process.Child is std.ChildProcess before 0.13',
+        hint: 'Spawn processes with std.ChildProcess'
+    },
+    {
+        id: 'build-path',
+        addedIn: '0.13',
+        pattern: /\bb\.path\(/g,
+        message: () => 'b.path() does not exist before 0.13; use `.{ .path = "…" }`',
+        hint: 'In build.zig, source paths are written `.{ .path = "src/main.zig" }`'
+    },
+    {
+        id: 'lazy-path-struct',
+        removedIn: '0.14',
+        pattern: /\.\{\s*\.path\s*=/g,
+        message: () => 'LazyPath no longer has a .path field in 0.14; use b.path("…")',
+        hint: 'In build.zig, source paths are written `b.path("src/main.zig")`'
+    },
+    {
+        id: 'set-cold',
+        removedIn: '0.14',
+        pattern: /@setCold\b/g,
+        message: () => '@setCold was replaced by @branchHint(.cold) in 0.14',
+        hint: 'Mark cold paths with @branchHint(.cold), not @setCold'
+    },
+    {
+        id: 'branch-hint-missing',
+        addedIn: '0.14',
+        pattern: /@branchHint\b/g,
+        message: () => '@branchHint does not exist before 0.14; use @setCold(true)',
+        hint: 'Mark cold functions with @setCold(true); @branchHint does not exist yet'
+    },
+    {
+        id: 'type-info-tags',
+        removedIn: '0.14',
+        pattern: /@typeInfo\([^()]*(?:\([^()]*\)[^()]*)*\)\.(Struct|Enum|Union|Int|Float|Pointer|Array|Optional|ErrorUnion|ErrorSet|Fn|Opaque|Vector|Bool)\b/g,
+        message: (match) => `std.builtin.Type fields are lowercase since 0.14 (.${match[1]} is now .${/^(Struct|Enum|Union|Fn|Opaque)$/.test(match[1]) ? `@"${match[1].toLowerCase()}"` : match[1].replace(/^./, c => c.toLowerCase()).replace(/([A-Z])/g, '_$1').toLowerCase()})`,
+        hint: '@typeInfo fields are lowercase: `.@"struct"`, `.@"enum"`, `.int`, `.pointer`, `.optional`'
+    },
+    {
+        id: 'export-by-value',
+        removedIn: '0.14',
+        pattern: /@export\(\s*(?!&)[A-Za-z_]/g,
+        message: () => '@export takes a pointer since 0.14: `@export(&symbol, .{ … })`',
+        hint: '@export takes a pointer: `@export(&symbol, .{ .name = "…" })`'
+    },
+    {
+        id: 'general-purpose-allocator',
+        deprecatedIn: '0.14',
+        pattern: /\bstd\.heap\.GeneralPurposeAllocator\b/g,
+        message: () => 'std.heap.GeneralPurposeAllocator is deprecated since 0.14 in favour of std.heap.DebugAllocator',
+        hint: 'Use std.heap.DebugAllocator (or std.heap.smp_allocator) rather than the deprecated GeneralPurposeAllocator name'
+    },
+    {
+        id: 'split-tokenize',
+        deprecatedIn: '0.11',
+        pattern: /\bstd\.mem\.(split|tokenize)\s*\(/g,
+        message: (match) => `std.mem.${match[1]} is deprecated; use ${match[1]}Scalar, ${match[1]}Sequence or ${match[1]}Any`,
+        hint: 'Use std.mem.splitScalar/splitSequence/splitAny and tokenizeScalar/tokenizeSequence/tokenizeAny'
+    },
+    {
+        id: 'usingnamespace',
+        removedIn: 'master',
+        pattern: /\busingnamespace\b/g,
+        message: () => 'usingnamespace has been removed on master',
+        hint: 'Do not use usingnamespace; re-export declarations explicitly'
+    },
+    {
+        id: 'std-io-get-std',
+        removedIn: 'master',
+        pattern: /\bstd\.io\.getStd(Out|Err|In)\b/g,
+        message: (match) => `std.io.getStd${match[1]} is gone on master; use std.fs.File.std${match[1].toLowerCase()}() with the std.Io.Writer/Reader interface`,
+        hint: 'Get stdout/stderr with std.fs.File.stdout()/stderr() and write through a buffered std.Io.Writer (`var w = file.writer(&buf);` then `w.interface.print(…)` and flush)'
+    },
+    {
+        id: 'managed-array-list',
+        removedIn: 'master',
+        pattern: /\bstd\.ArrayList\([^()]*\)\.init\(/g,
+        message: () => 'std.ArrayList is unmanaged on master: start from `.empty` and pass the allocator to each call',
+        hint: 'std.ArrayList(T) is unmanaged: `var list: std.ArrayList(T) = .empty; try list.append(allocator, x); list.deinit(allocator);`'
+    }
+];
+
+const zigRuleApplies = (rule, version) => {
+    const index = zigVersionIndex(version);
+    if (rule.removedIn) return index >= zigVersionIndex(rule.removedIn);
+    if (rule.deprecatedIn) return index >= zigVersionIndex(rule.deprecatedIn);
+    return index < zigVersionIndex(rule.addedIn);
+};
+
+// The rules for a target version, as the instruction list {{ZIG_API_NOTES}} holds
+const zigApiNotes = (version) => ZIG_API_RULES
+    .filter(rule => zigRuleApplies(rule, version))
+    .map(rule => `- ${rule.hint}`)
+    .join('\n');
+
+// Blanks out comments and the contents of string and character literals, keeping offsets and line breaks
+const maskZigSource = (source) => {
+    let masked = '';
+    let i = 0;
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    while (i < source.length) {
+        const ch = source[i];
+        const rest = source.startsWith('//', i) || source.startsWith('\\\\', i);
+        if (rest) {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            masked += source.slice(i, i + 2) + blank(source.slice(i + 2, stop));
+            i = stop;
+        } else if (ch === '"' || ch === '\'') {
+            // Strings, characters and @"identifiers" keep only their delimiters
+            let j = i + 1;
+            while (j < source.length && source[j] !== ch && source[j] !== '\n') j += source[j] === '\\' ? 2 : 1;
+            const inner = source.slice(i + 1, Math.min(j, source.length));
+            masked += ch + blank(inner) + (source[j] === ch ? ch : '');
+            i = source[j] === ch ? j + 1 : j;
+        } else {
+            masked += ch;
+            i++;
+        }
+    }
+    return masked;
+};
+
+// Maps a character offset in text to its 1-based line number
+const createLineLookup = (text) => {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+        }
+        return low + 1;
+    };
+};
+
+/**
+ * Scans Zig source for constructs that do not exist (or are deprecated) in
+ * the target version. Findings use the safety scanner's shape, so the code
+ * editor can mark them in its gutter.
+ */
+const checkZigVersion = (source, version) => {
+    const masked = maskZigSource(source);
+    const lineAt = createLineLookup(masked);
+    const findings = [];
+    ZIG_API_RULES.filter(rule => zigRuleApplies(rule, version)).forEach(rule => {
+        for (const match of masked.matchAll(rule.pattern)) {
+            findings.push({
+                line: lineAt(match.index),
+                severity: rule.deprecatedIn ? 'low' : 'high',
+                rule: rule.id,
+                message: rule.message(match)
+            });
+        }
+    });
+    return findings.sort((a, b) => a.line - b.line);
+};
+
+// Fence languages that mark a block as something other than the Zig output: usage examples, the C original, build commands
+const NON_ZIG_FENCES = ['c', 'h', 'cpp', 'c++', 'cc', 'sh', 'bash', 'shell', 'console', 'text', 'txt', 'json', 'markdown', 'md', 'diff'];
+
+/**
+ * Splits a model reply into its Zig code and the prose around it. Fenced
+ * blocks labelled zig (or not labelled) are the code, joined in order;
+ * everything else becomes notes. A reply with no Zig block is taken as code
+ * whole, and a fence that never closes (a cut-off reply) runs to the end.
+ */
+const extractZigOutput = (text) => {
+    const code = [];
+    const notes = [];
+    let block = null;
+    text.split('\n').forEach(line => {
+        const fence = line.match(/^\s*```\s*([\w+-]*)/);
+        if (block) {
+            if (fence && !fence[1]) {
+                (block.isZig ? code : notes).push(block.isZig ? block.lines.join('\n') : [block.open, ...block.lines, line].join('\n'));
+                block = null;
+            } else {
+                block.lines.push(line);
+            }
+        } else if (fence) {
+            block = { open: line, isZig: !NON_ZIG_FENCES.includes(fence[1].toLowerCase()), lines: [] };
+        } else {
+            notes.push(line);
+        }
+    });
+    if (block) (block.isZig ? code : notes).push(block.isZig ? block.lines.join('\n') : [block.open, ...block.lines].join('\n'));
+    if (code.length === 0) return { code: text.trim() ? `${text.trim()}\n` : '', notes: '' };
+    return {
+        code: `${code.map(part => part.replace(/^\n+|\s+$/g, '')).filter(Boolean).join('\n\n')}\n`,
+        notes: notes.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+    };
+};
+
+const ALLOCATION_CALL = /\b(?:const|var)\s+(\w+)\s*(?::[^=]+)?=\s*(?:try\s+)?[\w.]+\.(alloc|allocSentinel|alignedAlloc|create|dupe|dupeZ|allocPrint|allocPrintZ|realloc|toOwnedSlice)\(/g;
+
+/**
+ * What each safety level tolerates in generated Zig. levels maps a safety
+ * level to the severity of a violation; a level that is missing allows the
+ * construct.
+ */
+const ZIG_POLICY_RULES = [
+    {
+        id: 'ptr-cast',
+        levels: { strict: 'high', balanced: 'medium' },
+        pattern: /@ptrCast\b/g,
+        message: '@ptrCast reinterprets memory without any checks; use typed pointers or slices'
+    },
+    {
+        id: 'c-pointer',
+        levels: { strict: 'high', balanced: 'medium' },
+        pattern: /\[\*c\]/g,
+        message: 'C pointers ([*c]) allow null and unchecked arithmetic; use *T, ?*T or a slice'
+    },
+    {
+        id: 'c-import',
+        levels: { strict: 'high', balanced: 'low' },
+        pattern: /@cImport\b/g,
+        message: '@cImport calls back into C; use the std equivalent'
+    },
+    {
+        id: 'undefined-init',
+        levels: { strict: 'medium', balanced: 'low' },
+        pattern: /=\s*undefined\s*;/g,
+        message: 'Initialised with undefined; reading it before assignment is undefined behaviour, so give it a value'
+    },
+    {
+        id: 'catch-unreachable',
+        levels: { strict: 'high' },
+        pattern: /\bcatch\s+unreachable\b/g,
+        message: 'catch unreachable turns an error into undefined behaviour in release builds; propagate it with try or handle it'
+    }
+];
+
+const ALLOCATION_SEVERITY = { strict: 'high', balanced: 'medium', permissive: 'low' };
+
+// Offset where the block enclosing offset closes (or the end of the source)
+const findBlockEnd = (masked, offset) => {
+    let depth = 0;
+    for (let i = offset; i < masked.length; i++) {
+        if (masked[i] === '{') depth++;
+        else if (masked[i] === '}' && --depth < 0) return i;
+    }
+    return masked.length;
+};
+
+/**
+ * Lints generated Zig against the safety level: the constructs in
+ * ZIG_POLICY_RULES, plus allocations whose result is never released by a
+ * defer or errdefer in the same block. Findings use the safety scanner's
+ * shape.
+ */
+const lintZigOutput = (source, safetyLevel) => {
+    const masked = maskZigSource(source);
+    const lineAt = createLineLookup(masked);
+    const findings = [];
+    ZIG_POLICY_RULES.filter(rule => rule.levels[safetyLevel]).forEach(rule => {
+        for (const match of masked.matchAll(rule.pattern)) {
+            findings.push({ line: lineAt(match.index), severity: rule.levels[safetyLevel], rule: rule.id, message: rule.message });
+        }
+    });
+    for (const match of masked.matchAll(ALLOCATION_CALL)) {
+        const name = match[1];
+        const rest = masked.slice(match.index + match[0].length, findBlockEnd(masked, match.index));
+        if (new RegExp(`\\b(defer|errdefer)\\b[^;]*\\b${name}\\b`).test(rest)) continue;
+        findings.push({
+            line: lineAt(match.index),
+            severity: ALLOCATION_SEVERITY[safetyLevel] || 'medium',
+            rule: 'alloc-without-defer',
+            message: `${name} comes from ${match[2]}() but no defer or errdefer releases it; add \`defer\` to free it here, or \`errdefer\` if ownership passes to the caller`
+        });
+    }
+    return findings.sort((a, b) => a.line - b.line);
+};
+
+const MAPPING_RULE_NAME = /^[A-Za-z_]\w*$/;
+
+// Rules with a valid C name and a Zig side; the rest are still being typed in
+const activeMappingRules = (rules) => (rules || []).filter(rule => MAPPING_RULE_NAME.test(rule.name) && rule.zig.trim());
+
+// The mapping rules as the prompts' {{MAPPING_RULES}} list
+const formatMappingRules = (rules) => activeMappingRules(rules)
+    .map(rule => `- ${rule.name} → ${rule.zig.trim()}${rule.notes && rule.notes.trim() ? ` (${rule.notes.trim()})` : ''}`)
+    .join('\n');
+
+const withoutSpaces = (text) => text.replace(/\s+/g, '');
+
+/**
+ * Checks generated Zig against the mapping rules whose C name the C source
+ * uses. Findings mark Zig that still uses the C name, declarations that look
+ * like a conversion of their own (my_str_t → MyStr) unless they alias the
+ * mapped construct, and output where the mapped construct never appears.
+ */
+const checkMappingRules = (cSource, zigSource, rules) => {
+    if (!zigSource.trim()) return [];
+    const cNames = new Set(tokenizeC(cSource).flatMap(token => token.type === 'identifier' ? [token.value]
+        : token.type === 'preprocessor' ? token.value.match(/[A-Za-z_]\w*/g) || [] : []));
+    const masked = maskZigSource(zigSource);
+    const maskedLines = masked.split('\n');
+    const lineAt = createLineLookup(masked);
+    const symbols = extractZigSymbols(zigSource);
+    const findings = [];
+
+    activeMappingRules(rules).filter(rule => cNames.has(rule.name)).forEach(rule => {
+        const target = rule.zig.trim();
+        const targetName = (target.match(/[A-Za-z_]\w*(?=\W*$)/) || [''])[0];
+        // const my_str_t = []const u8; is the rule applied, not broken
+        const aliasesTarget = (line) => withoutSpaces(maskedLines[line - 1] || '').endsWith(`=${withoutSpaces(target)};`);
+        if (target !== rule.name) {
+            const seen = new Set();
+            for (const match of masked.matchAll(new RegExp(`\\b${rule.name}\\b`, 'g'))) {
+                const line = lineAt(match.index);
+                if (seen.has(line) || aliasesTarget(line)) continue;
+                seen.add(line);
+                findings.push({ line, severity: 'medium', rule: 'mapping-rule', message: `${rule.name} is used as is; the mapping rules map it to ${target}` });
+            }
+        }
+        const ownName = normalizeSymbolName(rule.name.replace(/_t$/, ''));
+        symbols.filter(symbol => symbol.name !== rule.name && symbol.name !== targetName && !aliasesTarget(symbol.line)
+            && normalizeSymbolName(symbol.name.split('.').pop()) === ownName).forEach(symbol => {
+            findings.push({ line: symbol.line, severity: 'medium', rule: 'mapping-rule', message: `${symbol.name} looks like its own conversion of ${rule.name}; the mapping rules map it to ${target}` });
+        });
+        if (!withoutSpaces(masked).includes(withoutSpaces(target))) {
+            findings.push({ line: 1, severity: 'low', rule: 'mapping-rule', message: `The C code uses ${rule.name}, but ${target} from the mapping rules never appears` });
+        }
+    });
+    return findings.sort((a, b) => a.line - b.line);
+};
+
+// CRC-32 (IEEE), which build.zig.zon fingerprints use to checksum the package name
+const crc32 = (text) => {
+    let crc = 0xffffffff;
+    for (const byte of new TextEncoder().encode(text)) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// A fingerprint is a random id in the low 32 bits and the name's CRC-32 in the high 32
+const zonFingerprint = (name) => {
+    const id = 1 + Math.floor(Math.random() * 0xfffffffd);
+    return `0x${crc32(name).toString(16).padStart(8, '0')}${id.toString(16).padStart(8, '0')}`;
+};
+
+const MINIMUM_ZIG_VERSIONS = { '0.11': '0.11.0', '0.12': '0.12.0', '0.13': '0.13.0', '0.14': '0.14.0' };
+
+const buildZon = (name, version) => {
+    const index = zigVersionIndex(version);
+    const lines = [
+        index >= zigVersionIndex('0.14') ? `    .name = .${name},` : `    .name = "${name}",`,
+        '    .version = "0.1.0",'
+    ];
+    if (index >= zigVersionIndex('0.14')) lines.push(`    .fingerprint = ${zonFingerprint(name)},`);
+    if (MINIMUM_ZIG_VERSIONS[version] && index >= zigVersionIndex('0.12')) lines.push(`    .minimum_zig_version = "${MINIMUM_ZIG_VERSIONS[version]}",`);
+    lines.push('    .dependencies = .{},');
+    if (index >= zigVersionIndex('0.12')) lines.push('    .paths = .{ "build.zig", "build.zig.zon", "src", "README.md" },');
+    return `.{\n${lines.join('\n')}\n}\n`;
+};
+
+/**
+ * build.zig for the target version: 0.11 and 0.12 take `.{ .path = … }`,
+ * 0.13 adds b.path(), and from 0.14 artifacts are built from a root_module
+ * (with addLibrary replacing addStaticLibrary).
+ */
+const buildBuildZig = ({ name, rootFile, testFile, isExecutable, version }) => {
+    const index = zigVersionIndex(version);
+    const source = (file) => index >= zigVersionIndex('0.13') ? `b.path("src/${file}")` : `.{ .path = "src/${file}" }`;
+    const rootModules = index >= zigVersionIndex('0.14');
+    const artifactOptions = (file, extra = []) => rootModules
+        ? [...extra, '        .root_module = b.createModule(.{', `            .root_source_file = ${source(file)},`, '            .target = target,', '            .optimize = optimize,', '        }),']
+        : [...extra, `        .root_source_file = ${source(file)},`, '        .target = target,', '        .optimize = optimize,'];
+    const artifact = isExecutable
+        ? ['    const artifact = b.addExecutable(.{', ...artifactOptions(rootFile, [`        .name = "${name}",`]), '    });']
+        : rootModules
+            ? ['    const artifact = b.addLibrary(.{', ...artifactOptions(rootFile, ['        .linkage = .static,', `        .name = "${name}",`]), '    });']
+            : ['    const artifact = b.addStaticLibrary(.{', ...artifactOptions(rootFile, [`        .name = "${name}",`]), '    });'];
+    const run = isExecutable ? [
+        '',
+        '    const run_cmd = b.addRunArtifact(artifact);',
+        '    run_cmd.step.dependOn(b.getInstallStep());',
+        '    if (b.args) |args| run_cmd.addArgs(args);',
+        '    const run_step = b.step("run", "Run the converted program");',
+        '    run_step.dependOn(&run_cmd.step);'
+    ] : [];
+    return [
+        'const std = @import("std");',
+        '',
+        'pub fn build(b: *std.Build) void {',
+        '    const target = b.standardTargetOptions(.{});',
+        '    const optimize = b.standardOptimizeOption(.{});',
+        '',
+        ...artifact,
+        '    b.installArtifact(artifact);',
+        ...run,
+        '',
+        '    const tests = b.addTest(.{',
+        ...artifactOptions(testFile),
+        '    });',
+        '    const run_tests = b.addRunArtifact(tests);',
+        '    const test_step = b.step("test", "Run the tests");',
+        '    test_step.dependOn(&run_tests.step);',
+        '}',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Lays out converted Zig as a project that builds as soon as it is unpacked:
+ * build.zig and build.zig.zon for the target version, the code under src/,
+ * a tests file that pulls in every module's tests when tests are on, and a
+ * README with the analysis. modules is [{ zigFile, zigCode }]; a module
+ * with `pub fn main` makes an executable, otherwise a library whose
+ * src/root.zig re-exports the modules. Returns [{ path, content }].
+ */
+const buildZigProjectScaffold = ({ name, modules, analysis = '', zigVersion, generateTests }) => {
+    const packageName = toZigIdentifier(name || 'converted');
+    const files = modules.filter(module => module.zigCode.trim());
+    const taken = new Set(files.map(module => module.zigFile));
+    const freeName = (...candidates) => candidates.find(candidate => !taken.has(candidate)) || `c2zig_${candidates[0]}`;
+    const mainModule = files.find(module => /\bpub\s+fn\s+main\s*\(/.test(maskZigSource(module.zigCode)));
+
+    const sources = files.map(module => ({
+        path: `src/${mainModule === module && files.length === 1 ? 'main.zig' : module.zigFile}`,
+        content: module.zigCode.endsWith('\n') ? module.zigCode : `${module.zigCode}\n`
+    }));
+    let rootFile = mainModule ? sources[files.indexOf(mainModule)].path.slice('src/'.length) : null;
+    if (!rootFile && files.length === 1) {
+        sources[0].path = 'src/root.zig';
+        rootFile = 'root.zig';
+    } else if (!rootFile) {
+        rootFile = freeName('root.zig', 'lib.zig');
+        sources.push({
+            path: `src/${rootFile}`,
+            content: `//! Public API of the converted project\n\n${files.map(module => `pub const ${stripExtension(module.zigFile)} = @import("${module.zigFile}");`).join('\n')}\n`
+        });
+    }
+    taken.add(rootFile);
+
+    let testFile = rootFile;
+    if (generateTests) {
+        testFile = freeName('tests.zig', 'all_tests.zig');
+        const imports = sources.filter(source => source.path !== `src/${testFile}`).map(source => `    _ = @import("${source.path.slice('src/'.length)}");`);
+        sources.push({
+            path: `src/${testFile}`,
+            content: `//! Collects the tests of every converted file; \`zig build test\` runs them\n\ntest {\n${imports.join('\n')}\n}\n`
+        });
+    }
+
+    const isExecutable = Boolean(mainModule);
+    const readme = [
+        `# ${packageName}`,
+        '',
+        `Converted from C to Zig with c2zig, targeting Zig ${zigVersion}.`,
+        '',
+        '```sh',
+        'zig build',
+        ...(isExecutable ? ['zig build run'] : []),
+        'zig build test',
+        '```',
+        ''
+    ];
+    if (analysis.trim()) readme.push('## Conversion Analysis', '', analysis.trim(), '');
+    return [
+        { path: 'build.zig', content: buildBuildZig({ name: packageName, rootFile, testFile, isExecutable, version: zigVersion }) },
+        { path: 'build.zig.zon', content: buildZon(packageName, zigVersion) },
+        ...sources,
+        { path: 'README.md', content: readme.join('\n') }
+    ];
+};
+
+// Arguments each kind of C parameter is tried with; small enough for any integer width, so neither side overflows
+const DIFF_TEST_VALUES = {
+    int: ['0', '1', '-1', '7', '-42', '100'],
+    uint: ['0', '1', '7', '100'],
+    float: ['0.0', '1.5', '-2.25', '100.0'],
+    bool: ['0', '1'],
+    char: ['\'a\'', '\'Z\'', '\'0\'', '\' \''],
+    string: ['""', '"a"', '"hello"', '"Hello, World!"']
+};
+
+const DIFF_CASES_PER_FUNCTION = 4;
+
+/**
+ * The kind of value a C type holds for the differential tests: int, uint,
+ * float, bool, char or string, or null when the harness cannot make one up
+ * (structs, pointers other than strings, arrays). Parameters only take
+ * const strings, since the harness passes string literals.
+ */
+const diffValueKind = (type, role) => {
+    const normalized = type.replace(/\b(?:static|inline|extern|register|volatile|restrict)\b/g, ' ')
+        .replace(/\s*\*\s*/g, '*').replace(/\s+/g, ' ').trim();
+    const isConst = /\bconst\b/.test(normalized);
+    const base = normalized.replace(/\bconst\b/g, '').replace(/\s+/g, ' ').trim();
+    if (base === 'char*') return isConst || role === 'return' ? 'string' : null;
+    if (base === 'char') return 'char';
+    if (/^(?:_Bool|bool)$/.test(base)) return 'bool';
+    if (/^(?:float|double|long double)$/.test(base)) return 'float';
+    if (/^(?:unsigned\b.*|size_t|uintptr_t|uintmax_t|uint(?:8|16|32|64)_t)$/.test(base)) return 'uint';
+    if (/^(?:(?:signed )?(?:short|int|long|long long)(?: int)?|signed|ssize_t|ptrdiff_t|intptr_t|intmax_t|int(?:8|16|32|64)_t)$/.test(base)) return 'int';
+    return null;
+};
+
+// Name, return type and parameters of a C function definition, from the text before its body
+const parseCFunctionSignature = (text) => {
+    const end = text.search(/[{;]/);
+    const head = (end === -1 ? text : text.slice(0, end)).replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, ' ').trim();
+    const match = head.match(/^([\s\S]*?)\b([A-Za-z_]\w*)\s*\(([\s\S]*)\)$/);
+    if (!match) return null;
+    const list = match[3].trim();
+    const params = list === '' || list === 'void' ? [] : list.split(',').map(param => {
+        const parts = param.trim().match(/^([\s\S]*?[\s*])([A-Za-z_]\w*)$/);
+        return parts && !C_KEYWORDS.includes(parts[2])
+            ? { type: parts[1].trim(), name: parts[2] }
+            : { type: param.trim(), name: '' };
+    });
+    return { name: match[2], returnType: match[1].replace(/\b(?:static|inline|extern)\b/g, ' ').replace(/\s+/g, ' ').trim(), params };
+};
+
+// "char *" and "name" as "char *name"
+const joinDeclarator = (type, name) => `${type}${/\*$/.test(type) || !name ? '' : ' '}${name}`;
+
+/**
+ * The functions defined in C source, except main, as candidates for the
+ * differential tests. Each has { name, line, signature, returns, params };
+ * reason says why a function cannot be tested and is empty when it can.
+ */
+const listDiffTestFunctions = (source) => splitTopLevelDeclarations(source)
+    .filter(chunk => chunk.kind === 'function' && chunk.name !== 'main')
+    .map(chunk => {
+        const parsed = parseCFunctionSignature(chunk.text);
+        if (!parsed) return { name: chunk.name, line: chunk.startLine, signature: chunk.name, returns: null, params: [], reason: 'signature not understood' };
+        const returns = diffValueKind(parsed.returnType, 'return');
+        const params = parsed.params.map(param => ({ ...param, kind: diffValueKind(param.type, 'param') }));
+        const unsupported = params.find(param => !param.kind);
+        return {
+            name: parsed.name,
+            line: chunk.startLine,
+            signature: `${joinDeclarator(parsed.returnType, parsed.name)}(${parsed.params.map(param => joinDeclarator(param.type, param.name)).join(', ') || 'void'})`,
+            returns,
+            params,
+            reason: !returns ? `returns ${parsed.returnType || 'nothing'}` : unsupported ? `takes ${unsupported.type}` : ''
+        };
+    });
+
+const greatestCommonDivisor = (a, b) => b === 0 ? a : greatestCommonDivisor(b, a % b);
+
+/**
+ * Test cases for the chosen functions: up to perFunction calls each (one
+ * for a function without parameters), with arguments picked from
+ * DIFF_TEST_VALUES so neighbouring parameters get different values. An
+ * argument list is never repeated, so parameters with few values (a lone
+ * bool) give fewer cases.
+ */
+const buildDiffCases = (functions, perFunction = DIFF_CASES_PER_FUNCTION) => {
+    const cases = [];
+    functions.forEach(fn => {
+        const count = fn.params.length === 0 ? 1 : perFunction;
+        // The value lists rotate together, so after this many steps the argument lists repeat
+        const period = fn.params.reduce((steps, param) => {
+            const length = DIFF_TEST_VALUES[param.kind].length;
+            return steps * length / greatestCommonDivisor(steps, length);
+        }, 1);
+        const seen = new Set();
+        for (let i = 0; i < period && seen.size < count; i++) {
+            const args = fn.params.map((param, j) => {
+                const values = DIFF_TEST_VALUES[param.kind];
+                return values[(i + j) % values.length];
+            });
+            const key = args.join('\u0000');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            cases.push({ id: cases.length + 1, name: fn.name, args, returns: fn.returns });
+        }
+    });
+    return cases;
+};
+
+// The cases as the prompts' {{CASES}} list
+const formatDiffCases = (cases) => cases.map(c => `${c.id}: ${c.name}(${c.args.join(', ')}) → ${c.returns}`).join('\n');
+
+// Files of a differential test pair, named after the converted .zig file they sit next to
+const diffTestFileNames = (zigFile, cFile) => {
+    const base = stripExtension(zigFile);
+    return {
+        cFile: cFile || `${base}.c`,
+        zigFile,
+        harness: `${base}_harness.c`,
+        test: `${base}_diff_test.zig`,
+        expected: `${base}_expected.txt`
+    };
+};
+
+// Shell commands that capture the C outputs and run the Zig side against them
+const diffTestCommands = (names) => [
+    `cc -o ${stripExtension(names.harness)} ${names.harness} && ./${stripExtension(names.harness)} > ${names.expected}`,
+    `zig test ${names.test}`
+];
+
+/**
+ * Splits a differential test reply into the C harness (the first c block),
+ * the Zig test file (the first zig block) and the prose around them. A
+ * block that is missing comes back empty.
+ */
+const extractHarnessPair = (text) => {
+    const blocks = { c: '', zig: '' };
+    const notes = [];
+    let block = null;
+    text.split('\n').forEach(line => {
+        const fence = line.match(/^\s*```\s*([\w+-]*)/);
+        if (block) {
+            if (fence && !fence[1]) {
+                if (block.language && !blocks[block.language]) blocks[block.language] = `${block.lines.join('\n').replace(/^\n+|\s+$/g, '')}\n`;
+                block = null;
+            } else {
+                block.lines.push(line);
+            }
+        } else if (fence) {
+            const label = fence[1].toLowerCase();
+            block = { language: label === 'c' || label === 'h' ? 'c' : label === 'zig' ? 'zig' : null, lines: [] };
+        } else {
+            notes.push(line);
+        }
+    });
+    if (block && block.language && !blocks[block.language]) blocks[block.language] = `${block.lines.join('\n').replace(/^\n+|\s+$/g, '')}\n`;
+    return { cHarness: blocks.c, zigTest: blocks.zig, notes: notes.join('\n').replace(/\n{3,}/g, '\n\n').trim() };
+};
+
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+
+const CONTINUE_PROMPT = 'Your previous reply was cut off. Continue exactly where it stopped, without repeating anything you already wrote and without any preamble.';
+
+// Raised when a stream stops early; partialText holds everything received so far
+class StreamInterruptedError extends Error {
+    constructor(message, partialText, aborted = false) {
+        super(message);
+        this.name = 'StreamInterruptedError';
+        this.partialText = partialText;
+        this.aborted = aborted;
+    }
+}
+
+const isAbortError = (err) => err && (err.name === 'AbortError' || err.aborted === true);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Honours Retry-After (seconds or an HTTP date), otherwise 1s, 2s, 4s... with jitter
+const getRetryDelay = (response, attempt) => {
+    const retryAfter = response && response.headers.get('Retry-After');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (ms > 0) return Math.min(ms, 60000);
+    }
+    return 1000 * 2 ** attempt + Math.floor(Math.random() * 250);
+};
+
+/**
+ * POSTs with automatic retry on 429/5xx responses and network failures.
+ * onRetry(attempt, delayMs, reason) is called before each wait.
+ */
+const fetchWithRetry = async (url, options, onRetry) => {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (err) {
+            if (isAbortError(err) || attempt >= MAX_RETRIES) throw err;
+            const delay = getRetryDelay(null, attempt);
+            if (onRetry) onRetry(attempt + 1, delay, err.message);
+            await sleep(delay, options.signal);
+            continue;
+        }
+
+        if (response.ok || !RETRYABLE_STATUS_CODES.includes(response.status) || attempt >= MAX_RETRIES) {
+            return response;
+        }
+        const delay = getRetryDelay(response, attempt);
+        if (onRetry) onRetry(attempt + 1, delay, `HTTP ${response.status}`);
+        await sleep(delay, options.signal);
+    }
+};
+
+/**
+ * Incremental Server-Sent Events parser. Text can be fed in arbitrary pieces;
+ * onEvent({ event, data }) fires once per complete event, so events split
+ * across network chunks are reassembled instead of dropped.
+ */
+const createSSEParser = (onEvent) => {
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0 || eventName) {
+            onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+        }
+        eventName = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+        } else if (!line.startsWith(':')) {
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            let value = colon === -1 ? '' : line.slice(colon + 1);
+            if (value.startsWith(' ')) value = value.slice(1);
+            if (field === 'data') dataLines.push(value);
+            else if (field === 'event') eventName = value;
+        }
+    };
+
+    return {
+        feed(text) {
+            buffer += text;
+            const lines = buffer.split(/\r\n|\r|\n/);
+            // The last piece may be an incomplete line; keep it for the next chunk
+            buffer = lines.pop();
+            lines.forEach(processLine);
+        },
+        end() {
+            if (buffer) processLine(buffer);
+            buffer = '';
+            dispatch();
+        }
+    };
+};
+
+const extractErrorMessage = (payload) => {
+    if (!payload) return '';
+    if (typeof payload === 'string') return payload;
+    const error = payload.error || payload;
+    return error.message || (typeof error === 'string' ? error : JSON.stringify(error));
+};
+
+// Splits newline-delimited JSON into lines, keeping a partial last line for the next chunk
+const createLineParser = (onLine) => {
+    let buffer = '';
+    return {
+        feed(text) {
+            buffer += text;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(onLine);
+        },
+        end() {
+            if (buffer) onLine(buffer);
+            buffer = '';
+        }
+    };
+};
+
+/**
+ * Reads a completion response into text using the provider adapter, calling
+ * onChunk(fullText) as it grows. Handles SSE and NDJSON streams, plain JSON
+ * replies (non-streaming mode, or servers that ignore `stream: true`) and
+ * in-stream error events. A stream that dies halfway, or ends without its
+ * end-of-stream marker, raises StreamInterruptedError carrying the partial text.
+ */
+const readCompletion = async (response, onChunk, initialText = '', adapter = PROVIDER_ADAPTERS.openai) => {
+    let fullText = initialText;
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (contentType.includes('application/json')) {
+        const payload = await response.json();
+        if (payload.error) {
+            throw new Error(`API Error: ${extractErrorMessage(payload)}`);
+        }
+        fullText += adapter.parseResponse(payload) || '';
+        onChunk(fullText);
+        return fullText;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let streamError = null;
+    let finished = false;
+    let mode = contentType.includes('text/event-stream') ? 'sse'
+        : contentType.includes('ndjson') || adapter.streamFormat === 'ndjson' ? 'ndjson'
+        : null;
+
+    const handlePayload = (data, event) => {
+        if (finished || streamError) return;
+        if (data === '[DONE]') {
+            finished = true;
+            return;
+        }
+        let parsed = null;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) {
+            // Keep-alive comments and non-JSON payloads carry no content
+        }
+        if (event === 'error' || (parsed && parsed.error)) {
+            streamError = extractErrorMessage(parsed || data) || 'Stream error';
+            return;
+        }
+        if (!parsed) return;
+        const { text, done } = adapter.parseEvent(parsed);
+        if (text) {
+            fullText += text;
+            onChunk(fullText);
+        }
+        if (done) finished = true;
+    };
+
+    const parsers = {
+        sse: createSSEParser(({ event, data }) => handlePayload(data, event)),
+        ndjson: createLineParser(line => line.trim() && handlePayload(line.trim(), 'message'))
+    };
+
+    const consume = (text) => {
+        if (!text) return;
+        if (!mode) {
+            mode = /^\s*(data|event|id|retry)?:/.test(text) ? 'sse' : /^\s*\{/.test(text) ? 'ndjson' : 'text';
+        }
+        if (parsers[mode]) {
+            parsers[mode].feed(text);
+        } else {
+            fullText += text;
+            onChunk(fullText);
+        }
+    };
+
+    try {
+        while (!finished && !streamError) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            consume(decoder.decode(value, { stream: true }));
+        }
+        // A multi-byte character split at the very end is still in the decoder
+        consume(decoder.decode());
+        if (parsers[mode]) parsers[mode].end();
+    } catch (err) {
+        throw new StreamInterruptedError(
+            isAbortError(err) ? 'Stopped' : `Stream interrupted: ${err.message}`,
+            fullText,
+            isAbortError(err)
+        );
+    } finally {
+        if (finished || streamError) reader.cancel().catch(() => {});
+    }
+
+    if (streamError) {
+        throw new StreamInterruptedError(`Stream error: ${streamError}`, fullText);
+    }
+    // SSE and NDJSON replies end with [DONE] or a done event; without one the connection dropped
+    if (!finished && mode !== 'text') {
+        throw new StreamInterruptedError('Stream interrupted: the connection closed before the reply was complete', fullText);
+    }
+    return fullText;
+};
+
+// Above this many table cells the changed region is shown as a plain replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Line diff between two texts (LCS over the lines between the common prefix
+ * and suffix). Returns [{ type: 'same' | 'add' | 'del', text, oldLine, newLine }].
+ */
+const diffLines = (oldText, newText) => {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const result = [];
+    let oldLine = 1;
+    let newLine = 1;
+    const same = (text) => result.push({ type: 'same', text, oldLine: oldLine++, newLine: newLine++ });
+    const del = (text) => result.push({ type: 'del', text, oldLine: oldLine++ });
+    const add = (text) => result.push({ type: 'add', text, newLine: newLine++ });
+
+    a.slice(0, start).forEach(same);
+
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > MAX_DIFF_CELLS) {
+        a.slice(start, endA).forEach(del);
+        b.slice(start, endB).forEach(add);
+    } else {
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = a[start + i] === b[start + j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                same(a[start + i]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+                del(a[start + i]);
+                i++;
+            } else {
+                add(b[start + j]);
+                j++;
+            }
+        }
+    }
+
+    a.slice(endA).forEach(same);
+    return result;
+};
+
+const summarizeDiff = (diff) => ({
+    added: diff.filter(line => line.type === 'add').length,
+    removed: diff.filter(line => line.type === 'del').length
+});
+
+const MAPPED_C_KINDS = ['function', 'type', 'typedef', 'global'];
+
+/**
+ * Functions, types, globals and valued #defines of a C file, one entry per
+ * name, with the line range of the declaration they come from.
+ */
+const extractCSymbols = (source) => {
+    const symbols = [];
+    const add = (symbol) => {
+        if (symbol.name && !symbols.some(s => s.name === symbol.name)) symbols.push(symbol);
+    };
+    for (const chunk of splitTopLevelDeclarations(source)) {
+        if (MAPPED_C_KINDS.includes(chunk.kind)) {
+            add({ name: chunk.name, kind: chunk.kind, line: chunk.startLine, endLine: chunk.endLine });
+        } else if (chunk.kind === 'preprocessor') {
+            chunk.text.split('\n').forEach((line, k) => {
+                const define = line.match(/^\s*#\s*define\s+([A-Za-z_]\w*)(?:\([^)]*\))?\s+\S/);
+                if (define) add({ name: define[1], kind: 'macro', line: chunk.startLine + k, endLine: chunk.startLine + k });
+            });
+        }
+    }
+    return symbols;
+};
+
+/**
+ * Top-level Zig declarations plus the functions and constants declared
+ * directly inside top-level containers (named "Type.member"). A
+ * "// c2zig: name" marker above a declaration records the C name it came from.
+ */
+const extractZigSymbols = (source) => {
+    const symbols = [];
+    const open = [];
+    let depth = 0;
+    let marker = null;
+    source.split('\n').forEach((line, k) => {
+        const code = line.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""').replace(/\/\/.*$/, '');
+        const parent = open[open.length - 1];
+        const scanned = depth === 0 || (depth === 1 && parent && parent.depth === 0 && parent.symbol.kind === 'type');
+        if (scanned) {
+            const markerMatch = line.match(/^\s*\/\/\s*c2zig:\s*([A-Za-z_]\w*)/);
+            const fn = code.match(/^\s*(?:pub\s+)?(?:(?:export|extern|inline)\s+)*fn\s+([A-Za-z_]\w*)/);
+            const decl = code.match(/^\s*(?:pub\s+)?(?:export\s+)?(?:const|var)\s+([A-Za-z_]\w*)\s*(?::[^=]*)?=\s*(.*)$/);
+            let symbol = null;
+            if (markerMatch) {
+                marker = markerMatch[1];
+            } else if (fn) {
+                symbol = { name: fn[1], kind: 'function' };
+            } else if (decl && !/^@import\s*\(/.test(decl[2])) {
+                symbol = { name: decl[1], kind: /^(?:extern\s+|packed\s+)?(?:struct|enum|union|opaque)\b|^error\s*\{/.test(decl[2]) ? 'type' : 'global' };
+            }
+            if (symbol) {
+                if (depth === 1) symbol.name = `${parent.symbol.name}.${symbol.name}`;
+                symbol = { ...symbol, line: k + 1, endLine: k + 1, cName: marker, nested: depth === 1 };
+                symbols.push(symbol);
+                open.push({ symbol, depth });
+                marker = null;
+            } else if (code.trim()) {
+                marker = null;
+            }
+        }
+        depth = Math.max(0, depth + (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length);
+        while (open.length > 0 && depth <= open[open.length - 1].depth) {
+            open.pop().symbol.endLine = k + 1;
+        }
+    });
+    return symbols;
+};
+
+const normalizeSymbolName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Pairs C and Zig symbols: explicit markers first, then identical names, then
+ * names that only differ in case, underscores or a "Type." prefix. Whatever is
+ * left over was possibly dropped (C) or invented (Zig).
+ */
+const matchSymbols = (cSymbols, zigSymbols) => {
+    const matched = new Map();
+    const used = new Set();
+    const passes = [
+        (c, z) => z.cName === c.name,
+        (c, z) => z.name === c.name || z.name.endsWith('.' + c.name),
+        (c, z) => normalizeSymbolName(z.name) === normalizeSymbolName(c.name)
+    ];
+    for (const sameSymbol of passes) {
+        for (const c of cSymbols) {
+            if (matched.has(c)) continue;
+            const z = zigSymbols.find(candidate => !used.has(candidate) && sameSymbol(c, candidate));
+            if (z) {
+                matched.set(c, z);
+                used.add(z);
+            }
+        }
+    }
+    return {
+        pairs: cSymbols.filter(c => matched.has(c)).map(c => ({ c, zig: matched.get(c) })),
+        unmatchedC: cSymbols.filter(c => !matched.has(c)),
+        // Nested members are usually helpers of a matched type, so only top-level extras are flagged
+        unmatchedZig: zigSymbols.filter(z => !used.has(z) && !z.nested)
+    };
+};
+
+/**
+ * Short FNV-1a hash used to tell prompt template versions apart.
+ */
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * hashString of default templates that a released version shipped. Settings
+ * used to be saved with a copy of every template, so without this the
+ * copies of old defaults would keep hiding the new ones. When a release
+ * changes a default prompt, add the hash of the text it replaces under its
+ * key here, so stored copies of it keep following the defaults.
+ */
+const FORMER_DEFAULT_PROMPT_HASHES = {
+    analysis: ['3d413e30'],
+    generation: ['b1b569cc']
+};
+
+// The templates that differ from the current and every former default; the rest follow the defaults
+const customizedPrompts = (prompts) => Object.fromEntries(Object.entries(prompts || {})
+    .filter(([key, template]) => DEFAULT_PROMPTS[key] !== undefined && template !== DEFAULT_PROMPTS[key]
+        && !(FORMER_DEFAULT_PROMPT_HASHES[key] || []).includes(hashString(template))));
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant that converts C/C++ code to Zig.';
+
+// Connection and conversion options; the browser adds its UI-only fields on top
+const DEFAULT_SETTINGS = {
+    endpointPreset: 'Pollinations AI',
+    endpoint: 'https://text.pollinations.ai/openai',
+    apiKey: '',
+    model: 'openai',
+    adapter: 'openai',
+    stream: true,
+    safetyLevel: 'strict',
+    generateTests: true,
+    preserveComments: true,
+    mappingMarkers: true,
+    structuredAnalysis: false,
+    differentialTests: false,
+    zigVersion: '0.14',
+    contextLimit: 0,
+    preprocess: false,
+    defines: '',
+    sourceLanguage: 'auto',
+    mappingRules: [],
+    recordRequests: false,
+    replayTiming: true,
+    mockResponses: [],
+    customVariables: [],
+    promptPartials: [],
+    prompts: DEFAULT_PROMPTS
+};
+
+// Variables each prompt template is filled with. The conversion options are
+// shared by every prompt; a required variable missing from a template makes
+// the prompt useless, so the editor warns about it.
+const OPTION_VARIABLES = [
+    { name: 'SAFETY_LEVEL', description: 'strict, balanced or permissive' },
+    { name: 'SAFETY_HINTS', description: 'Rules for the selected safety level' },
+    { name: 'ZIG_VERSION', description: 'Target Zig version: 0.11 … 0.14 or master' },
+    { name: 'ZIG_API_NOTES', description: 'API rules for the target Zig version, one per line' },
+    { name: 'GENERATE_TESTS', description: 'Set when tests are requested; use with {{#if}}' },
+    { name: 'PRESERVE_COMMENTS', description: 'Set when comments should be kept; use with {{#if}}' },
+    { name: 'TEST_INCLUSION', description: 'Test instruction line, empty when tests are off' },
+    { name: 'COMMENT_PRESERVATION', description: 'Comment instruction line, empty when comments are off' },
+    { name: 'MAPPING_MARKERS', description: 'Mapping marker instruction line, empty when markers are off' },
+    { name: 'MAPPING_RULES', description: 'The project mapping rules, C name → Zig construct, one per line' },
+    { name: 'DIFF_TEST_EXPORTS', description: 'Instruction to make converted functions pub, empty when differential tests are off' }
+];
+
+const PROMPT_VARIABLES = {
+    analysis: [
+        { name: 'CODE', description: 'The C/C++ source', required: true },
+        { name: 'SAFETY_FINDINGS', description: 'Static scanner findings with line numbers' },
+        { name: 'TEST_STRATEGY', description: 'Test strategy item, empty when tests are off' },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' }
+    ],
+    structuredAnalysis: [
+        { name: 'CODE', description: 'The C/C++ source', required: true },
+        { name: 'SAFETY_FINDINGS', description: 'Static scanner findings with line numbers' },
+        { name: 'TEST_STRATEGY', description: 'Test strategy item, empty when tests are off' },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' },
+        { name: 'CPP_MAPPINGS', description: 'C++ → Zig mapping guidance, empty for C sources' }
+    ],
+    generation: [
+        { name: 'ANALYSIS', description: 'The conversion plan from step 1', required: true },
+        { name: 'CODE', description: 'The C/C++ source', required: true },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' }
+    ],
+    chunkGeneration: [
+        { name: 'ANALYSIS', description: 'The conversion plan from step 1', required: true },
+        { name: 'TYPE_SUMMARY', description: 'Every declaration in the file without function bodies' },
+        { name: 'CHUNK_KIND', description: 'function, type, typedef, global, …' },
+        { name: 'CHUNK_NAME', description: 'Name of the declaration' },
+        { name: 'CHUNK_LINES', description: 'Line range in the source, e.g. 12-40' },
+        { name: 'CHUNK', description: 'The declaration to convert', required: true },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' },
+        { name: 'CPP_MAPPINGS', description: 'C++ → Zig mapping guidance, empty for C sources' }
+    ],
+    repair: [
+        { name: 'CODE', description: 'The original C/C++ source' },
+        { name: 'ZIG_CODE', description: 'The Zig code to fix', required: true },
+        { name: 'COMPILER_ERRORS', description: 'The pasted compiler output', required: true }
+    ],
+    projectAnalysis: [
+        { name: 'FILE_TREE', description: 'The project file tree' },
+        { name: 'INCLUDE_GRAPH', description: 'Which project files each file includes' },
+        { name: 'MODULE_PLAN', description: 'Planned Zig modules and their imports' },
+        { name: 'FILES', description: 'Every source file', required: true },
+        { name: 'SAFETY_FINDINGS', description: 'Static scanner findings as file:line' },
+        { name: 'TEST_STRATEGY', description: 'Test strategy item, empty when tests are off' },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' },
+        { name: 'CPP_MAPPINGS', description: 'C++ → Zig mapping guidance, empty for C sources' }
+    ],
+    projectGeneration: [
+        { name: 'ANALYSIS', description: 'The project-wide plan', required: true },
+        { name: 'MODULE_FILE', description: 'The Zig file being generated' },
+        { name: 'MODULE_SOURCES', description: 'The C files it is converted from' },
+        { name: 'IMPORTS', description: 'The @import lines the module must use' },
+        { name: 'DEPENDENCY_CODE', description: 'Zig already generated for its imports' },
+        { name: 'MODULE_CODE', description: 'The C sources of this module', required: true },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' },
+        { name: 'CPP_MAPPINGS', description: 'C++ → Zig mapping guidance, empty for C sources' }
+    ],
+    cppAnalysis: [
+        { name: 'CODE', description: 'The C++ source', required: true },
+        { name: 'SAFETY_FINDINGS', description: 'Static scanner findings with line numbers' },
+        { name: 'TEST_STRATEGY', description: 'Test strategy item, empty when tests are off' },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' },
+        { name: 'CPP_MAPPINGS', description: 'C++ → Zig mapping guidance' }
+    ],
+    differentialTests: [
+        { name: 'CODE', description: 'The C source', required: true },
+        { name: 'ZIG_CODE', description: 'The converted Zig code', required: true },
+        { name: 'CASES', description: 'Test cases: id, call with arguments, kind of result', required: true },
+        { name: 'FUNCTION_NAMES', description: 'C function → Zig function, for the functions under test' },
+        { name: 'C_FILE', description: 'File name the harness includes the C source as' },
+        { name: 'ZIG_FILE', description: 'File name the test imports the Zig code as' },
+        { name: 'EXPECTED_FILE', description: 'File the C harness output is captured in' }
+    ],
+    cppGeneration: [
+        { name: 'ANALYSIS', description: 'The conversion plan from step 1', required: true },
+        { name: 'CODE', description: 'The C++ source', required: true },
+        { name: 'MACROS', description: 'Macro table with kind and Zig mapping, empty unless preprocessing is on' },
+        { name: 'CPP_MAPPINGS', description: 'C++ → Zig mapping guidance' }
+    ]
+};
+
+const TEMPLATE_VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+const TEMPLATE_PARTIAL_NAME = /^[A-Za-z_][\w-]*$/;
+const MAX_PARTIAL_DEPTH = 8;
+
+/**
+ * Parses a prompt template into nodes. Besides {{NAME}} it understands
+ * {{#if NAME}}…{{else}}…{{/if}}, {{#unless NAME}}…{{/unless}} and
+ * {{> partial}}. A block tag alone on its line takes the whole line with it,
+ * and so does a lone variable or partial that renders empty. Mistakes are
+ * returned as errors with a line number; the template still parses as far
+ * as it can.
+ */
+const parsePromptTemplate = (template) => {
+    const tag = /\{\{\s*(?:(#if|#unless|>)\s*([A-Za-z_][\w-]*)|(else|\/if|\/unless)|([A-Za-z_]\w*))\s*\}\}/g;
+    const nodes = [];
+    const errors = [];
+    const open = [];
+    let target = nodes;
+    let last = 0;
+    let line = 1;
+    let lineAt = 0;
+    const lineOf = (index) => {
+        for (; lineAt < index; lineAt++) {
+            if (template[lineAt] === '\n') line++;
+        }
+        return line;
+    };
+
+    for (const match of template.matchAll(tag)) {
+        const [raw, opener, openerName, closer, variable] = match;
+        const start = match.index;
+        const end = start + raw.length;
+        const tagLine = lineOf(start);
+        const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+        const newline = template.indexOf('\n', end);
+        const lineEnd = newline === -1 ? template.length : newline + 1;
+        const standalone = /^[ \t]*$/.test(template.slice(Math.max(lineStart, last), start))
+            && lineStart >= last
+            && /^[ \t]*\r?\n?$/.test(template.slice(end, lineEnd));
+
+        let textEnd = start;
+        let next = end;
+        let lead = '';
+        let trail = '';
+        if (standalone) {
+            textEnd = lineStart;
+            next = lineEnd;
+            lead = template.slice(lineStart, start);
+            trail = template.slice(end, lineEnd);
+        }
+        if (textEnd > last) target.push({ type: 'text', text: template.slice(last, textEnd) });
+        last = next;
+
+        if (variable || opener === '>') {
+            // A lone variable keeps its indentation and line break unless it renders empty
+            target.push({
+                type: variable ? 'variable' : 'partial',
+                name: variable || openerName,
+                raw,
+                line: tagLine,
+                lead,
+                trail
+            });
+        } else if (opener) {
+            const block = { type: 'if', name: openerName, negate: opener === '#unless', keyword: opener.slice(1), then: [], otherwise: [], line: tagLine, hasElse: false };
+            target.push(block);
+            open.push(block);
+            target = block.then;
+        } else {
+            const block = open[open.length - 1];
+            if (closer === 'else') {
+                if (!block || block.hasElse) {
+                    errors.push({ line: tagLine, message: block ? `Second {{else}} in the {{#${block.keyword} ${block.name}}} block from line ${block.line}` : '{{else}} outside an {{#if}} block' });
+                } else {
+                    block.hasElse = true;
+                    target = block.otherwise;
+                }
+            } else if (!block) {
+                errors.push({ line: tagLine, message: `${raw} without a matching {{#${closer.slice(1)}}}` });
+            } else if (closer.slice(1) !== block.keyword) {
+                errors.push({ line: tagLine, message: `${raw} closes {{#${block.keyword} ${block.name}}} from line ${block.line}; expected {{/${block.keyword}}}` });
+            } else {
+                open.pop();
+                const parent = open[open.length - 1];
+                target = parent ? (parent.hasElse ? parent.otherwise : parent.then) : nodes;
+            }
+        }
+    }
+    if (template.length > last) target.push({ type: 'text', text: template.slice(last) });
+    open.forEach(block => errors.push({ line: block.line, message: `{{#${block.keyword} ${block.name}}} is never closed` }));
+    return { nodes, errors };
+};
+
+// Empty strings, false, null and undefined count as unset in conditionals and render as nothing
+const isTemplateValueSet = (value) => value !== undefined && value !== null && value !== false && String(value).trim() !== '';
+
+const formatTemplateValue = (value) => value === undefined || value === null || value === false ? '' : String(value);
+
+const renderTemplateNodes = (nodes, vars, partials, depth) => nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    if (node.type === 'if') {
+        const branch = isTemplateValueSet(vars[node.name]) !== node.negate ? node.then : node.otherwise;
+        return renderTemplateNodes(branch, vars, partials, depth);
+    }
+    let value;
+    if (node.type === 'variable') {
+        // Unknown variables are left in place so they show up in the preview
+        if (!Object.prototype.hasOwnProperty.call(vars, node.name)) return node.lead + node.raw + node.trail;
+        value = formatTemplateValue(vars[node.name]);
+    } else {
+        if (!Object.prototype.hasOwnProperty.call(partials, node.name) || depth >= MAX_PARTIAL_DEPTH) return node.lead + node.raw + node.trail;
+        value = renderTemplateNodes(parsePromptTemplate(partials[node.name]).nodes, vars, partials, depth + 1);
+    }
+    return value === '' ? '' : node.lead + value + node.trail;
+}).join('');
+
+/**
+ * Fills a prompt template. Variables set to an empty value render as
+ * nothing; only names missing from vars are left as they are.
+ */
+const fillPromptTemplate = (template, vars, partials = {}) =>
+    renderTemplateNodes(parsePromptTemplate(template).nodes, vars, partials, 0);
+
+// User-defined variables and partials from settings, as name → text maps
+const customVariableValues = (settings) => Object.fromEntries((settings.customVariables || [])
+    .filter(variable => TEMPLATE_VARIABLE_NAME.test(variable.name))
+    .map(variable => [variable.name, variable.value]));
+
+const promptPartialTexts = (settings) => Object.fromEntries((settings.promptPartials || [])
+    .filter(partial => TEMPLATE_PARTIAL_NAME.test(partial.name))
+    .map(partial => [partial.name, partial.text]));
+
+// Variables every prompt shares, derived from the conversion options
+const conversionVariables = (settings) => ({
+    SAFETY_LEVEL: settings.safetyLevel,
+    SAFETY_HINTS: SAFETY_HINTS[settings.safetyLevel],
+    ZIG_VERSION: settings.zigVersion,
+    ZIG_API_NOTES: zigApiNotes(settings.zigVersion),
+    GENERATE_TESTS: Boolean(settings.generateTests),
+    PRESERVE_COMMENTS: Boolean(settings.preserveComments),
+    TEST_INCLUSION: settings.generateTests ? '- Basic tests using std.testing' : '',
+    COMMENT_PRESERVATION: settings.preserveComments ? '- Preserve original intent in comments' : '',
+    MAPPING_MARKERS: settings.mappingMarkers ? MAPPING_MARKERS_HINT : '',
+    MAPPING_RULES: formatMappingRules(settings.mappingRules),
+    DIFF_TEST_EXPORTS: settings.differentialTests ? '- Mark every function converted from a C function `pub`, so the differential tests can call it' : ''
+});
+
+/**
+ * Renders one of the settings' prompt templates. Built-in variables win over
+ * custom ones with the same name.
+ */
+const renderPrompt = (settings, promptKey, vars) => fillPromptTemplate(settings.prompts[promptKey], {
+    ...customVariableValues(settings),
+    ...conversionVariables(settings),
+    ...vars
+}, promptPartialTexts(settings));
+
+const collectTemplateReferences = (nodes, found = { variables: [], partials: [] }) => {
+    nodes.forEach(node => {
+        if (node.type === 'variable') found.variables.push(node);
+        if (node.type === 'partial') found.partials.push(node);
+        if (node.type === 'if') {
+            found.variables.push(node);
+            collectTemplateReferences(node.then, found);
+            collectTemplateReferences(node.otherwise, found);
+        }
+    });
+    return found;
+};
+
+/**
+ * Checks one prompt template of the settings: syntax errors, unknown
+ * variables and partials (also inside the partials it includes), partials
+ * that include themselves, and required variables the template never uses.
+ * Returns the issues, each { line, severity: 'error' | 'warning', rule,
+ * message }, and the names of the variables the template uses.
+ */
+const validatePrompt = (settings, promptKey) => {
+    const builtIn = [...OPTION_VARIABLES, ...(PROMPT_VARIABLES[promptKey] || [])];
+    const custom = customVariableValues(settings);
+    const known = new Set([...builtIn.map(variable => variable.name), ...Object.keys(custom)]);
+    const partials = promptPartialTexts(settings);
+    const issues = [];
+    const used = new Set();
+
+    const check = (template, line, chain) => {
+        const { nodes, errors } = parsePromptTemplate(template);
+        const where = chain.length > 0 ? ` (in partial "${chain[chain.length - 1]}")` : '';
+        errors.forEach(err => issues.push({ line: line || err.line, severity: 'error', rule: 'syntax', message: err.message + where }));
+        const { variables, partials: included } = collectTemplateReferences(nodes);
+        variables.forEach(node => {
+            used.add(node.name);
+            if (!known.has(node.name)) {
+                issues.push({ line: line || node.line, severity: 'warning', rule: 'unknown-variable', message: `Unknown variable ${node.name}${where}; it is left in the prompt as written` });
+            }
+        });
+        included.forEach(node => {
+            if (chain.includes(node.name)) {
+                issues.push({ line: line || node.line, severity: 'error', rule: 'partial', message: `Partial "${node.name}" includes itself (${[...chain, node.name].join(' → ')})` });
+            } else if (!Object.prototype.hasOwnProperty.call(partials, node.name)) {
+                issues.push({ line: line || node.line, severity: 'warning', rule: 'partial', message: `Unknown partial "${node.name}"${where}` });
+            } else {
+                check(partials[node.name], line || node.line, [...chain, node.name]);
+            }
+        });
+    };
+    check(settings.prompts[promptKey] || '', 0, []);
+
+    builtIn.filter(variable => variable.required && !used.has(variable.name)).forEach(variable => {
+        issues.push({ line: 1, severity: 'warning', rule: 'unused-variable', message: `Never uses {{${variable.name}}} (${variable.description}), so the model will not see it` });
+    });
+    return { issues: issues.sort((a, b) => a.line - b.line), used: [...used] };
+};
+
+const analysisVariables = (settings, code) => {
+    const prepared = prepareSource(settings, code);
+    return {
+        CODE: prepared.code,
+        SAFETY_FINDINGS: formatSafetyFindings(scanCSafety(prepared.code)),
+        TEST_STRATEGY: settings.generateTests ? '7. **Test Strategy**: Outline basic tests using std.testing' : '',
+        MACROS: prepared.macros,
+        CPP_MAPPINGS: resolveSourceLanguage(settings, code) === 'cpp' ? CPP_MAPPING_GUIDE : ''
+    };
+};
+
+// Which template a step uses for a single file: C++ sources have their own analysis and generation prompts
+const singleFilePromptKey = (settings, step, code) => {
+    if (step === 'analysis' && settings.structuredAnalysis) return 'structuredAnalysis';
+    return resolveSourceLanguage(settings, code) === 'cpp' ? { analysis: 'cppAnalysis', generation: 'cppGeneration' }[step] : step;
+};
+
+const buildAnalysisPrompt = (settings, code) => renderPrompt(settings, resolveSourceLanguage(settings, code) === 'cpp' ? 'cppAnalysis' : 'analysis', analysisVariables(settings, code));
+
+const buildStructuredAnalysisPrompt = (settings, code) => renderPrompt(settings, 'structuredAnalysis', analysisVariables(settings, code));
+
+const buildGenerationPrompt = (settings, analysis, code) => {
+    const prepared = prepareSource(settings, code);
+    return renderPrompt(settings, singleFilePromptKey(settings, 'generation', code), {
+        ANALYSIS: analysis,
+        CODE: prepared.code,
+        MACROS: prepared.macros,
+        CPP_MAPPINGS: resolveSourceLanguage(settings, code) === 'cpp' ? CPP_MAPPING_GUIDE : ''
+    });
+};
+
+/**
+ * The prompt for a differential test pair: functions are the chosen entries
+ * of listDiffTestFunctions, names the file names from diffTestFileNames.
+ */
+const buildDiffTestPrompt = (settings, { code, zigCode, functions, names }) => {
+    const { pairs } = matchSymbols(extractCSymbols(code), extractZigSymbols(zigCode));
+    const zigName = (name) => (pairs.find(pair => pair.c.name === name) || { zig: { name: `${name} (not found in the Zig code; look for the converted function)` } }).zig.name;
+    return renderPrompt(settings, 'differentialTests', {
+        CODE: code,
+        ZIG_CODE: zigCode,
+        CASES: formatDiffCases(buildDiffCases(functions)),
+        FUNCTION_NAMES: functions.map(fn => `- ${fn.signature} → ${zigName(fn.name)}`).join('\n'),
+        C_FILE: names.cFile,
+        ZIG_FILE: names.zigFile,
+        EXPECTED_FILE: names.expected
+    });
+};
+
+const PROFILE_FORMAT = 'c2zig-profile';
+
+// Settings a profile carries. The API key is only kept in the browser's own copy, never exported or shared.
+const PROFILE_FIELDS = [
+    'endpointPreset', 'endpoint', 'model', 'adapter', 'stream', 'safetyLevel', 'generateTests', 'preserveComments',
+    'mappingMarkers', 'chunkedConversion', 'structuredAnalysis', 'differentialTests', 'zigVersion', 'contextLimit', 'preprocess', 'defines', 'sourceLanguage', 'mappingRules', 'recordRequests', 'replayTiming', 'mockResponses', 'customVariables', 'promptPartials', 'prompts'
+];
+
+/**
+ * Picks the profile fields out of settings. Only prompts that differ from
+ * the defaults are kept, so a profile picks up later default improvements.
+ */
+const pickProfileSettings = (settings, { includeApiKey = false } = {}) => {
+    const picked = {};
+    PROFILE_FIELDS.forEach(field => {
+        if (settings[field] !== undefined) picked[field] = settings[field];
+    });
+    picked.prompts = customizedPrompts(settings.prompts);
+    if (includeApiKey && settings.apiKey) picked.apiKey = settings.apiKey;
+    return picked;
+};
+
+const exportProfile = (name, settings) => ({
+    format: PROFILE_FORMAT,
+    version: 1,
+    name,
+    settings: pickProfileSettings(settings)
+});
+
+const isNamedList = (value, textField) => Array.isArray(value)
+    && value.every(item => item && typeof item.name === 'string' && typeof item[textField] === 'string');
+
+/**
+ * Checks an exported profile (parsed JSON) and returns { name, settings }.
+ * Unknown fields, including any API key, are dropped; fields of the wrong
+ * type throw an Error naming the field.
+ */
+const parseProfile = (data) => {
+    if (!data || data.format !== PROFILE_FORMAT || !data.settings || typeof data.settings !== 'object') {
+        throw new Error('Not a c2zig profile file');
+    }
+    const source = data.settings;
+    const settings = {};
+    PROFILE_FIELDS.forEach(field => {
+        if (source[field] === undefined) return;
+        const value = source[field];
+        const valid = field === 'prompts'
+            ? value && typeof value === 'object' && Object.entries(value).every(([key, template]) => DEFAULT_PROMPTS[key] !== undefined && typeof template === 'string')
+            : field === 'customVariables' ? isNamedList(value, 'value')
+            : field === 'promptPartials' ? isNamedList(value, 'text')
+            : field === 'mappingRules' ? isNamedList(value, 'zig') && value.every(rule => rule.notes === undefined || typeof rule.notes === 'string')
+            : field === 'mockResponses' ? Array.isArray(value) && value.every(response => response && typeof response.match === 'string' && typeof response.reply === 'string')
+            : field === 'safetyLevel' ? SAFETY_HINTS[value] !== undefined
+            : field === 'zigVersion' ? ZIG_VERSIONS.includes(value)
+            : field === 'sourceLanguage' ? SOURCE_LANGUAGES[value] !== undefined
+            : field === 'contextLimit' ? Number.isInteger(value) && value >= 0
+            : field === 'adapter' ? PROVIDER_ADAPTERS[value] !== undefined
+            : ['stream', 'generateTests', 'preserveComments', 'mappingMarkers', 'chunkedConversion', 'structuredAnalysis', 'differentialTests', 'preprocess', 'recordRequests', 'replayTiming'].includes(field) ? typeof value === 'boolean'
+            : typeof value === 'string';
+        if (!valid) throw new Error(`Invalid profile field "${field}"`);
+        settings[field] = value;
+    });
+    return { name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported profile', settings };
+};
+
+// Profile settings on top of the current ones; prompts the profile does not change fall back to the defaults
+const applyProfileSettings = (settings, profileSettings) => ({
+    ...settings,
+    ...profileSettings,
+    prompts: { ...DEFAULT_PROMPTS, ...profileSettings.prompts }
+});
+
+// URL-safe base64 of UTF-8 JSON, for share links
+const encodeSharePayload = (payload) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeSharePayload = (text) => {
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0))));
+    } catch (err) {
+        throw new Error('the link is damaged or incomplete');
+    }
+};
+
+const MOCK_PRESET = 'Mock/Replay';
+const RECORDING_FORMAT = 'c2zig-recording';
+
+// Canned replies stream in pieces of this many characters, this many ms apart
+const MOCK_CHUNK_SIZE = 48;
+const MOCK_CHUNK_DELAY = 20;
+
+const MOCK_DEMO_ZIG = [
+    '```zig',
+    'const std = @import("std");',
+    '',
+    '// c2zig: String',
+    'pub const String = struct {',
+    '    data: []u8,',
+    '    allocator: std.mem.Allocator,',
+    '',
+    '    // c2zig: create_string',
+    '    pub fn init(allocator: std.mem.Allocator, input: []const u8) !String {',
+    '        return .{ .data = try allocator.dupe(u8, input), .allocator = allocator };',
+    '    }',
+    '',
+    '    // c2zig: free_string',
+    '    pub fn deinit(self: *String) void {',
+    '        self.allocator.free(self.data);',
+    '    }',
+    '};',
+    '',
+    '// c2zig: main',
+    'pub fn main() !void {',
+    '    var greeting = try String.init(std.heap.page_allocator, "Hello, World!");',
+    '    defer greeting.deinit();',
+    '    std.debug.print("{s}\\n", .{greeting.data});',
+    '}',
+    '',
+    'test "String copies its input" {',
+    '    var s = try String.init(std.testing.allocator, "abc");',
+    '    defer s.deinit();',
+    '    try std.testing.expectEqualStrings("abc", s.data);',
+    '}',
+    '```'
+].join('\n');
+
+/**
+ * The built-in demo script: one reply per built-in prompt, written for the
+ * C sample, so the whole pipeline runs with no network. The first pattern
+ * that matches the prompt wins.
+ */
+const MOCK_DEMO_RESPONSES = [
+    {
+        match: /^Analyze [^\n]*as JSON/,
+        reply: JSON.stringify({
+            summary: 'A heap-allocated string type with a constructor, a destructor and a demo main.',
+            complexity: 3,
+            issues: [
+                { lines: [11, 13], category: 'memory', severity: 'high', description: 'malloc results are not checked for NULL', zigConstruct: 'allocator.dupe with try' },
+                { lines: [14, 14], category: 'bounds', severity: 'medium', description: 'strcpy trusts the length computed earlier', zigConstruct: 'slice copy' }
+            ],
+            typeMappings: [{ c: 'String*', zig: 'String', note: 'owned by the caller, freed with deinit' }, { c: 'const char*', zig: '[]const u8' }],
+            ownership: [{ subject: 'String.data', decision: 'owned by the String and freed in deinit' }],
+            tests: ['String copies its input']
+        }, null, 2)
+    },
+    {
+        match: /^Analyze /,
+        reply: [
+            '## Memory Safety Issues',
+            '- `malloc` results are used without a NULL check (lines 11 and 13)',
+            '- `strcpy` relies on the length computed from `strlen` (line 14)',
+            '',
+            '## Conversion Plan',
+            '1. **String**: a struct holding a `[]u8` and the allocator that owns it',
+            '2. **create_string** → `String.init`, returning an error union instead of a possibly NULL pointer',
+            '3. **free_string** → `String.deinit`, called with `defer`',
+            '4. **main**: passes `std.heap.page_allocator` in; the tests use `std.testing.allocator`, which reports leaks',
+            '',
+            '## Tests',
+            '- `String.init` copies its input'
+        ].join('\n')
+    },
+    {
+        match: /^Convert one top-level declaration/,
+        reply: '```zig\n// Mock/Replay: canned reply for one declaration. Record a live run to replay real conversions.\n```'
+    },
+    {
+        match: /^Convert /,
+        reply: `${MOCK_DEMO_ZIG}\n\nThe C \`String*\` becomes a \`String\` value that owns its slice; \`free_string\` is its \`deinit\`.`
+    },
+    {
+        match: /^Fix this Zig code/,
+        reply: MOCK_DEMO_ZIG
+    },
+    {
+        match: /^Write a pair of differential test harnesses/,
+        reply: [
+            '```c',
+            '#include <stdio.h>',
+            '',
+            'int main(void) {',
+            '    printf("mock\\n");',
+            '    return 0;',
+            '}',
+            '```',
+            '',
+            '```zig',
+            'const std = @import("std");',
+            '',
+            'test "differential: mock" {',
+            '    try std.testing.expect(true);',
+            '}',
+            '```'
+        ].join('\n')
+    }
+];
+
+const isMockConfig = (config) => config.endpointPreset === MOCK_PRESET;
+
+/**
+ * The key a reply is recorded and replayed under: a hash of everything the
+ * model is sent, so an edited template or option records anew.
+ */
+const recordingKey = ({ prompt, systemPrompt = DEFAULT_SYSTEM_PROMPT, partialText = '' }) =>
+    hashString([systemPrompt, prompt, partialText].join('\u0000'));
+
+/**
+ * Times a live reply as it streams in. track(fullText) goes in the onChunk
+ * path; entry() returns the recording, with each chunk stored as
+ * [ms since the request started, new text].
+ */
+const startRecording = ({ prompt, systemPrompt = DEFAULT_SYSTEM_PROMPT, partialText = '', model }) => {
+    const startedAt = Date.now();
+    const chunks = [];
+    let received = partialText;
+    return {
+        track: (text) => {
+            chunks.push([Date.now() - startedAt, text.slice(received.length)]);
+            received = text;
+        },
+        entry: () => ({
+            key: recordingKey({ prompt, systemPrompt, partialText }),
+            model,
+            recordedAt: startedAt,
+            prompt,
+            systemPrompt,
+            partialText,
+            chunks
+        })
+    };
+};
+
+// Later recordings of the same prompt replace earlier ones
+const mergeRecordings = (existing, added) => {
+    const byKey = new Map(existing.map(entry => [entry.key, entry]));
+    added.forEach(entry => byKey.set(entry.key, entry));
+    return [...byKey.values()];
+};
+
+const exportRecordings = (entries) => ({ format: RECORDING_FORMAT, version: 1, entries });
+
+/**
+ * Checks a recording file (parsed JSON) and returns its entries. Throws an
+ * Error naming the first malformed entry.
+ */
+const parseRecordings = (data) => {
+    if (!data || data.format !== RECORDING_FORMAT || !Array.isArray(data.entries)) {
+        throw new Error('Not a c2zig recording file');
+    }
+    data.entries.forEach((entry, k) => {
+        const valid = entry && typeof entry.key === 'string' && typeof entry.prompt === 'string'
+            && Array.isArray(entry.chunks)
+            && entry.chunks.every(chunk => Array.isArray(chunk) && Number.isFinite(chunk[0]) && typeof chunk[1] === 'string');
+        if (!valid) throw new Error(`Recording ${k + 1} is malformed`);
+    });
+    return data.entries;
+};
+
+// Canned responses whose match text is filled in; the rest are still being typed in
+const activeMockResponses = (responses) => (responses || []).filter(response => response.match.trim());
+
+const splitIntoChunks = (text) => {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += MOCK_CHUNK_SIZE) {
+        chunks.push([(chunks.length + 1) * MOCK_CHUNK_DELAY, text.slice(i, i + MOCK_CHUNK_SIZE)]);
+    }
+    return chunks;
+};
+
+/**
+ * What the Mock/Replay preset answers a prompt with: the latest recording of
+ * the exact request, else the first canned response whose match text the
+ * prompt contains, else the demo script. Continuations only replay
+ * recordings. Returns { source: 'recording' | 'canned' | 'demo', chunks } or
+ * null.
+ */
+const findMockReply = (prompt, { systemPrompt = DEFAULT_SYSTEM_PROMPT, partialText = '', recordings = [], responses = [] } = {}) => {
+    const key = recordingKey({ prompt, systemPrompt, partialText });
+    const recording = [...recordings].reverse().find(entry => entry.key === key && entry.prompt === prompt);
+    if (recording) return { source: 'recording', chunks: recording.chunks };
+    if (partialText) return null;
+    const canned = activeMockResponses(responses).find(response => prompt.includes(response.match.trim()));
+    if (canned) return { source: 'canned', chunks: splitIntoChunks(canned.reply) };
+    const demo = MOCK_DEMO_RESPONSES.find(response => response.match.test(prompt));
+    return demo ? { source: 'demo', chunks: splitIntoChunks(demo.reply) } : null;
+};
+
+/**
+ * Answers a request without the network, streaming the reply findMockReply
+ * picks through onChunk. With replayTiming on, chunks arrive as far apart as
+ * they were recorded. Stopping rejects with a StreamInterruptedError like a
+ * live stream does.
+ */
+const replayCompletion = async (prompt, onChunk, { config, signal, partialText = '', systemPrompt = DEFAULT_SYSTEM_PROMPT, recordings } = {}) => {
+    const reply = findMockReply(prompt, { systemPrompt, partialText, recordings, responses: config.mockResponses });
+    if (!reply) {
+        throw new Error(`${MOCK_PRESET} has no recording or canned response for this prompt (key ${recordingKey({ prompt, systemPrompt, partialText })})`);
+    }
+    let text = partialText;
+    let elapsed = 0;
+    try {
+        for (const [at, piece] of reply.chunks) {
+            await sleep(config.replayTiming === false ? 0 : Math.max(0, at - elapsed), signal);
+            elapsed = at;
+            text += piece;
+            onChunk(text);
+        }
+    } catch (err) {
+        if (!isAbortError(err)) throw err;
+        throw new StreamInterruptedError('Stopped', text, true);
+    }
+    return text;
+};
+
+/**
+ * Sends one chat request through the configured provider adapter, retrying
+ * rate limits and server errors. With partialText the model is asked to
+ * continue a reply that was cut off. Resolves with the successful Response.
+ */
+const callAPI = async (prompt, { config, systemPrompt = DEFAULT_SYSTEM_PROMPT, partialText = '', signal, onRetry } = {}) => {
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+    ];
+    if (partialText) {
+        messages.push({ role: 'assistant', content: partialText }, { role: 'user', content: CONTINUE_PROMPT });
+    }
+
+    const { headers, body } = getAdapter(config).buildRequest({
+        model: config.model,
+        messages,
+        apiKey: config.apiKey,
+        stream: config.stream !== false
+    });
+
+    const response = await fetchWithRetry(config.endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body),
+        signal
+    }, onRetry);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API Error: ${response.status} - ${errorText}`);
+    }
+
+    return response;
+};
+
+/**
+ * Requests one completion and reads it to the end, reporting the text so far
+ * through onChunk. Failures after partial output (including a continuation
+ * that fails to start) reject with a StreamInterruptedError carrying that text.
+ * The Mock/Replay preset answers from recordings and canned responses
+ * instead; for live requests, onRecord(entry) receives the timed recording of
+ * every complete reply.
+ */
+const requestCompletion = async (prompt, onChunk, { config, signal, partialText = '', systemPrompt, onRetry, recordings, onRecord } = {}) => {
+    if (isMockConfig(config)) {
+        return replayCompletion(prompt, onChunk, { config, signal, partialText, systemPrompt, recordings });
+    }
+    const recording = onRecord ? startRecording({ prompt, systemPrompt, partialText, model: config.model }) : null;
+    let response;
+    try {
+        response = await callAPI(prompt, { config, systemPrompt, partialText, signal, onRetry });
+    } catch (err) {
+        if (isAbortError(err) || partialText) {
+            throw new StreamInterruptedError(isAbortError(err) ? 'Stopped' : err.message, partialText, isAbortError(err));
+        }
+        throw err;
+    }
+    const text = await readCompletion(response, recording ? (fullText) => {
+        recording.track(fullText);
+        onChunk(fullText);
+    } : onChunk, partialText, getAdapter(config));
+    if (recording) onRecord(recording.entry());
+    return text;
+};
+
+return {
+    // Prompts and settings
+    DEFAULT_PROMPTS, FORMER_DEFAULT_PROMPT_HASHES, customizedPrompts, DEFAULT_SETTINGS, DEFAULT_SYSTEM_PROMPT, MAPPING_MARKERS_HINT, SAFETY_HINTS,
+    OPTION_VARIABLES, PROMPT_VARIABLES, TEMPLATE_VARIABLE_NAME, TEMPLATE_PARTIAL_NAME, parsePromptTemplate,
+    fillPromptTemplate, customVariableValues, promptPartialTexts, conversionVariables, renderPrompt, validatePrompt,
+    singleFilePromptKey, buildAnalysisPrompt, buildStructuredAnalysisPrompt, buildGenerationPrompt, buildDiffTestPrompt, PROFILE_FORMAT, PROFILE_FIELDS, pickProfileSettings, exportProfile,
+    parseProfile, applyProfileSettings, encodeSharePayload, decodeSharePayload,
+    // Providers and streaming
+    PRESET_ENDPOINTS, PROVIDER_ADAPTERS, getAdapter, createComparisonTarget, describeTarget, applyComparisonTarget,
+    MODEL_CONTEXT_LIMITS, DEFAULT_CONTEXT_TOKENS, CONTEXT_WARNING_RATIO, ANALYSIS_REPLY_TOKENS, resolveContextLimit, estimateTokens, estimatePromptBudget,
+    replyReserveFor, trimAnalysis, callAPI, requestCompletion, readCompletion, createSSEParser, createLineParser,
+    fetchWithRetry, StreamInterruptedError, isAbortError, MAX_RETRIES, CONTINUE_PROMPT,
+    // Mock/Replay
+    MOCK_PRESET, RECORDING_FORMAT, MOCK_DEMO_RESPONSES, isMockConfig, recordingKey, startRecording, mergeRecordings,
+    exportRecordings, parseRecordings, findMockReply, replayCompletion,
+    // Projects
+    C_SOURCE_EXTENSIONS, ZIG_RESERVED_WORDS, isCSourcePath, isHeaderPath, basename, normalizePath,
+    finalizeProjectFiles, parseIncludes, resolveInclude, buildProjectUnits, buildFileTree, formatFileTree,
+    // C analysis, chunking and mapping
+    C_KEYWORDS, SOURCE_LANGUAGES, CPP_KEYWORDS, CPP_LIKELY_WORDS, CPP_MAPPING_GUIDE, detectSourceLanguage, resolveSourceLanguage, tokenizeC, isCodeToken, scanCSafety, formatSafetyFindings, MACRO_MAPPINGS, parseDefines, evaluateCondition, preprocessC, preprocessProject, formatMacroTable, prepareSource,
+    splitTopLevelDeclarations, buildTypeSummary, stripCodeFences, stitchZigChunks,
+    ANALYSIS_CATEGORIES, STRUCTURED_ANALYSIS_SCHEMA, checkSchema, parseStructuredAnalysis, formatStructuredPlan,
+    extractCSymbols, extractZigSymbols, matchSymbols,
+    // Zig versions
+    ZIG_VERSIONS, ZIG_API_RULES, zigApiNotes, maskZigSource, checkZigVersion,
+    // Generated output
+    extractZigOutput, ZIG_POLICY_RULES, lintZigOutput, MAPPING_RULE_NAME, formatMappingRules, checkMappingRules, buildZigProjectScaffold,
+    // Differential tests
+    DIFF_TEST_VALUES, DIFF_CASES_PER_FUNCTION, parseCFunctionSignature, listDiffTestFunctions, buildDiffCases, formatDiffCases,
+    diffTestFileNames, diffTestCommands, extractHarnessPair,
+    // Diffs
+    diffLines, summarizeDiff, hashString
+};
+
+});
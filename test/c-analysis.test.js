@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeC, scanCSafety, splitTopLevelDeclarations, stitchZigChunks } = require('../c2zig-core.js');
+
+test('tokenizeC keeps comments, strings and directives whole', () => {
+    const tokens = tokenizeC('int x = 0x1f; // note\n#define A 1\nchar *s = "a\\"b";');
+    assert.deepEqual(tokens.map(t => `${t.type}:${t.value}`), [
+        'keyword:int', 'identifier:x', 'operator:=', 'number:0x1f', 'punct:;', 'comment:// note',
+        'preprocessor:#define A 1',
+        'keyword:char', 'operator:*', 'identifier:s', 'operator:=', 'string:"a\\"b"', 'punct:;'
+    ]);
+    assert.deepEqual(tokens.map(t => t.line), [1, 1, 1, 1, 1, 1, 2, 3, 3, 3, 3, 3, 3]);
+});
+
+test('tokenizeC counts lines inside block comments and continued directives', () => {
+    const tokens = tokenizeC('/* a\nb */\n#define F(x) \\\n    (x)\nint y;');
+    assert.equal(tokens.find(t => t.value === 'int').line, 5);
+});
+
+test('scanCSafety flags unsafe string calls, fixed buffers and leaks by line', () => {
+    const findings = scanCSafety([
+        'int f(char *s) {',
+        '    char buf[16];',
+        '    strcpy(buf, s);',
+        '    char *p = malloc(10);',
+        '    return 0;',
+        '}'
+    ].join('\n'));
+    assert.deepEqual(findings.map(f => [f.line, f.rule, f.severity]), [
+        [2, 'fixed-buffer', 'medium'],
+        [3, 'unsafe-string', 'high'],
+        [4, 'malloc-free', 'medium']
+    ]);
+});
+
+test('scanCSafety ignores calls in comments and strings', () => {
+    assert.deepEqual(scanCSafety('/* strcpy(a, b); */\nconst char *s = "gets(x)";\n'), []);
+});
+
+test('splitTopLevelDeclarations splits functions, types and directives with their lines', () => {
+    const chunks = splitTopLevelDeclarations([
+        '#include <string.h>',
+        'int f(void) {',
+        '    return 1;',
+        '}',
+        '/* point */',
+        'struct P { int x; };'
+    ].join('\n'));
+    assert.deepEqual(chunks.map(c => [c.kind, c.name, c.startLine, c.endLine]), [
+        ['preprocessor', '', 1, 1],
+        ['function', 'f', 2, 4],
+        ['type', 'P', 5, 6]
+    ]);
+});
+
+test('splitTopLevelDeclarations keeps a declaration that is still being typed', () => {
+    const split = (source) => splitTopLevelDeclarations(source).map(c => [c.kind, c.name, c.startLine, c.endLine]);
+    assert.deepEqual(split('int x'), [['global', 'x', 1, 1]]);
+    assert.deepEqual(split('int a;\nint x'), [['global', 'a', 1, 1], ['global', 'x', 2, 2]]);
+    assert.deepEqual(split('int f(void) {}\n}'), [['function', 'f', 1, 1], ['global', '', 2, 2]]);
+});
+
+test('splitTopLevelDeclarations keeps an #if around a function header with the function', () => {
+    const chunks = splitTopLevelDeclarations([
+        '#include <stdio.h>',
+        '#ifdef WIDE',
+        'long f(long x)',
+        '#else',
+        'int f(int x)',
+        '#endif',
+        '{',
+        '    return x;',
+        '}',
+        '#ifdef DEBUG',
+        'int g(void) { return 1; }',
+        '#endif'
+    ].join('\n'));
+    assert.deepEqual(chunks.map(c => [c.kind, c.name, c.startLine, c.endLine]), [
+        ['preprocessor', '', 1, 1],
+        ['function', 'f', 2, 9],
+        ['preprocessor', '', 10, 10],
+        ['function', 'g', 11, 11],
+        ['preprocessor', '', 12, 12]
+    ]);
+    assert.match(chunks[1].text, /^#ifdef WIDE\n[\s\S]*#endif\n\{/);
+});
+
+test('splitTopLevelDeclarations treats a C++ class as a type', () => {
+    const chunks = splitTopLevelDeclarations('class A {\npublic:\n    int x;\n};\nclass B : public A { };');
+    assert.deepEqual(chunks.map(c => [c.kind, c.name, c.startLine, c.endLine]), [['type', 'A', 1, 4], ['type', 'B', 5, 5]]);
+});
+
+test('stitchZigChunks keeps one copy of each import', () => {
+    const code = stitchZigChunks([
+        { zigCode: '```zig\nconst std = @import("std");\npub fn a() void {}\n```' },
+        { zigCode: '```zig\nconst std = @import("std");\npub fn b() void {}\n```' }
+    ]);
+    assert.equal(code.match(/@import\("std"\)/g).length, 1);
+    assert.match(code, /pub fn a\(\) void \{\}[\s\S]*pub fn b\(\) void \{\}/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, createComparisonTarget, describeTarget, applyComparisonTarget } = require('../c2zig-core.js');
+
+const settings = { ...DEFAULT_SETTINGS, endpointPreset: 'Custom', endpoint: 'http://localhost:8080/v1/chat/completions', model: 'local', apiKey: 'k', adapter: 'openai', stream: true };
+
+test('createComparisonTarget copies only the connection with a fresh id', () => {
+    const first = createComparisonTarget(settings);
+    const second = createComparisonTarget(settings);
+    assert.notEqual(first.id, second.id);
+    const { id, ...connection } = first;
+    assert.deepEqual(connection, { endpointPreset: 'Custom', endpoint: settings.endpoint, apiKey: 'k', model: 'local', adapter: 'openai', stream: true });
+});
+
+test('describeTarget names the preset, or the host of a custom endpoint', () => {
+    assert.equal(describeTarget({ endpointPreset: 'Ollama (local)', model: 'llama3' }), 'llama3 · Ollama (local)');
+    assert.equal(describeTarget({ endpointPreset: 'Custom', endpoint: 'https://api.example.com:8443/v1', model: 'm' }), 'm · api.example.com:8443');
+    assert.equal(describeTarget({ endpointPreset: 'Custom', endpoint: 'not a url', model: 'm' }), 'm');
+});
+
+test('applyComparisonTarget swaps in the connection and keeps the rest', () => {
+    const target = { ...createComparisonTarget(settings), model: 'other', adapter: 'ollama' };
+    const applied = applyComparisonTarget({ ...settings, safetyLevel: 'strict' }, target);
+    assert.equal(applied.model, 'other');
+    assert.equal(applied.adapter, 'ollama');
+    assert.equal(applied.safetyLevel, 'strict');
+    assert.equal(applied.id, undefined);
+});
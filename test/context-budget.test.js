@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, estimatePromptBudget, resolveContextLimit, replyReserveFor, trimAnalysis } = require('../c2zig-core.js');
+
+test('estimateTokens counts words, numbers, symbols and line breaks', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcdefgh 1234'), 4);
+    assert.equal(estimateTokens('int main(void) {\n    return 42;\n}'), 14);
+});
+
+test('resolveContextLimit prefers the setting, then the preset, then the model', () => {
+    assert.deepEqual(resolveContextLimit({ contextLimit: 5000, model: 'gpt-4o' }), { tokens: 5000, source: 'setting' });
+    assert.deepEqual(resolveContextLimit({ endpointPreset: 'Ollama (local)', model: 'gpt-4o' }), { tokens: 4096, source: 'Ollama (local)' });
+    assert.deepEqual(resolveContextLimit({ model: 'gpt-4o-mini' }), { tokens: 128000, source: 'gpt-4o-mini' });
+    assert.deepEqual(resolveContextLimit({ model: 'unknown-model' }), { tokens: 8192, source: 'default' });
+});
+
+test('estimatePromptBudget splits the prompt into parts and rates it', () => {
+    assert.deepEqual(estimatePromptBudget('abcd abcd abcd abcd', { limit: 10, reserve: 2, parts: { code: 'abcd abcd' } }), {
+        promptTokens: 4, reserve: 2, total: 6, limit: 10, parts: { code: 2, template: 2 }, status: 'ok'
+    });
+    assert.equal(estimatePromptBudget('abcd abcd abcd abcd', { limit: 10, reserve: 5 }).status, 'warn');
+    assert.equal(estimatePromptBudget('abcd abcd abcd abcd', { limit: 10, reserve: 7 }).status, 'over');
+});
+
+test('replyReserveFor never reserves less than 1024 tokens', () => {
+    assert.equal(replyReserveFor('int x;'), 1024);
+    assert.equal(replyReserveFor('abcd '.repeat(1000)), 1500);
+});
+
+test('trimAnalysis drops code blocks, then lines from the longest section', () => {
+    const analysis = '# A\n- one\n- two\n- three\n# B\n- x\n```c\nint x;\n```\n';
+    assert.equal(trimAnalysis(analysis, 40), '# A\n- one\n- two\n- three\n# B\n- x');
+    assert.equal(trimAnalysis(analysis, 16), '# A\n- one\n- two\n\n# B\n- x\n\n(Plan trimmed to fit the model\'s context.)');
+    assert.equal(trimAnalysis(analysis, 12), '# A\n- one\n\n# B\n- x\n\n(Plan trimmed to fit the model\'s context.)');
+});
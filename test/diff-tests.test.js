@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listDiffTestFunctions, buildDiffCases, formatDiffCases, diffTestFileNames } = require('../c2zig-core.js');
+
+const source = [
+    'int neg(bool b) { return !b; }',
+    'int add(int a, int b) { return a + b; }',
+    'int both(bool a, bool b) { return a && b; }',
+    'int none(void) { return 1; }',
+    'int pick(bool f, int x) { return f ? x : 0; }',
+    'int f(char *s) { return 0; }',
+    'struct P h(int x) { }',
+    'int main(void) { return 0; }'
+].join('\n');
+
+test('listDiffTestFunctions explains why a function cannot be tested', () => {
+    const functions = listDiffTestFunctions(source);
+    assert.deepEqual(functions.map(fn => fn.name), ['neg', 'add', 'both', 'none', 'pick', 'f', 'h']);
+    assert.deepEqual(functions.filter(fn => fn.reason).map(fn => [fn.name, fn.reason]), [['f', 'takes char *'], ['h', 'returns struct P']]);
+    assert.deepEqual(functions[1].params.map(param => param.kind), ['int', 'int']);
+    assert.equal(functions[3].signature, 'int none(void)');
+});
+
+test('listDiffTestFunctions lists the finished functions of C that is still being typed', () => {
+    assert.deepEqual(listDiffTestFunctions('int x'), []);
+    assert.deepEqual(listDiffTestFunctions('int f(void) { return 0; }\n}').map(fn => fn.name), ['f']);
+    assert.deepEqual(listDiffTestFunctions('int add(int a, int b) { return a + b; }\nint x').map(fn => fn.name), ['add']);
+    assert.deepEqual(listDiffTestFunctions('int add(int a, int b) { return a +'), []);
+});
+
+test('buildDiffCases rotates the sample values across the parameters', () => {
+    const [, add, , none] = listDiffTestFunctions(source);
+    assert.equal(formatDiffCases(buildDiffCases([add, none])), [
+        '1: add(0, 1) → int',
+        '2: add(1, -1) → int',
+        '3: add(-1, 7) → int',
+        '4: add(7, -42) → int',
+        '5: none() → int'
+    ].join('\n'));
+    assert.equal(buildDiffCases([add], 6).length, 6);
+});
+
+test('buildDiffCases never repeats an argument list', () => {
+    const functions = listDiffTestFunctions(source).filter(fn => !fn.reason);
+    assert.equal(formatDiffCases(buildDiffCases(functions)), [
+        '1: neg(0) → int',
+        '2: neg(1) → int',
+        '3: add(0, 1) → int',
+        '4: add(1, -1) → int',
+        '5: add(-1, 7) → int',
+        '6: add(7, -42) → int',
+        '7: both(0, 1) → int',
+        '8: both(1, 0) → int',
+        '9: none() → int',
+        '10: pick(0, 1) → int',
+        '11: pick(1, -1) → int',
+        '12: pick(0, 7) → int',
+        '13: pick(1, -42) → int'
+    ].join('\n'));
+});
+
+test('buildDiffCases takes more cases when asked, up to the distinct ones', () => {
+    const [neg, add] = listDiffTestFunctions(source);
+    assert.equal(buildDiffCases([add], 6).length, 6);
+    assert.equal(buildDiffCases([neg], 6).length, 2);
+    const keys = buildDiffCases([add], 6).map(c => c.args.join());
+    assert.equal(new Set(keys).size, keys.length);
+});
+
+test('diffTestFileNames names the files after the Zig output', () => {
+    assert.deepEqual(diffTestFileNames('src/out.zig', 'in.c'), {
+        cFile: 'in.c',
+        zigFile: 'src/out.zig',
+        harness: 'src/out_harness.c',
+        test: 'src/out_diff_test.zig',
+        expected: 'src/out_expected.txt'
+    });
+});
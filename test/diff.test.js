@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, summarizeDiff } = require('../c2zig-core.js');
+
+test('diffLines marks changed lines and numbers both sides', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nx\nc'), [
+        { type: 'same', text: 'a', oldLine: 1, newLine: 1 },
+        { type: 'del', text: 'b', oldLine: 2 },
+        { type: 'add', text: 'x', newLine: 2 },
+        { type: 'same', text: 'c', oldLine: 3, newLine: 3 }
+    ]);
+});
+
+test('diffLines finds insertions between unchanged lines', () => {
+    const diff = diffLines('a\nb\nc\nd', 'a\nb\nnew\nc\nd');
+    assert.deepEqual(diff.filter(line => line.type !== 'same'), [{ type: 'add', text: 'new', newLine: 3 }]);
+});
+
+test('summarizeDiff counts added and removed lines', () => {
+    assert.deepEqual(summarizeDiff(diffLines('a\nb', 'a\nc\nd')), { added: 2, removed: 1 });
+    assert.deepEqual(summarizeDiff(diffLines('same', 'same')), { added: 0, removed: 0 });
+});
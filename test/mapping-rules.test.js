@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatMappingRules, checkMappingRules } = require('../c2zig-core.js');
+
+const rules = [
+    { name: 'my_str_t', zig: '[]const u8', notes: 'slice' },
+    { name: 'bad name', zig: 'x' },
+    { name: 'u32_t', zig: '' },
+    { name: 'unused_t', zig: 'u8' }
+];
+const cSource = 'typedef char *my_str_t;\nmy_str_t s;';
+
+test('formatMappingRules lists only complete rules', () => {
+    assert.equal(formatMappingRules(rules), '- my_str_t → []const u8 (slice)\n- unused_t → u8');
+    assert.equal(formatMappingRules(undefined), '');
+});
+
+test('checkMappingRules flags own conversions, leftover C names and a missing target', () => {
+    const zig = 'const MyStr = []u8;\nvar s: my_str_t = undefined;\n// my_str_t in a comment\n';
+    assert.deepEqual(checkMappingRules(cSource, zig, rules).map(f => [f.line, f.severity, f.message]), [
+        [1, 'medium', 'MyStr looks like its own conversion of my_str_t; the mapping rules map it to []const u8'],
+        [1, 'low', 'The C code uses my_str_t, but []const u8 from the mapping rules never appears'],
+        [2, 'medium', 'my_str_t is used as is; the mapping rules map it to []const u8']
+    ]);
+});
+
+test('checkMappingRules accepts an alias of the mapped construct', () => {
+    assert.deepEqual(checkMappingRules(cSource, 'const my_str_t = []const u8;\nvar s: []const u8 = "";\n', rules), []);
+});
+
+test('checkMappingRules skips rules the C code does not use and empty output', () => {
+    assert.deepEqual(checkMappingRules('int x;', 'const x: i32 = 0;', rules), []);
+    assert.deepEqual(checkMappingRules(cSource, '  ', rules), []);
+});
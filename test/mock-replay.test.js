@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_PROMPTS, DEFAULT_SETTINGS, MOCK_PRESET, buildAnalysisPrompt, recordingKey, startRecording, mergeRecordings,
+    exportRecordings, parseRecordings, findMockReply, requestCompletion, StreamInterruptedError
+} = require('../c2zig-core.js');
+
+const mockConfig = { ...DEFAULT_SETTINGS, endpointPreset: MOCK_PRESET, replayTiming: false, mockResponses: [] };
+
+test('recordingKey changes with anything sent to the model', () => {
+    const key = recordingKey({ prompt: 'p' });
+    assert.match(key, /^[0-9a-f]{8}$/);
+    assert.equal(recordingKey({ prompt: 'p' }), key);
+    assert.notEqual(recordingKey({ prompt: 'p', systemPrompt: 'other' }), key);
+    assert.notEqual(recordingKey({ prompt: 'p', partialText: 'so far' }), key);
+});
+
+test('startRecording stores only the new text of each chunk', () => {
+    const recording = startRecording({ prompt: 'p', partialText: 'ab', model: 'm' });
+    recording.track('abc');
+    recording.track('abcde');
+    const entry = recording.entry();
+    assert.equal(entry.key, recordingKey({ prompt: 'p', partialText: 'ab' }));
+    assert.deepEqual(entry.chunks.map(chunk => chunk[1]), ['c', 'de']);
+    assert.ok(entry.chunks.every(chunk => Number.isFinite(chunk[0])));
+});
+
+test('mergeRecordings keeps the latest recording of each prompt', () => {
+    const merged = mergeRecordings([{ key: 'a', n: 1 }, { key: 'b', n: 1 }], [{ key: 'a', n: 2 }]);
+    assert.deepEqual(merged, [{ key: 'a', n: 2 }, { key: 'b', n: 1 }]);
+});
+
+test('parseRecordings round-trips an export and names a malformed entry', () => {
+    const entries = [{ key: 'k', prompt: 'p', chunks: [[0, 'x']] }];
+    assert.deepEqual(parseRecordings(JSON.parse(JSON.stringify(exportRecordings(entries)))), entries);
+    assert.throws(() => parseRecordings({ format: 'other', entries: [] }), /Not a c2zig recording file/);
+    assert.throws(() => parseRecordings(exportRecordings([...entries, { key: 'k', prompt: 'p', chunks: [['0', 'x']] }])), /Recording 2 is malformed/);
+});
+
+test('findMockReply prefers recordings, then canned responses, then the demo', () => {
+    const prompt = buildAnalysisPrompt({ ...DEFAULT_SETTINGS, prompts: DEFAULT_PROMPTS }, 'int main(void) { return 0; }');
+    const recorded = { key: recordingKey({ prompt }), prompt, chunks: [[5, 'recorded']] };
+    const responses = [{ match: '   ', reply: 'blank match' }, { match: 'int main', reply: 'canned' }];
+    assert.deepEqual(findMockReply(prompt, { recordings: [recorded], responses }), { source: 'recording', chunks: [[5, 'recorded']] });
+    assert.equal(findMockReply(prompt, { responses }).source, 'canned');
+    assert.equal(findMockReply(prompt).source, 'demo');
+    assert.equal(findMockReply(prompt, { partialText: 'cut' }), null);
+});
+
+test('requestCompletion replays a recording through the Mock/Replay preset', async () => {
+    const prompt = 'Convert this';
+    const recordings = [{ key: recordingKey({ prompt }), prompt, chunks: [[0, 'Hel'], [10, 'lo']] }];
+    const seen = [];
+    const text = await requestCompletion(prompt, t => seen.push(t), { config: mockConfig, recordings });
+    assert.equal(text, 'Hello');
+    assert.deepEqual(seen, ['Hel', 'Hello']);
+    await assert.rejects(requestCompletion('nothing matches this', () => {}, { config: mockConfig }), /has no recording or canned response/);
+});
+
+test('stopping a replay keeps the text so far', async () => {
+    const prompt = 'slow';
+    const recordings = [{ key: recordingKey({ prompt }), prompt, chunks: [[0, 'a'], [60000, 'b']] }];
+    const controller = new AbortController();
+    const pending = requestCompletion(prompt, () => controller.abort(), { config: { ...mockConfig, replayTiming: true }, recordings, signal: controller.signal });
+    await assert.rejects(pending, err => err instanceof StreamInterruptedError && err.aborted && err.partialText === 'a');
+});
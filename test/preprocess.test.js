@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDefines, evaluateCondition, preprocessC, preprocessProject, formatMacroTable } = require('../c2zig-core.js');
+
+const macroMap = (text) => new Map(parseDefines(text).map(macro => [macro.name, macro]));
+
+test('parseDefines takes names and values with an optional -D prefix', () => {
+    assert.deepEqual(parseDefines('-DLINUX, VERSION=3\nEXPR=a=b\nbad name'), [
+        { name: 'LINUX', params: null, body: '1' },
+        { name: 'VERSION', params: null, body: '3' },
+        { name: 'EXPR', params: null, body: 'a=b' }
+    ]);
+});
+
+test('evaluateCondition follows C precedence, defined and unknown names', () => {
+    const macros = macroMap('LINUX\nVERSION=3');
+    assert.equal(evaluateCondition('defined(LINUX) && VERSION >= 2 ? 0x10 : 0', macros), 16);
+    assert.equal(evaluateCondition('!defined WIN32 && (1 << 3) % 5 == 3', macros), 1);
+    assert.equal(evaluateCondition('UNKNOWN + 1', macros), 1);
+    assert.throws(() => evaluateCondition('__has_include(<x.h>)', macros), /needs the real compiler/);
+    assert.throws(() => evaluateCondition('1 / 0', macros), /division by zero/);
+});
+
+test('preprocessC blanks branches not taken and keeps line numbers', () => {
+    const source = '#define A 1\n#if A\nint a;\n#elif B\nint b;\n#else\nint c;\n#endif\n#if FOO(1)\nx\n#endif';
+    const result = preprocessC(source, [{ name: 'B', params: null, body: '1' }]);
+    assert.equal(result.source, '#define A 1\n\nint a;\n\n\n\n\n\n\n\n');
+    assert.equal(result.source.split('\n').length, source.split('\n').length);
+    assert.equal(result.inactiveLines, 3);
+    assert.deepEqual(result.problems, [{ line: 9, message: '#if FOO(1): FOO() needs the real compiler; treated as false' }]);
+});
+
+test('preprocessC classifies macros and lists active includes', () => {
+    const result = preprocessC([
+        '#ifndef GUARD_H',
+        '#define GUARD_H',
+        '#define T unsigned long',
+        '#define MAX(a, b) ((a) > (b) ? (a) : (b))',
+        '#define N (4 * sizeof(int))',
+        '#define E x = 1',
+        '#define FLAG',
+        '#define LONG 1 + \\',
+        '  2',
+        '#include <stdio.h>',
+        '#include "a.h"',
+        '#endif'
+    ].join('\n'));
+    assert.deepEqual(result.macros.map(macro => [macro.name, macro.kind, macro.line]), [
+        ['T', 'type', 3],
+        ['MAX', 'function', 4],
+        ['N', 'constant', 5],
+        ['E', 'expression', 6],
+        ['FLAG', 'flag', 7],
+        ['LONG', 'constant', 8]
+    ]);
+    assert.deepEqual(result.includes, [
+        { line: 10, path: 'stdio.h', system: true },
+        { line: 11, path: 'a.h', system: false }
+    ]);
+    assert.match(formatMacroTable(result.macros), /^- T = unsigned long \(line 3; type → Zig type alias\)$/m);
+});
+
+test('preprocessProject resolves source files with the macros of their headers', () => {
+    const [source, header] = preprocessProject([
+        { path: 'a.c', content: '#include "a.h"\n#if LIMIT > 8\nint big;\n#else\nint small;\n#endif\n' },
+        { path: 'a.h', content: '#ifndef A_H\n#define A_H\n#define LIMIT 10\n#endif\n' }
+    ]);
+    assert.equal(source.source, '#include "a.h"\n\nint big;\n\n\n\n');
+    assert.deepEqual(source.macros, []);
+    assert.deepEqual(header.macros.map(macro => [macro.name, macro.path, macro.line]), [['LIMIT', 'a.h', 3]]);
+});
+
+test('preprocessProject keeps guarded defaults of headers', () => {
+    const [header, main] = preprocessProject([
+        { path: 'cfg.h', content: '#ifndef CFG_H\n#define CFG_H\n#ifndef BUF_SIZE\n#define BUF_SIZE 256\n#endif\n#define SEP ","\n#endif\n' },
+        { path: 'main.c', content: '#include "cfg.h"\n#ifdef BUF_SIZE\nchar buf[BUF_SIZE];\n#endif\n' }
+    ]);
+    assert.deepEqual(header.macros.map(macro => [macro.name, macro.path]), [['BUF_SIZE', 'cfg.h'], ['SEP', 'cfg.h']]);
+    assert.match(header.source, /#define BUF_SIZE 256/);
+    assert.deepEqual(main.macros, []);
+    assert.match(main.source, /char buf\[BUF_SIZE\];/);
+});
+
+test('preprocessProject gives each file only the macros of what it includes', () => {
+    const results = preprocessProject([
+        { path: 'src/main.c', content: '#include "api.h"\n#if defined(FEATURE) && LEVEL > 1\nint on;\n#endif\n' },
+        { path: 'src/other.c', content: '#ifdef FEATURE\nint on;\n#endif\n' },
+        { path: 'include/api.h', content: '#include "config.h"\n#define LEVEL 2\n' },
+        { path: 'include/config.h', content: '#define FEATURE\n#include "api.h"\n' }
+    ], parseDefines('DEBUG'));
+    const byPath = Object.fromEntries(results.map(result => [result.path, result]));
+    assert.deepEqual(results.map(result => result.path), ['src/main.c', 'src/other.c', 'include/api.h', 'include/config.h']);
+    assert.match(byPath['src/main.c'].source, /int on;/);
+    assert.doesNotMatch(byPath['src/other.c'].source, /int on;/);
+    assert.deepEqual(byPath['include/api.h'].macros.map(macro => macro.name), ['LEVEL']);
+    assert.deepEqual(byPath['include/config.h'].macros.map(macro => macro.name), ['FEATURE']);
+});
+
+test('preprocessProject ignores includes in branches that are not taken', () => {
+    const [source] = preprocessProject([
+        { path: 'a.c', content: '#ifdef _WIN32\n#include "win.h"\n#endif\n#ifdef WINONLY\nint win_only;\n#endif\n' },
+        { path: 'win.h', content: '#define WINONLY 1\n' }
+    ]);
+    assert.doesNotMatch(source.source, /win_only/);
+    assert.deepEqual(source.includes, []);
+});
+
+test('preprocessProject defines header macros from the #include line on', () => {
+    const [source] = preprocessProject([
+        { path: 'a.c', content: '#ifdef LIMIT\nint early;\n#endif\n#include "a.h"\n#ifdef LIMIT\nint late;\n#endif\n' },
+        { path: 'a.h', content: '#define LIMIT 10\n' }
+    ]);
+    assert.doesNotMatch(source.source, /early/);
+    assert.match(source.source, /int late;/);
+});
+
+test('preprocessC passes each active quoted include to includeMacros', () => {
+    const asked = [];
+    const result = preprocessC('#include <stdio.h>\n#include "cfg.h"\n#if SIZE > 4\nint big;\n#endif\n', [], (path) => {
+        asked.push(path);
+        return [{ name: 'SIZE', params: null, body: '8' }];
+    });
+    assert.deepEqual(asked, ['cfg.h']);
+    assert.match(result.source, /int big;/);
+    assert.deepEqual(result.macros, []);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_PROMPTS, DEFAULT_SETTINGS, customizedPrompts, exportProfile, parseProfile, applyProfileSettings,
+    encodeSharePayload, decodeSharePayload
+} = require('../c2zig-core.js');
+
+const settings = {
+    ...DEFAULT_SETTINGS,
+    apiKey: 'sk-secret',
+    model: 'test-model',
+    prompts: { ...DEFAULT_PROMPTS, generation: 'My generation prompt {{CODE}}' }
+};
+
+test('customizedPrompts keeps only templates that differ from the defaults', () => {
+    assert.deepEqual(customizedPrompts(settings.prompts), { generation: 'My generation prompt {{CODE}}' });
+    assert.deepEqual(customizedPrompts(undefined), {});
+});
+
+test('customizedPrompts drops stored copies of former defaults', () => {
+    const baseline = require('./fixtures/baseline-prompts.json');
+    assert.deepEqual(customizedPrompts({ ...baseline, repair: 'My repair prompt' }), { repair: 'My repair prompt' });
+});
+
+test('exportProfile leaves out the API key and default prompts', () => {
+    const profile = exportProfile('Work', settings);
+    assert.equal(profile.format, 'c2zig-profile');
+    assert.equal(profile.settings.apiKey, undefined);
+    assert.equal(profile.settings.model, 'test-model');
+    assert.deepEqual(profile.settings.prompts, { generation: 'My generation prompt {{CODE}}' });
+});
+
+test('parseProfile round-trips an export and drops unknown fields', () => {
+    const exported = exportProfile('  Work  ', settings);
+    const parsed = parseProfile({ ...exported, settings: { ...exported.settings, apiKey: 'leak', extra: 1 } });
+    assert.equal(parsed.name, 'Work');
+    assert.equal(parsed.settings.apiKey, undefined);
+    assert.equal(parsed.settings.extra, undefined);
+    assert.deepEqual(parsed.settings, exported.settings);
+});
+
+test('parseProfile rejects other files and fields of the wrong type', () => {
+    assert.throws(() => parseProfile({ format: 'other', settings: {} }), /Not a c2zig profile/);
+    assert.throws(() => parseProfile({ format: 'c2zig-profile', settings: { stream: 'yes' } }), /"stream"/);
+    assert.throws(() => parseProfile({ format: 'c2zig-profile', settings: { safetyLevel: 'reckless' } }), /"safetyLevel"/);
+    assert.throws(() => parseProfile({ format: 'c2zig-profile', settings: { prompts: { unknownPrompt: 'x' } } }), /"prompts"/);
+});
+
+test('applyProfileSettings falls back to the default prompts', () => {
+    const applied = applyProfileSettings({ ...settings, prompts: { ...DEFAULT_PROMPTS, analysis: 'old custom' } }, { model: 'm2', prompts: {} });
+    assert.equal(applied.model, 'm2');
+    assert.equal(applied.apiKey, 'sk-secret');
+    assert.deepEqual(applied.prompts, DEFAULT_PROMPTS);
+});
+
+test('share payloads survive non-ASCII text and reject damaged links', () => {
+    const payload = { name: 'Zig → ünïcode', settings: { model: 'm' } };
+    const encoded = encodeSharePayload(payload);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeSharePayload(encoded), payload);
+    assert.throws(() => decodeSharePayload(encoded.slice(0, 10)), /damaged/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isCSourcePath, parseIncludes, resolveInclude, buildProjectUnits } = require('../c2zig-core.js');
+
+const files = [
+    { path: 'src/a.c', content: '#include "a.h"\n#include <stdio.h>\nint f(void) { return 1; }\n' },
+    { path: 'src/a.h', content: 'int f(void);\n' },
+    { path: 'main.c', content: '#include "src/a.h"\nint main(void) { return f(); }\n' }
+];
+
+test('isCSourcePath takes C and C++ sources outside hidden folders', () => {
+    assert.equal(isCSourcePath('src/a.c'), true);
+    assert.equal(isCSourcePath('include/b.HPP'), true);
+    assert.equal(isCSourcePath('.git/x.c'), false);
+    assert.equal(isCSourcePath('README.md'), false);
+});
+
+test('parseIncludes lists quoted includes only', () => {
+    assert.deepEqual(parseIncludes(files[0].content), ['a.h']);
+});
+
+test('resolveInclude looks next to the including file, then from the root', () => {
+    const paths = files.map(f => f.path);
+    assert.equal(resolveInclude('src/a.c', 'a.h', paths), 'src/a.h');
+    assert.equal(resolveInclude('main.c', 'src/a.h', paths), 'src/a.h');
+    assert.equal(resolveInclude('main.c', 'missing.h', paths), null);
+});
+
+test('buildProjectUnits pairs headers with their sources and records dependencies', () => {
+    assert.deepEqual(buildProjectUnits(files), [
+        { name: 'a', zigFile: 'a.zig', files: ['src/a.h', 'src/a.c'], deps: [] },
+        { name: 'main', zigFile: 'main.zig', files: ['main.c'], deps: ['a'] }
+    ]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROVIDER_ADAPTERS, getAdapter, readCompletion } = require('../c2zig-core.js');
+
+const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Convert this' }
+];
+
+const streamResponse = (text, contentType) => new Response(text, { headers: { 'Content-Type': contentType } });
+
+test('getAdapter falls back to the OpenAI-compatible adapter', () => {
+    assert.equal(getAdapter({ adapter: 'ollama' }), PROVIDER_ADAPTERS.ollama);
+    assert.equal(getAdapter({ adapter: 'unknown' }), PROVIDER_ADAPTERS.openai);
+    assert.equal(getAdapter({}), PROVIDER_ADAPTERS.openai);
+});
+
+test('the OpenAI adapter sends a bearer token only when there is a key', () => {
+    const { buildRequest } = PROVIDER_ADAPTERS.openai;
+    assert.deepEqual(buildRequest({ model: 'm', messages, apiKey: 'k', stream: true }), {
+        headers: { 'Authorization': 'Bearer k' },
+        body: { model: 'm', messages, stream: true }
+    });
+    assert.deepEqual(buildRequest({ model: 'm', messages, apiKey: '', stream: false }).headers, {});
+});
+
+test('the Anthropic adapter moves the system prompt out of the messages', () => {
+    const { headers, body } = PROVIDER_ADAPTERS.anthropic.buildRequest({ model: 'claude', messages, apiKey: 'k', stream: true });
+    assert.equal(headers['x-api-key'], 'k');
+    assert.equal(headers['anthropic-version'], '2023-06-01');
+    assert.equal(body.system, 'Be brief.');
+    assert.deepEqual(body.messages, [{ role: 'user', content: 'Convert this' }]);
+    assert.equal(body.stream, true);
+});
+
+test('the llama.cpp adapter sends the chat as one text prompt', () => {
+    const { body } = PROVIDER_ADAPTERS.llamacpp.buildRequest({ messages, apiKey: '', stream: false });
+    assert.equal(body.prompt, '### System:\nBe brief.\n\n### User:\nConvert this\n\n### Assistant:\n');
+    assert.equal(body.stream, false);
+});
+
+test('each adapter reads its own stream events and replies', () => {
+    assert.deepEqual(PROVIDER_ADAPTERS.openai.parseEvent({ choices: [{ delta: { content: 'a' } }] }), { text: 'a' });
+    assert.deepEqual(PROVIDER_ADAPTERS.anthropic.parseEvent({ type: 'content_block_delta', delta: { text: 'b' } }), { text: 'b', done: false });
+    assert.deepEqual(PROVIDER_ADAPTERS.anthropic.parseEvent({ type: 'message_stop' }), { text: '', done: true });
+    assert.deepEqual(PROVIDER_ADAPTERS.ollama.parseEvent({ message: { content: 'c' }, done: false }), { text: 'c', done: false });
+    assert.deepEqual(PROVIDER_ADAPTERS.llamacpp.parseEvent({ content: '', stop: true }), { text: '', done: true });
+
+    assert.equal(PROVIDER_ADAPTERS.openai.parseResponse({ choices: [{ text: 'legacy' }] }), 'legacy');
+    assert.equal(PROVIDER_ADAPTERS.anthropic.parseResponse({ content: [{ type: 'text', text: 'x' }, { type: 'tool_use' }, { type: 'text', text: 'y' }] }), 'xy');
+    assert.equal(PROVIDER_ADAPTERS.ollama.parseResponse({}), '');
+    assert.equal(PROVIDER_ADAPTERS.llamacpp.parseResponse({ content: 'z' }), 'z');
+});
+
+test('readCompletion streams Anthropic and llama.cpp replies up to their stop events', async () => {
+    const anthropic = [
+        'event: message_start\ndata: {"type":"message_start"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"Hi"}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ].join('');
+    assert.equal(await readCompletion(streamResponse(anthropic, 'text/event-stream'), () => {}, '', PROVIDER_ADAPTERS.anthropic), 'Hi');
+    const llamacpp = 'data: {"content":"A"}\n\ndata: {"content":"B","stop":true}\n\n';
+    assert.equal(await readCompletion(streamResponse(llamacpp, 'text/event-stream'), () => {}, '', PROVIDER_ADAPTERS.llamacpp), 'AB');
+});
+
+test('readCompletion takes a non-streaming reply through the adapter', async () => {
+    const reply = streamResponse(JSON.stringify({ content: [{ type: 'text', text: 'whole' }] }), 'application/json');
+    const seen = [];
+    assert.equal(await readCompletion(reply, t => seen.push(t), '', PROVIDER_ADAPTERS.anthropic), 'whole');
+    assert.deepEqual(seen, ['whole']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildZigProjectScaffold } = require('../c2zig-core.js');
+
+const fileAt = (files, path) => files.find(file => file.path === path).content;
+
+test('a module with main becomes an executable in src/main.zig', () => {
+    const files = buildZigProjectScaffold({
+        name: 'app',
+        modules: [{ zigFile: 'app.zig', zigCode: 'pub fn main() void {}\n' }],
+        analysis: 'The plan',
+        zigVersion: '0.12',
+        generateTests: false
+    });
+    assert.deepEqual(files.map(file => file.path), ['build.zig', 'build.zig.zon', 'src/main.zig', 'README.md']);
+    const build = fileAt(files, 'build.zig');
+    assert.match(build, /b\.addExecutable\(/);
+    assert.match(build, /\.root_source_file = \.\{ \.path = "src\/main\.zig" \}/);
+    assert.match(build, /b\.step\("run"/);
+    assert.match(fileAt(files, 'build.zig.zon'), /\.minimum_zig_version = "0\.12\.0"/);
+    assert.match(fileAt(files, 'README.md'), /## Conversion Analysis\n\nThe plan/);
+});
+
+test('several modules become a library with a root file and a tests file', () => {
+    const files = buildZigProjectScaffold({
+        name: 'my-lib',
+        modules: [
+            { zigFile: 'a.zig', zigCode: 'pub fn a() void {}' },
+            { zigFile: 'b.zig', zigCode: 'pub fn b() void {}' },
+            { zigFile: 'empty.zig', zigCode: '  ' }
+        ],
+        zigVersion: '0.14',
+        generateTests: true
+    });
+    assert.deepEqual(files.map(file => file.path), ['build.zig', 'build.zig.zon', 'src/a.zig', 'src/b.zig', 'src/root.zig', 'src/tests.zig', 'README.md']);
+    assert.equal(fileAt(files, 'src/a.zig'), 'pub fn a() void {}\n');
+    assert.match(fileAt(files, 'src/root.zig'), /pub const a = @import\("a\.zig"\);\npub const b = @import\("b\.zig"\);/);
+    assert.match(fileAt(files, 'src/tests.zig'), /_ = @import\("a\.zig"\);\n {4}_ = @import\("b\.zig"\);\n {4}_ = @import\("root\.zig"\);/);
+    const build = fileAt(files, 'build.zig');
+    assert.match(build, /b\.addLibrary\(\.\{\n {8}\.linkage = \.static,\n {8}\.name = "my_lib",\n {8}\.root_module = b\.createModule/);
+    assert.match(build, /\.root_source_file = b\.path\("src\/tests\.zig"\)/);
+    assert.doesNotMatch(build, /"run"/);
+});
+
+test('a module already named root.zig keeps its name', () => {
+    const files = buildZigProjectScaffold({
+        name: 'lib',
+        modules: [{ zigFile: 'root.zig', zigCode: 'pub fn r() void {}' }, { zigFile: 'x.zig', zigCode: 'pub fn x() void {}' }],
+        zigVersion: '0.13',
+        generateTests: false
+    });
+    assert.ok(files.some(file => file.path === 'src/lib.zig'));
+    assert.match(fileAt(files, 'build.zig'), /b\.addStaticLibrary\([\s\S]*b\.path\("src\/lib\.zig"\)/);
+});
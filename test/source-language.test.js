@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, detectSourceLanguage, resolveSourceLanguage, singleFilePromptKey } = require('../c2zig-core.js');
+
+test('detectSourceLanguage goes by a deciding extension first', () => {
+    assert.equal(detectSourceLanguage('class A {};', 'a.c'), 'c');
+    assert.equal(detectSourceLanguage('int main(void) { return 0; }', 'a.cpp'), 'cpp');
+});
+
+test('detectSourceLanguage spots C++ keywords, scopes and standard headers', () => {
+    assert.equal(detectSourceLanguage('class A { public: int x; };'), 'cpp');
+    assert.equal(detectSourceLanguage('int x = ns::value;', 'a.h'), 'cpp');
+    assert.equal(detectSourceLanguage('#include <vector>\nint x;'), 'cpp');
+    assert.equal(detectSourceLanguage('#include <stdio.h>\nint class_count; /* class */'), 'c');
+});
+
+test('detectSourceLanguage needs two words that C code seldom uses', () => {
+    assert.equal(detectSourceLanguage('int new = 1;'), 'c');
+    assert.equal(detectSourceLanguage('int *p = new int; delete p;'), 'cpp');
+});
+
+test('the sourceLanguage setting overrides detection and picks the prompts', () => {
+    const cpp = 'class A {};';
+    assert.equal(resolveSourceLanguage({ sourceLanguage: 'c' }, cpp), 'c');
+    assert.equal(resolveSourceLanguage({ sourceLanguage: 'auto' }, cpp), 'cpp');
+    assert.equal(singleFilePromptKey({ ...DEFAULT_SETTINGS, sourceLanguage: 'auto' }, 'generation', cpp), 'cppGeneration');
+    assert.equal(singleFilePromptKey({ ...DEFAULT_SETTINGS, sourceLanguage: 'c' }, 'analysis', cpp), 'analysis');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSSEParser, createLineParser, readCompletion, PROVIDER_ADAPTERS, StreamInterruptedError } = require('../c2zig-core.js');
+
+const encoder = new TextEncoder();
+
+const streamResponse = (pieces, contentType) => new Response(new ReadableStream({
+    start(controller) {
+        pieces.forEach(piece => controller.enqueue(typeof piece === 'string' ? encoder.encode(piece) : piece));
+        controller.close();
+    }
+}), { headers: { 'Content-Type': contentType } });
+
+const openaiEvent = (text) => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+
+test('createSSEParser reassembles events split across chunks', () => {
+    const events = [];
+    const parser = createSSEParser(event => events.push(event));
+    parser.feed('event: err');
+    parser.feed('or\ndata: {"a"');
+    parser.feed(':1}\n\n: keep-alive\n\ndata: one\ndata: two\n');
+    parser.end();
+    assert.deepEqual(events, [
+        { event: 'error', data: '{"a":1}' },
+        { event: 'message', data: 'one\ntwo' }
+    ]);
+});
+
+test('createLineParser keeps a partial last line for the next chunk', () => {
+    const lines = [];
+    const parser = createLineParser(line => lines.push(line));
+    parser.feed('{"a":1}\n{"b"');
+    assert.deepEqual(lines, ['{"a":1}']);
+    parser.feed(':2}\r\n');
+    parser.end();
+    assert.deepEqual(lines, ['{"a":1}', '{"b":2}']);
+});
+
+test('readCompletion reads an SSE stream up to [DONE]', async () => {
+    const seen = [];
+    const text = await readCompletion(streamResponse([openaiEvent('Hel'), openaiEvent('lo'), 'data: [DONE]\n\n'], 'text/event-stream'), t => seen.push(t));
+    assert.equal(text, 'Hello');
+    assert.deepEqual(seen, ['Hel', 'Hello']);
+});
+
+test('readCompletion reads NDJSON with the Ollama adapter', async () => {
+    const text = await readCompletion(streamResponse([
+        '{"message":{"content":"a"},"done":false}\n{"message":{"con',
+        'tent":"b"},"done":false}\n{"done":true}\n'
+    ], 'application/x-ndjson'), () => {}, '', PROVIDER_ADAPTERS.ollama);
+    assert.equal(text, 'ab');
+});
+
+test('readCompletion reads a plain JSON reply', async () => {
+    const response = new Response(JSON.stringify({ choices: [{ message: { content: 'whole' } }] }), { headers: { 'Content-Type': 'application/json' } });
+    assert.equal(await readCompletion(response, () => {}), 'whole');
+});
+
+test('readCompletion continues after initial text', async () => {
+    const text = await readCompletion(streamResponse([openaiEvent('b'), 'data: [DONE]\n\n'], 'text/event-stream'), () => {}, 'a');
+    assert.equal(text, 'ab');
+});
+
+test('readCompletion treats a stream without its end marker as interrupted', async () => {
+    await assert.rejects(
+        readCompletion(streamResponse([openaiEvent('cut')], 'text/event-stream'), () => {}),
+        err => err instanceof StreamInterruptedError && err.partialText === 'cut' && !err.aborted
+    );
+    await assert.rejects(
+        readCompletion(streamResponse(['{"message":{"content":"x"},"done":false}\n'], 'application/x-ndjson'), () => {}, '', PROVIDER_ADAPTERS.ollama),
+        err => err instanceof StreamInterruptedError && err.partialText === 'x'
+    );
+});
+
+test('readCompletion reports in-stream errors with the text so far', async () => {
+    await assert.rejects(
+        readCompletion(streamResponse([openaiEvent('part'), 'data: {"error":{"message":"overloaded"}}\n\n'], 'text/event-stream'), () => {}),
+        err => err instanceof StreamInterruptedError && /overloaded/.test(err.message) && err.partialText === 'part'
+    );
+});
+
+test('readCompletion keeps a multi-byte character split across chunks', async () => {
+    const bytes = encoder.encode('héé');
+    const text = await readCompletion(streamResponse([bytes.slice(0, 2), bytes.slice(2, 4), bytes.slice(4)], 'text/plain'), () => {});
+    assert.equal(text, 'héé');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSchema, parseStructuredAnalysis, formatStructuredPlan, STRUCTURED_ANALYSIS_SCHEMA } = require('../c2zig-core.js');
+
+const validPlan = {
+    summary: 'Copies a string into a buffer.',
+    complexity: 4,
+    issues: [
+        { lines: [3, 3], category: 'bounds', severity: 'high', description: 'strcpy overflows buf', zigConstruct: 'slice copy' },
+        { lines: [5, 6], category: 'memory', severity: 'medium', description: 'p leaks', zigConstruct: 'defer free', status: 'rejected' }
+    ],
+    typeMappings: [{ c: 'char *', zig: '[]const u8', note: 'a | b' }],
+    ownership: [{ subject: 'buf', decision: 'stack array' }],
+    tests: ['copies short strings']
+};
+
+test('checkSchema names the path of every problem', () => {
+    assert.deepEqual(checkSchema({ summary: 1, issues: [{ lines: [0], category: 'x' }], typeMappings: [] }, STRUCTURED_ANALYSIS_SCHEMA), [
+        'ownership is missing',
+        'summary must be a string, not integer',
+        'issues[0].severity is missing',
+        'issues[0].description is missing',
+        'issues[0].zigConstruct is missing',
+        'issues[0].lines needs at least 2 items',
+        'issues[0].lines[0] must be at least 1',
+        'issues[0].category must be one of memory, bounds, null, ownership, error-handling, undefined-behavior, concurrency, other'
+    ]);
+    assert.deepEqual(checkSchema([], { type: 'object' }), ['The reply must be a object, not array']);
+});
+
+test('parseStructuredAnalysis reads fenced JSON, numbers the items and keeps rejections', () => {
+    const { plan, errors } = parseStructuredAnalysis('Here it is:\n```json\n' + JSON.stringify(validPlan) + '\n```');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(plan.issues.map(issue => [issue.id, issue.status]), [['issue-1', 'accepted'], ['issue-2', 'rejected']]);
+    assert.deepEqual(plan.tests, [{ text: 'copies short strings', id: 'test-1', status: 'accepted' }]);
+});
+
+test('parseStructuredAnalysis reports missing or invalid JSON', () => {
+    assert.deepEqual(parseStructuredAnalysis('no json here').errors, ['The reply contains no JSON object']);
+    assert.match(parseStructuredAnalysis('{ summary: }').errors[0], /^The reply is not valid JSON/);
+    const backwards = { ...validPlan, issues: [{ ...validPlan.issues[0], lines: [4, 2] }] };
+    assert.deepEqual(parseStructuredAnalysis(JSON.stringify(backwards)).errors, ['issues[0].lines starts after it ends']);
+});
+
+test('formatStructuredPlan writes only the accepted items', () => {
+    const markdown = formatStructuredPlan(parseStructuredAnalysis(JSON.stringify(validPlan)).plan);
+    assert.match(markdown, /Memory management complexity: 4\/10/);
+    assert.match(markdown, /1\. \*\*\[high · bounds\] Line 3\*\*: strcpy overflows buf/);
+    assert.doesNotMatch(markdown, /p leaks/);
+    assert.match(markdown, /\| `char \*` \| `\[\]const u8` \| a \\\| b \|/);
+    assert.match(markdown, /## Tests\n- copies short strings/);
+});
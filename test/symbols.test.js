@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCSymbols, extractZigSymbols, matchSymbols } = require('../c2zig-core.js');
+
+test('extractCSymbols lists functions, types, globals and valued macros once', () => {
+    const symbols = extractCSymbols([
+        '#define MAX 10',
+        '#define GUARD',
+        'typedef struct point { int x; } point_t;',
+        'int count = 0;',
+        'int add(int a, int b) {',
+        '    return a + b;',
+        '}',
+        'int add(int a, int b);'
+    ].join('\n'));
+    assert.deepEqual(symbols.map(s => [s.name, s.kind, s.line, s.endLine]), [
+        ['MAX', 'macro', 1, 1],
+        ['point_t', 'typedef', 3, 3],
+        ['count', 'global', 4, 4],
+        ['add', 'function', 5, 7]
+    ]);
+});
+
+test('extractCSymbols copes with source that is still being typed', () => {
+    assert.deepEqual(extractCSymbols('int add(int a) { return a; }\nint x').map(s => s.name), ['add', 'x']);
+    assert.deepEqual(extractCSymbols('int f(void) {}\n}').map(s => s.name), ['f']);
+    assert.deepEqual(extractCSymbols('int f(void) {').map(s => s.name), ['f']);
+});
+
+test('extractZigSymbols names container members and reads c2zig markers', () => {
+    const symbols = extractZigSymbols([
+        'const std = @import("std");',
+        '// c2zig: point_t',
+        'pub const Point = struct {',
+        '    x: i32,',
+        '    pub fn len(self: Point) i32 {',
+        '        return self.x;',
+        '    }',
+        '};',
+        'pub fn add(a: i32, b: i32) i32 {',
+        '    return a + b;',
+        '}'
+    ].join('\n'));
+    assert.deepEqual(symbols.map(s => [s.name, s.kind, s.line, s.endLine, s.cName, s.nested]), [
+        ['Point', 'type', 3, 8, 'point_t', false],
+        ['Point.len', 'function', 5, 7, null, true],
+        ['add', 'function', 9, 11, null, false]
+    ]);
+});
+
+test('matchSymbols pairs markers, then names, then names that differ in case or underscores', () => {
+    const cSymbols = extractCSymbols('typedef struct point { int x; } point_t;\nint add_one(int a) { return a + 1; }\nint gone;\nint MAX_LEN = 4;');
+    const zigSymbols = extractZigSymbols([
+        '// c2zig: point_t',
+        'pub const Point = struct { x: i32 };',
+        'pub fn addOne(a: i32) i32 { return a + 1; }',
+        'const max_len: i32 = 4;',
+        'fn helper() void {}'
+    ].join('\n'));
+    const { pairs, unmatchedC, unmatchedZig } = matchSymbols(cSymbols, zigSymbols);
+    assert.deepEqual(pairs.map(pair => [pair.c.name, pair.zig.name]), [['point_t', 'Point'], ['add_one', 'addOne'], ['MAX_LEN', 'max_len']]);
+    assert.deepEqual(unmatchedC.map(s => s.name), ['gone']);
+    assert.deepEqual(unmatchedZig.map(s => s.name), ['helper']);
+});
+
+test('matchSymbols handles partial C without pairing anything twice', () => {
+    const { pairs, unmatchedC } = matchSymbols(extractCSymbols('int x'), extractZigSymbols('var x: i32 = 0;\nvar x2: i32 = 0;'));
+    assert.deepEqual(pairs.map(pair => [pair.c.name, pair.zig.name]), [['x', 'x']]);
+    assert.deepEqual(unmatchedC, []);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PROMPTS, DEFAULT_SETTINGS, fillPromptTemplate, parsePromptTemplate, renderPrompt, validatePrompt } = require('../c2zig-core.js');
+
+const settingsWith = (overrides) => ({ ...DEFAULT_SETTINGS, prompts: { ...DEFAULT_PROMPTS }, ...overrides });
+
+test('fillPromptTemplate renders conditionals, partials and drops empty standalone lines', () => {
+    const template = 'A\n{{#if X}}\nyes {{X}}\n{{else}}\nno\n{{/if}}\n  {{EMPTY}}\n{{> p}}\n{{UNKNOWN}}\n';
+    assert.equal(fillPromptTemplate(template, { X: '1', EMPTY: '' }, { p: 'part {{X}}' }), 'A\nyes 1\npart 1\n{{UNKNOWN}}\n');
+    assert.equal(fillPromptTemplate(template, { X: ' ', EMPTY: 'e' }, {}), 'A\nno\n  e\n{{> p}}\n{{UNKNOWN}}\n');
+});
+
+test('fillPromptTemplate treats false as unset in {{#unless}}', () => {
+    assert.equal(fillPromptTemplate('{{#unless X}}n{{/unless}}', { X: false }), 'n');
+    assert.equal(fillPromptTemplate('{{#unless X}}n{{/unless}}', { X: true }), '');
+});
+
+test('parsePromptTemplate reports unbalanced blocks with their lines', () => {
+    assert.deepEqual(parsePromptTemplate('{{/if}}\n{{#if A}}').errors, [
+        { line: 1, message: '{{/if}} without a matching {{#if}}' },
+        { line: 2, message: '{{#if A}} is never closed' }
+    ]);
+});
+
+test('renderPrompt lets built-in variables win over custom ones', () => {
+    const settings = settingsWith({
+        prompts: { ...DEFAULT_PROMPTS, analysis: '{{SAFETY_LEVEL}} {{TEAM}} {{CODE}}' },
+        customVariables: [{ name: 'TEAM', value: 'core' }, { name: 'SAFETY_LEVEL', value: 'ignored' }]
+    });
+    assert.equal(renderPrompt(settings, 'analysis', { CODE: 'int x;' }), `${settings.safetyLevel} core int x;`);
+});
+
+test('validatePrompt accepts the default prompts', () => {
+    Object.keys(DEFAULT_PROMPTS).forEach(key => assert.deepEqual(validatePrompt(settingsWith({}), key).issues, [], key));
+});
+
+test('validatePrompt reports syntax errors, unknown names and recursive partials', () => {
+    const settings = settingsWith({
+        prompts: { ...DEFAULT_PROMPTS, analysis: '{{#if CODE}}x\n{{FOO}} {{> loop}} {{> missing}}' },
+        promptPartials: [{ name: 'loop', text: '{{> loop}}' }]
+    });
+    const { issues, used } = validatePrompt(settings, 'analysis');
+    assert.deepEqual(issues.map(issue => [issue.line, issue.severity, issue.rule]), [
+        [1, 'error', 'syntax'],
+        [2, 'warning', 'unknown-variable'],
+        [2, 'error', 'partial'],
+        [2, 'warning', 'partial']
+    ]);
+    assert.deepEqual(used, ['CODE', 'FOO']);
+});
+
+test('validatePrompt warns when a required variable is never used', () => {
+    const settings = settingsWith({ prompts: { ...DEFAULT_PROMPTS, analysis: 'Analyze this.' } });
+    const issues = validatePrompt(settings, 'analysis').issues;
+    assert.ok(issues.some(issue => issue.rule === 'unused-variable' && issue.message.includes('{{CODE}}')));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractZigOutput, lintZigOutput } = require('../c2zig-core.js');
+
+test('extractZigOutput joins the Zig blocks and keeps other blocks in the notes', () => {
+    const reply = 'Intro\n```zig\nconst a = 1;\n```\nUsage:\n```sh\nzig run a.zig\n```\n```\nconst b = 2;\n```\nDone';
+    assert.deepEqual(extractZigOutput(reply), {
+        code: 'const a = 1;\n\nconst b = 2;\n',
+        notes: 'Intro\nUsage:\n```sh\nzig run a.zig\n```\nDone'
+    });
+});
+
+test('extractZigOutput takes an unfenced reply whole and a cut-off fence to the end', () => {
+    assert.deepEqual(extractZigOutput('const a = 1;'), { code: 'const a = 1;\n', notes: '' });
+    assert.deepEqual(extractZigOutput('x\n```zig\nconst a'), { code: 'const a\n', notes: 'x' });
+    assert.deepEqual(extractZigOutput('  '), { code: '', notes: '' });
+});
+
+const source = [
+    'pub fn f(a: std.mem.Allocator) !void {',
+    '    const buf = try a.alloc(u8, 4);',
+    '    const ok = try a.alloc(u8, 4);',
+    '    defer a.free(ok);',
+    '    var x: u8 = undefined;',
+    '    const p: [*c]u8 = @ptrCast(buf);',
+    '    g() catch unreachable;',
+    '    // @ptrCast in a comment is fine',
+    '}'
+].join('\n');
+
+test('lintZigOutput applies the rules and severities of each safety level', () => {
+    const lint = (level) => lintZigOutput(source, level).map(f => [f.line, f.rule, f.severity]);
+    assert.deepEqual(lint('strict'), [
+        [2, 'alloc-without-defer', 'high'],
+        [5, 'undefined-init', 'medium'],
+        [6, 'ptr-cast', 'high'],
+        [6, 'c-pointer', 'high'],
+        [7, 'catch-unreachable', 'high']
+    ]);
+    assert.deepEqual(lint('balanced'), [
+        [2, 'alloc-without-defer', 'medium'],
+        [5, 'undefined-init', 'low'],
+        [6, 'ptr-cast', 'medium'],
+        [6, 'c-pointer', 'medium']
+    ]);
+    assert.deepEqual(lint('permissive'), [[2, 'alloc-without-defer', 'low']]);
+});
+
+test('lintZigOutput accepts an errdefer that passes ownership to the caller', () => {
+    const owned = 'fn dup(a: Allocator) ![]u8 {\n    const out = try a.dupe(u8, "x");\n    errdefer a.free(out);\n    return out;\n}';
+    assert.deepEqual(lintZigOutput(owned, 'strict'), []);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ZIG_VERSIONS, zigApiNotes, maskZigSource, checkZigVersion } = require('../c2zig-core.js');
+
+test('maskZigSource blanks comments and literals but keeps offsets', () => {
+    const source = 'const s = "a\\"b"; // note\nconst c = \'x\';';
+    const masked = maskZigSource(source);
+    assert.equal(masked.length, source.length);
+    assert.equal(masked, 'const s = "    "; //     \nconst c = \' \';');
+});
+
+test('checkZigVersion flags constructs by the target version', () => {
+    const source = [
+        'const std = @import("std");',
+        '// std.mem.split( is only mentioned here',
+        '_ = std.mem.split(u8, s, ",");',
+        'const info = @typeInfo(T).Struct;',
+        'const text = "usingnamespace";'
+    ].join('\n');
+    assert.deepEqual(checkZigVersion(source, '0.13').map(f => [f.line, f.rule, f.severity]), [[3, 'split-tokenize', 'low']]);
+    assert.deepEqual(checkZigVersion(source, '0.14').map(f => [f.line, f.rule, f.severity]), [
+        [3, 'split-tokenize', 'low'],
+        [4, 'type-info-tags', 'high']
+    ]);
+    assert.match(checkZigVersion(source, '0.14')[1].message, /\.Struct is now \.@"struct"/);
+});
+
+test('checkZigVersion knows APIs that are newer than the target', () => {
+    assert.deepEqual(checkZigVersion('@branchHint(.cold);', '0.13').map(f => f.rule), ['branch-hint-missing']);
+    assert.deepEqual(checkZigVersion('@branchHint(.cold);', '0.14'), []);
+});
+
+test('zigApiNotes lists a hint for every rule that applies', () => {
+    ZIG_VERSIONS.forEach(version => {
+        const notes = zigApiNotes(version).split('\n').filter(Boolean);
+        assert.ok(notes.every(note => note.startsWith('- ')), version);
+    });
+    assert.match(zigApiNotes('master'), /usingnamespace/);
+    assert.doesNotMatch(zigApiNotes('0.14'), /usingnamespace/);
+});